@@ -0,0 +1,88 @@
+/**
+ * Benchmark a large regex route table, comparing the linear scan with the compiled prefix index.
+ *
+ * Usage: node bench/regex-table.js [routeCount] [iterations]
+ */
+
+'use strict';
+
+const
+    RouteTable = require('../lib/route-table'),
+    routeCount = parseInt(process.argv[2], 10) || 1500,
+    iterations = parseInt(process.argv[3], 10) || 20000;
+
+var handlers = {
+        done: () => true
+    },
+    log = {
+        debug: () => {},
+        error: () => {}
+    },
+    paths = [],
+    routes = [];
+
+
+/**
+ * Build the source data for a route table
+ *
+ * @param {boolean} compile - Whether to compile the table
+ * @returns {object} - Route table source data
+ */
+function tableSource(compile) {
+    return {
+        id: compile ? 'compiled' : 'linear',
+        compile: compile,
+        matchType: 'regex',
+        routes: routes.map((r) => Object.assign({}, r))
+    };
+}
+
+
+/**
+ * Time the lookups for a route table
+ *
+ * @param {object} table - The route table
+ * @returns {number} - Elapsed milliseconds
+ */
+function run(table) {
+    let resolve = table.getResolver(),
+        start = process.hrtime(),
+        elapsed;
+
+    for (let i = 0; i < iterations; i++) {
+        let path = paths[i % paths.length];
+
+        resolve({
+            emitEvent: () => {},
+            forceProto: '',
+            log: log,
+            method: 'GET',
+            normalizedPath: path,
+            path: path,
+            proto: 'http'
+        });
+    }
+    elapsed = process.hrtime(start);
+    return elapsed[0] * 1e3 + elapsed[1] / 1e6;
+}
+
+
+// Legacy-style redirect rules, mostly anchored with distinct literal prefixes
+for (let i = 0; i < routeCount; i++) {
+    routes.push({on: `^/legacy/section-${i}/(\\d{4})/(.*)\\.html$`, do: 'done'});
+}
+routes.push({on: '(.*)', do: 'done'});
+
+// Requests spread over the table, plus some that only match the catch-all
+for (let i = 0; i < 100; i++) {
+    paths.push(`/legacy/section-${Math.floor(Math.random() * routeCount)}/2015/story.html`);
+    paths.push(`/unmatched/${i}`);
+}
+
+[false, true].forEach((compile) => {
+    let table = new RouteTable(tableSource(compile), {routeHandlers: handlers, defaults: {}}),
+        ms = run(table);
+
+    console.log(`${table.id}: ${iterations} lookups over ${table.count} routes in ${ms.toFixed(1)}ms ` +
+        `(${Math.round(iterations / ms * 1000)} ops/sec)`);
+});
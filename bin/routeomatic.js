@@ -0,0 +1,355 @@
+#!/usr/bin/env node
+/**
+ * Route-o-matic command line tool
+ *
+ * @module routeomatic-cli
+ */
+
+'use strict';
+
+const
+    Path = require('path'),
+    RouteOMatic = require('../lib/routeomatic'),
+    TestHarness = require('../lib/test-harness'),
+    usage = `Usage: routeomatic <command> [options]
+
+Commands:
+  lint <hostFile>       Validate host and route table config, reporting all errors and warnings
+  explain <hostFile> <url>
+                        Show how a request for the URL would be routed, and why earlier routes did not match
+  test <hostFile> <fixture>...
+                        Run the request/expected outcome tables in each JSON or YAML fixture file
+
+Options:
+  --tables <dir>        Directory of route table files, one per table named by ID
+  --env <file>          File with the environment settings (conds, subs)
+  --handlers <module>   Module exporting the route handlers (handler names are not checked without it)
+  --strict              Exit with an error status on warnings too (lint)
+  --method <method>     Request method, GET by default (explain)
+  --host <host>         Host header, if the URL is not absolute (explain, test)
+  --proto <proto>       Original request protocol, if the URL is not absolute (explain, test)
+  --geo <country>       Client country code, for geoMatch routes (explain)
+  --call-handlers       Call the route handlers from --handlers instead of just recording them (test)
+  --json                Output JSON instead of text
+`,
+    utils = require('../lib/utils');
+
+
+/**
+ * Parse the command line arguments
+ *
+ * @function
+ * @private
+ * @param {array} argv - The arguments, without the node and script paths
+ * @returns {object} - The command, positional args, and options
+ */
+function parseArgs(argv) {
+    let parsed = {
+        args: [],
+        command: null,
+        options: {}
+    };
+
+    for (let a, i = 0; i < argv.length; i++) {
+        a = argv[i];
+        if (a.indexOf('--') === 0) {
+            if (a === '--strict' || a === '--json' || a === '--call-handlers') {
+                parsed.options[a.slice(2)] = true;
+            } else if (i + 1 < argv.length) {
+                parsed.options[a.slice(2)] = argv[++i];
+            } else {
+                throw new Error(`Missing value for option ${a}`);
+            }
+        } else if (parsed.command === null) {
+            parsed.command = a;
+        } else {
+            parsed.args.push(a);
+        }
+    }
+    return parsed;
+}
+
+
+/**
+ * Build placeholder route handlers for every handler name the config uses, so handler names
+ * are not reported as errors when the real handlers are not available.
+ *
+ * @function
+ * @private
+ * @param {object} hostConf - The host configuration
+ * @param {object} env - The environment settings, if any
+ * @returns {object} - Route handlers namespace object
+ */
+function stubHandlers(hostConf, env) {
+    let handlers = {default: stub},
+        subs = (env && env.subs) || null;
+
+    function stub() {
+    }
+
+    if (typeof hostConf.routeTables === 'object' && hostConf.routeTables !== null) {
+        Object.keys(hostConf.routeTables).forEach((id) => {
+            let ns = handlers,
+                table = hostConf.routeTables[id] || {};
+
+            if (typeof table.routeNamespace === 'string' && table.routeNamespace.length !== 0) {
+                ns = handlers[table.routeNamespace] = handlers[table.routeNamespace] || {default: stub};
+            }
+            if (typeof table.defaultHandler === 'string') {
+                ns[table.defaultHandler] = stub;
+            }
+            (Array.isArray(table.routes) ? table.routes : []).forEach((r) => {
+                if (r && typeof r.do === 'string') {
+                    ns[subs !== null ? utils.substitute(r.do, subs) : r.do] = stub;
+                }
+            });
+        });
+    }
+    return handlers;
+}
+
+
+/**
+ * Build placeholder upstream pools for every pool name the config's proxy routes use, as the
+ * pools are part of the environment configuration.
+ *
+ * @function
+ * @private
+ * @param {object} hostConf - The host configuration
+ * @returns {object} - Upstream pool configurations, by name
+ */
+function stubUpstreams(hostConf) {
+    let upstreams = {};
+
+    function addProxy(proxy) {
+        if (proxy && typeof proxy.upstream === 'string') {
+            upstreams[proxy.upstream] = {targets: [{hostname: 'localhost'}]};
+        }
+    }
+
+    function addRoute(r) {
+        if (r && typeof r.options === 'object' && r.options !== null) {
+            addProxy(r.options.proxy);
+            addProxy(r.options.altProxy);
+        }
+        if (r && typeof r.split === 'object' && r.split !== null && Array.isArray(r.split.variants)) {
+            r.split.variants.forEach((v) => addProxy(v && v.proxy));
+        }
+    }
+
+    if (typeof hostConf.routeTables === 'object' && hostConf.routeTables !== null) {
+        Object.keys(hostConf.routeTables).forEach((id) => {
+            let table = hostConf.routeTables[id] || {};
+
+            (Array.isArray(table.routes) ? table.routes : []).forEach(addRoute);
+        });
+    }
+    return upstreams;
+}
+
+
+/**
+ * Load the config files named on the command line
+ *
+ * @function
+ * @private
+ * @param {object} parsed - The parsed command line
+ * @returns {object} - Object with the "envConf" and "hostConf" values
+ */
+function loadConfig(parsed) {
+    let conf,
+        loader = new RouteOMatic.ConfigLoader({
+            envConf: {routeHandlers: {}},
+            envFile: parsed.options.env,
+            hostFile: parsed.args[0],
+            routeTablesDir: parsed.options.tables
+        });
+
+    conf = loader.load();
+    conf.envConf.routeHandlers = (typeof parsed.options.handlers === 'string') ?
+        require(Path.resolve(parsed.options.handlers)) :
+        stubHandlers(conf.hostConf, conf.envConf.env);
+    conf.envConf.upstreams = stubUpstreams(conf.hostConf);
+    return conf;
+}
+
+
+/**
+ * Describe the proxy target of a handler action, if any
+ *
+ * @function
+ * @private
+ * @param {object} action - The explained handler action
+ * @returns {string} - The description, empty if not proxied
+ */
+function proxyDesc(action) {
+    if (action.upstream !== null) {
+        return ` (proxy to upstream pool "${action.upstream}")`;
+    }
+    return (action.proxy !== null) ? ` (proxy to ${action.proxy})` : '';
+}
+
+
+/**
+ * The "lint" command
+ *
+ * @function
+ * @private
+ * @param {object} parsed - The parsed command line
+ * @returns {number} - The exit status
+ */
+function lint(parsed) {
+    let conf = loadConfig(parsed),
+        result = RouteOMatic.validate(conf.envConf, conf.hostConf);
+
+    if (parsed.options.json === true) {
+        console.log(JSON.stringify(result, null, 2));
+    } else {
+        result.errors.forEach((e) => console.log(`error    ${e.path}  ${e.message}`));
+        result.warnings.forEach((w) => console.log(`warning  ${w.path}  ${w.message}`));
+        console.log(`${result.errors.length} error(s), ${result.warnings.length} warning(s)`);
+    }
+    return (result.valid === false || (parsed.options.strict === true && result.warnings.length !== 0)) ? 1 : 0;
+}
+
+
+/**
+ * The "explain" command
+ *
+ * @function
+ * @private
+ * @param {object} parsed - The parsed command line
+ * @returns {number} - The exit status
+ */
+function explain(parsed) {
+    let conf = loadConfig(parsed),
+        result,
+        rom = new RouteOMatic(conf.envConf, conf.hostConf, {all: () => null});
+
+    result = rom.explain({
+        geo: parsed.options.geo,
+        host: parsed.options.host,
+        method: parsed.options.method,
+        proto: parsed.options.proto,
+        url: parsed.args[1]
+    });
+
+    if (parsed.options.json === true) {
+        console.log(JSON.stringify(result, null, 2));
+        return 0;
+    }
+
+    console.log(`request  ${result.request.method} ${result.request.proto}://${result.request.hostname}:${result.request.port}${result.request.url}`);
+    result.passes.forEach((pass) => {
+        console.log(`host     ${pass.hostEntry}  ${pass.url}`);
+        pass.tables.forEach((t) => {
+            t.misses.forEach((m) => console.log(`  skip   ${t.id}  ${m.on}  (${m.reasons.join(', ')})`));
+            if (t.matched !== null) {
+                console.log(`  match  ${t.id}  ${t.matched}`);
+            }
+        });
+    });
+    result.hops.forEach((h) => console.log(`rewrite  ${h.from} -> ${h.to}  (${h.tableId}: ${h.on})`));
+    if (result.args !== null && Object.keys(result.args.params || {}).length !== 0) {
+        console.log(`params   ${JSON.stringify(result.args.params)}`);
+    }
+    switch (result.action.type) {
+    case 'handler':
+        console.log(`action   handler "${result.action.handler}"${proxyDesc(result.action)}`);
+        break;
+    case 'redirect':
+        console.log(`action   ${result.action.code} redirect to ${result.action.location}`);
+        break;
+    case 'status':
+        console.log(`action   ${result.action.status} status`);
+        break;
+    case 'split':
+        console.log(`action   split "${result.action.split}"`);
+        result.action.variants.forEach((v) => {
+            let a = v.action,
+                desc = a.type;
+
+            if (a.type === 'redirect') {
+                desc = `${a.code} redirect to ${a.location}`;
+            } else if (a.type === 'rewrite') {
+                desc = `rewrite to ${a.url}`;
+            } else if (a.type === 'handler') {
+                desc = `handler "${a.handler}"${proxyDesc(a)}`;
+            }
+            console.log(`  ${v.name}  weight ${v.weight}  ${desc}`);
+        });
+        break;
+    default:
+        console.log(`action   ${result.action.status} error: ${result.action.reason}`);
+    }
+    return 0;
+}
+
+
+/**
+ * The "test" command
+ *
+ * @function
+ * @private
+ * @param {object} parsed - The parsed command line
+ * @returns {Promise} - Resolves with the exit status
+ */
+function runTests(parsed) {
+    let conf = loadConfig(parsed),
+        failed = 0,
+        harness = new TestHarness(conf.envConf, conf.hostConf, {
+            callHandlers: parsed.options['call-handlers'] === true && typeof parsed.options.handlers === 'string',
+            host: parsed.options.host,
+            proto: parsed.options.proto
+        }),
+        reports = [];
+
+    return parsed.args.slice(1).reduce((prev, file) => prev.then(() => harness.run(file).then((summary) => {
+        failed += summary.failed;
+        reports.push({file: file, summary: summary});
+    })), Promise.resolve()).then(() => {
+        if (parsed.options.json === true) {
+            console.log(JSON.stringify(reports, null, 2));
+        } else {
+            reports.forEach((rep) => {
+                console.log(rep.file);
+                rep.summary.results.forEach((r) => {
+                    console.log(`  ${r.pass ? 'ok  ' : 'FAIL'}  ${r.name}`);
+                    r.mismatches.forEach((m) => console.log(`          ${m}`));
+                });
+                console.log(`  ${rep.summary.passed} passed, ${rep.summary.failed} failed`);
+            });
+        }
+        return (failed !== 0) ? 1 : 0;
+    }).then((status) => {
+        harness.close();
+        return status;
+    }, (err) => {
+        harness.close();
+        throw err;
+    });
+}
+
+
+try {
+    let parsed = parseArgs(process.argv.slice(2));
+
+    if (parsed.command === 'lint' && parsed.args.length === 1) {
+        process.exitCode = lint(parsed);
+    } else if (parsed.command === 'explain' && parsed.args.length === 2) {
+        process.exitCode = explain(parsed);
+    } else if (parsed.command === 'test' && parsed.args.length >= 2) {
+        runTests(parsed).then((status) => {
+            process.exitCode = status;
+        }, (err) => {
+            process.stderr.write(`routeomatic: ${err.message}\n`);
+            process.exitCode = 2;
+        });
+    } else {
+        process.stderr.write(usage);
+        process.exitCode = 2;
+    }
+} catch (err) {
+    process.stderr.write(`routeomatic: ${err.message}\n`);
+    process.exitCode = 2;
+}
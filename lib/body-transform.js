@@ -0,0 +1,484 @@
+/**
+ * Route-o-matic proxy response body transforms
+ *
+ * Builds the stream stages that rewrite proxied response bodies: string replacement, a snippet
+ * injected before </head>, regular expression replacement, and JSON field rewriting.  Compressed
+ * bodies are decompressed for the transforms and compressed again, and the Content-Length is set
+ * to the new length when the transformed body is small enough to be held before sending.
+ *
+ * @module body-transform
+ */
+
+'use strict';
+
+const
+    Bourne = require('@hapi/bourne'),
+    // Transformed output held back to set the Content-Length, beyond this the body is sent chunked
+    defaultLengthBuffer = 65536,
+    // Bodies regex and JSON transforms are applied to, larger ones are sent untransformed
+    defaultMaxBuffered = 5242880,  // 5mb
+    headEnd = '</head>',
+    headEndRE = /<\/head>/ig,
+    textCharsets = ['us-ascii', 'utf-8', 'utf8'],
+    Stream = require('stream'),
+    StringDecoder = require('string_decoder').StringDecoder,
+    unsafeKeys = ['__proto__', 'constructor', 'prototype'],
+    Util = require('util'),
+    utils = require('./utils'),
+    Zlib = require('zlib'),
+    codecs = {
+        br: {compress: Zlib.createBrotliCompress, decompress: Zlib.createBrotliDecompress},
+        deflate: {compress: Zlib.createDeflate, decompress: Zlib.createInflate},
+        gzip: {compress: Zlib.createGzip, decompress: Zlib.createGunzip},
+        'x-gzip': {compress: Zlib.createGzip, decompress: Zlib.createGunzip}
+    };
+
+
+/**
+ * Check for a list of {from, to} string replacements
+ *
+ * @function
+ * @private
+ * @param {mixed} list - Value to check
+ * @returns {boolean} - true if valid
+ */
+function isReplaceList(list) {
+    return Array.isArray(list) && list.every((r) => typeof r === 'object' && r !== null &&
+        typeof r.from === 'string' && r.from.length !== 0 && typeof r.to === 'string' &&
+        (typeof r.regex === 'undefined' || typeof r.regex === 'boolean') &&
+        (typeof r.flags === 'undefined' || typeof r.flags === 'string'));
+}
+
+
+/**
+ * Check for a dotted JSON field path that is safe to follow
+ *
+ * @function
+ * @private
+ * @param {string} path - The path, e.g. "meta.source"
+ * @returns {boolean} - true if valid
+ */
+function isFieldPath(path) {
+    return path.length !== 0 && path.split('.').every((k) => k.length !== 0 && unsafeKeys.indexOf(k) === -1);
+}
+
+
+/**
+ * Replace the literal strings in a string, in order
+ *
+ * @function
+ * @private
+ * @param {string} str - The string
+ * @param {array} list - The replacements ({from, to})
+ * @returns {string} - The new string
+ */
+function replaceAll(str, list) {
+    return list.reduce((s, r) => s.split(r.from).join(r.to), str);
+}
+
+
+/**
+ * Rewrite the fields of a parsed JSON value
+ *
+ * @function
+ * @private
+ * @param {mixed} data - The parsed value
+ * @param {object} conf - The JSON transform ({set, remove, replace})
+ * @returns {mixed} - The rewritten value
+ */
+function rewriteJson(data, conf) {
+    let walk = (val) => {
+        if (typeof val === 'string') {
+            return replaceAll(val, conf.replace);
+        }
+        if (typeof val === 'object' && val !== null) {
+            Object.keys(val).forEach((k) => {
+                val[k] = walk(val[k]);
+            });
+        }
+        return val;
+    };
+
+    if (typeof data !== 'object' || data === null) {
+        return data;
+    }
+    if (Array.isArray(conf.replace)) {
+        walk(data);
+    }
+    (conf.remove || []).forEach((path) => {
+        let keys = path.split('.'),
+            last = keys.pop(),
+            obj = keys.reduce((o, k) => ((typeof o === 'object' && o !== null) ? o[k] : undefined), data);
+
+        if (typeof obj === 'object' && obj !== null) {
+            delete obj[last];
+        }
+    });
+    Object.keys(conf.set || {}).forEach((path) => {
+        let keys = path.split('.'),
+            last = keys.pop(),
+            obj = data;
+
+        keys.forEach((k) => {
+            if (typeof obj[k] !== 'object' || obj[k] === null) {
+                obj[k] = {};
+            }
+            obj = obj[k];
+        });
+        obj[last] = conf.set[path];
+    });
+    return data;
+}
+
+
+/**
+ * Streaming literal replacement stage constructor.  Text that could be the start of a match is
+ * held back until the next chunk, so matches split across chunks are found.
+ *
+ * @constructor
+ * @private
+ * @param {array} list - The literal replacements ({from, to})
+ * @param {string|null} inject - Snippet to add before </head>, once, or null
+ */
+function LiteralStage(list, inject) {
+    Stream.Transform.call(this);
+
+    this.decoder = new StringDecoder('utf8');
+    this.injected = (inject === null);
+    this.inject = inject;
+    this.list = list;
+    this.pending = '';
+    this.holdBack = list.reduce((len, r) => Math.max(len, r.from.length), (inject === null) ? 0 : headEnd.length) - 1;
+}
+
+Util.inherits(LiteralStage, Stream.Transform);
+
+
+/**
+ * Find the first match in the text from a position
+ *
+ * @memberof LiteralStage
+ * @private
+ * @param {string} text - The text
+ * @param {number} pos - The position to search from
+ * @returns {object|null} - The match ({index, length, repl, inject}), null if none
+ */
+LiteralStage.prototype.nextMatch = function (text, pos) {
+    let match = null,
+        head,
+        i;
+
+    this.list.forEach((r) => {
+        i = text.indexOf(r.from, pos);
+        if (i !== -1 && (match === null || i < match.index)) {
+            match = {index: i, inject: false, length: r.from.length, repl: r.to};
+        }
+    });
+    if (this.injected === false) {
+        headEndRE.lastIndex = pos;
+        if ((head = headEndRE.exec(text)) !== null && (match === null || head.index < match.index)) {
+            match = {index: head.index, inject: true, length: headEnd.length, repl: this.inject + head[0]};
+        }
+    }
+    return match;
+};
+
+
+/**
+ * Replace the matches in the pending text, and push the text that can not be part of a match
+ *
+ * @memberof LiteralStage
+ * @private
+ * @param {boolean} final - true if no more text will come
+ */
+LiteralStage.prototype.process = function (final) {
+    let text = this.pending,
+        safe = (final === true) ? text.length : Math.max(text.length - this.holdBack, 0),
+        out = '',
+        pos = 0,
+        m;
+
+    while ((m = this.nextMatch(text, pos)) !== null && m.index < safe) {
+        out += text.slice(pos, m.index) + m.repl;
+        pos = m.index + m.length;
+        if (m.inject === true) {
+            this.injected = true;
+        }
+    }
+    if (pos < safe) {
+        out += text.slice(pos, safe);
+        pos = safe;
+    }
+    this.pending = text.slice(pos);
+    if (out.length !== 0) {
+        this.push(Buffer.from(out, 'utf8'));
+    }
+};
+
+
+/**
+ * Transform a body chunk
+ *
+ * @memberof LiteralStage
+ * @private
+ * @param {object} chunk - The chunk
+ * @param {string} encoding - The chunk encoding
+ * @param {function} callback - Called when done
+ */
+LiteralStage.prototype._transform = function (chunk, encoding, callback) {
+    this.pending += this.decoder.write(chunk);
+    this.process(false);
+    callback();
+};
+
+
+/**
+ * Push the rest of the body
+ *
+ * @memberof LiteralStage
+ * @private
+ * @param {function} callback - Called when done
+ */
+LiteralStage.prototype._flush = function (callback) {
+    this.pending += this.decoder.end();
+    this.process(true);
+    callback();
+};
+
+
+/**
+ * Whole body stage constructor, for transforms that need all of the body.  A body over the size
+ * limit is passed on untransformed.
+ *
+ * @constructor
+ * @private
+ * @param {function} transform - Function returning the transformed body text
+ * @param {number} maxSize - The size limit, in bytes
+ */
+function WholeStage(transform, maxSize) {
+    Stream.Transform.call(this);
+
+    this.chunks = [];
+    this.maxSize = maxSize;
+    this.size = 0;
+    this.transform = transform;
+}
+
+Util.inherits(WholeStage, Stream.Transform);
+
+
+/**
+ * Collect a body chunk
+ *
+ * @memberof WholeStage
+ * @private
+ * @param {object} chunk - The chunk
+ * @param {string} encoding - The chunk encoding
+ * @param {function} callback - Called when done
+ */
+WholeStage.prototype._transform = function (chunk, encoding, callback) {
+    if (this.chunks === null) {
+        this.push(chunk);
+    } else if ((this.size += chunk.length) > this.maxSize) {
+        // Too large, send it as is
+        this.chunks.forEach((c) => this.push(c));
+        this.push(chunk);
+        this.chunks = null;
+    } else {
+        this.chunks.push(chunk);
+    }
+    callback();
+};
+
+
+/**
+ * Transform and push the body
+ *
+ * @memberof WholeStage
+ * @private
+ * @param {function} callback - Called when done
+ */
+WholeStage.prototype._flush = function (callback) {
+    if (this.chunks !== null) {
+        this.push(Buffer.from(this.transform(Buffer.concat(this.chunks).toString('utf8')), 'utf8'));
+    }
+    callback();
+};
+
+
+/**
+ * Length stage constructor.  Holds back the start of the body, so the Content-Length can be set
+ * if all of it fits.
+ *
+ * @constructor
+ * @private
+ * @param {number} bufferSize - The most to hold back, in bytes
+ * @param {function} onLength - Called with the body length, or null if not known, before anything is pushed
+ */
+function LengthStage(bufferSize, onLength) {
+    Stream.Transform.call(this);
+
+    this.bufferSize = bufferSize;
+    this.chunks = [];
+    this.onLength = onLength;
+    this.size = 0;
+}
+
+Util.inherits(LengthStage, Stream.Transform);
+
+
+/**
+ * Hold back or pass on a body chunk
+ *
+ * @memberof LengthStage
+ * @private
+ * @param {object} chunk - The chunk
+ * @param {string} encoding - The chunk encoding
+ * @param {function} callback - Called when done
+ */
+LengthStage.prototype._transform = function (chunk, encoding, callback) {
+    if (this.chunks === null) {
+        this.push(chunk);
+    } else if ((this.size += chunk.length) > this.bufferSize) {
+        this.onLength(null);
+        this.chunks.forEach((c) => this.push(c));
+        this.push(chunk);
+        this.chunks = null;
+    } else {
+        this.chunks.push(chunk);
+    }
+    callback();
+};
+
+
+/**
+ * Push the held back body, with its length
+ *
+ * @memberof LengthStage
+ * @private
+ * @param {function} callback - Called when done
+ */
+LengthStage.prototype._flush = function (callback) {
+    if (this.chunks !== null) {
+        this.onLength(this.size);
+        this.chunks.forEach((c) => this.push(c));
+    }
+    callback();
+};
+
+
+module.exports = {
+    /**
+     * Check a route's body transforms
+     *
+     * @function
+     * @public
+     * @param {mixed} list - The transforms
+     * @returns {string|null} - The error message, null if valid
+     */
+    checkTransforms: function (list) {
+        let err = null;
+
+        if (!Array.isArray(list)) {
+            return 'must be a list of transforms';
+        }
+        list.some((t, i) => {
+            let json = (typeof t === 'object' && t !== null) ? t.json : undefined;
+
+            if (typeof t !== 'object' || t === null ||
+                (typeof t.replace === 'undefined' && typeof t.injectHead === 'undefined' && typeof t.json === 'undefined')) {
+
+                err = `#${i} must have "replace", "injectHead" or "json"`;
+            } else if (typeof t.contentTypes !== 'undefined' && (!Array.isArray(t.contentTypes) || t.contentTypes.some((ct) => typeof ct !== 'string'))) {
+                err = `#${i} "contentTypes" must be a list of content types`;
+            } else if (typeof t.replace !== 'undefined' && !isReplaceList(t.replace)) {
+                err = `#${i} "replace" must be a list of {from, to} strings, with "regex" and "flags" for regular expressions`;
+            } else if (typeof t.replace !== 'undefined' && t.replace.some((r) => {
+                try {
+                    return r.regex === true && new RegExp(r.from, r.flags) === null;
+                } catch (e) {
+                    return true;
+                }
+            })) {
+                err = `#${i} "replace" has an invalid regular expression`;
+            } else if (typeof t.injectHead !== 'undefined' && (typeof t.injectHead !== 'string' || t.injectHead.length === 0)) {
+                err = `#${i} "injectHead" must be a string`;
+            } else if (typeof json !== 'undefined' && (typeof json !== 'object' || json === null ||
+                (typeof json.set !== 'undefined' && (typeof json.set !== 'object' || json.set === null || !Object.keys(json.set).every(isFieldPath))) ||
+                (typeof json.remove !== 'undefined' && (!Array.isArray(json.remove) || !json.remove.every((f) => typeof f === 'string' && isFieldPath(f)))) ||
+                (typeof json.replace !== 'undefined' && (!isReplaceList(json.replace) || json.replace.some((r) => r.regex === true))))) {
+
+                err = `#${i} "json" must have "set" (an object of field paths and values), "remove" (a list of field paths), or "replace" (a list of {from, to} strings)`;
+            }
+            return err !== null;
+        });
+        return err;
+    },
+
+    /**
+     * Make the stream stages transforming a response body, if any of the transforms apply to it
+     *
+     * @function
+     * @public
+     * @param {array} list - The route's transforms
+     * @param {object} headers - The origin response headers
+     * @param {function} onLength - Called with the new body length, or null if not known, before it is sent
+     * @returns {array|null} - The stages, to pipe the body through in order, null if the body is not transformed
+     */
+    createStages: function (list, headers, onLength) {
+        let ct = String(headers['content-type'] || '').toLowerCase(),
+            type = ct.replace(/;.*$/, '').trim(),
+            charset = /;\s*charset="?([^";\s]+)/.exec(ct),
+            encoding = String(headers['content-encoding'] || 'identity').trim().toLowerCase(),
+            stages = [],
+            literal = [];
+
+        // Only text in UTF-8 (or ASCII), with a single known compression
+        if (type.length === 0 || (charset !== null && textCharsets.indexOf(charset[1]) === -1) ||
+            (encoding !== 'identity' && !codecs.hasOwnProperty(encoding))) {
+
+            return null;
+        }
+
+        list.forEach((t) => {
+            if (!utils.isTypeListed(type, t.contentTypes || [(typeof t.json === 'object') ? 'application/json' : 'text/html'])) {
+                return;
+            }
+            // Consecutive literal replacements and injections share a streaming stage
+            (t.replace || []).forEach((r) => {
+                if (r.regex === true) {
+                    if (literal.length !== 0) {
+                        stages.push(new LiteralStage(literal, null));
+                        literal = [];
+                    }
+                    stages.push(new WholeStage((text) => text.replace(new RegExp(r.from, r.flags), r.to), defaultMaxBuffered));
+                } else {
+                    literal.push(r);
+                }
+            });
+            if (typeof t.injectHead === 'string' || literal.length !== 0) {
+                stages.push(new LiteralStage(literal, (typeof t.injectHead === 'string') ? t.injectHead : null));
+                literal = [];
+            }
+            if (typeof t.json === 'object') {
+                stages.push(new WholeStage((text) => {
+                    try {
+                        return JSON.stringify(rewriteJson(Bourne.parse(text), t.json));
+                    } catch (e) {
+                        return text;  // Not valid JSON, send it as is
+                    }
+                }, defaultMaxBuffered));
+            }
+        });
+        if (stages.length === 0) {
+            return null;
+        }
+
+        if (encoding !== 'identity') {
+            stages.unshift(codecs[encoding].decompress());
+            stages.push(codecs[encoding].compress());
+        }
+        stages.push(new LengthStage(defaultLengthBuffer, onLength));
+        return stages;
+    }
+};
@@ -0,0 +1,184 @@
+/**
+ * Route-o-matic circuit breaker
+ *
+ * Tracks the error rate of proxy requests to an upstream over a rolling window.  When too many
+ * fail the breaker opens and requests are refused for a cooldown period, after which a few
+ * trial requests are let through (half-open) to decide whether to close it again.
+ *
+ * @module circuit-breaker
+ */
+
+'use strict';
+
+const
+    bucketCount = 10,
+    defaultCooldown = 30000,
+    defaultErrorRate = 0.5,
+    defaultHalfOpenRequests = 1,
+    defaultMinRequests = 20,
+    defaultWindow = 10000,
+    utils = require('./utils');
+
+
+/**
+ * Check for a positive whole number
+ *
+ * @function
+ * @private
+ * @param {mixed} val - Value to check
+ * @returns {boolean} - true if valid
+ */
+function isCount(val) {
+    return typeof val === 'number' && val > 0 && val % 1 === 0;
+}
+
+
+/**
+ * CircuitBreaker object constructor
+ *
+ * @constructor
+ * @param {string} name - The upstream name, for logging
+ * @param {object} conf - The breaker configuration
+ * @param {number} [conf.errorRate] - Failed share of requests that opens the breaker, above 0 and up to 1 (0.5 if not set)
+ * @param {number} [conf.minRequests] - Requests in the window needed before the breaker can open (20 if not set)
+ * @param {number} [conf.window] - Milliseconds of requests the error rate is taken over (10000 if not set)
+ * @param {number} [conf.cooldown] - Milliseconds the breaker stays open before trial requests (30000 if not set)
+ * @param {number} [conf.halfOpenRequests] - Trial requests that must succeed to close the breaker (1 if not set)
+ * @param {object} [log] - Logger, optional
+ * @throws {Error} - If the configuration is invalid
+ */
+function CircuitBreaker(name, conf, log) {
+    if (typeof conf !== 'object' || conf === null) {
+        throw new Error(`Invalid circuit breaker configuration for "${name}"!`);
+    }
+    if (typeof conf.errorRate !== 'undefined' && (typeof conf.errorRate !== 'number' || !(conf.errorRate > 0 && conf.errorRate <= 1))) {
+        throw new Error(`Invalid circuit breaker errorRate for "${name}", must be above 0 and up to 1!`);
+    }
+    ['minRequests', 'window', 'cooldown', 'halfOpenRequests'].forEach((k) => {
+        if (typeof conf[k] !== 'undefined' && !isCount(conf[k])) {
+            throw new Error(`Invalid circuit breaker ${k} value for "${name}"!`);
+        }
+    });
+
+    this.buckets = [];
+    this.cooldown = conf.cooldown || defaultCooldown;
+    this.errorRate = conf.errorRate || defaultErrorRate;
+    this.halfOpenRequests = conf.halfOpenRequests || defaultHalfOpenRequests;
+    this.log = log || utils.baseLogger;
+    this.minRequests = conf.minRequests || defaultMinRequests;
+    this.name = name;
+    this.openedAt = 0;
+    this.state = 'closed';
+    this.successes = 0;
+    this.trials = 0;
+    this.window = conf.window || defaultWindow;
+}
+
+
+/**
+ * Check if a request may be made, moving an open breaker to half-open once its cooldown is over.
+ * Every allowed request must be followed by a call to record().
+ *
+ * @memberof CircuitBreaker
+ * @public
+ * @returns {boolean} - true if the request may be made, false if the breaker is open
+ */
+CircuitBreaker.prototype.allow = function () {
+    if (this.state === 'open') {
+        if (Date.now() - this.openedAt < this.cooldown) {
+            return false;
+        }
+        this.setState('half-open', `after ${this.cooldown}ms cooldown`);
+    }
+    if (this.state === 'half-open') {
+        if (this.trials >= this.halfOpenRequests) {
+            return false;
+        }
+        this.trials++;
+    }
+    return true;
+};
+
+
+/**
+ * Record the outcome of a request
+ *
+ * @memberof CircuitBreaker
+ * @public
+ * @param {boolean} ok - false if the request failed (connection error, timeout or 5xx)
+ */
+CircuitBreaker.prototype.record = function (ok) {
+    let now = Date.now(),
+        size = this.window / bucketCount,
+        start = now - (now % size),
+        last = this.buckets[this.buckets.length - 1],
+        fails = 0,
+        total = 0;
+
+    if (this.state === 'half-open') {
+        if (ok !== true) {
+            this.trip('trial request failed');
+        } else if (++this.successes >= this.halfOpenRequests) {
+            this.buckets = [];
+            this.setState('closed', 'trial requests succeeded');
+        }
+        return;
+    }
+    if (this.state === 'open') {
+        return;  // Sent before the breaker opened
+    }
+
+    // Count the request in the rolling window, dropping buckets that have left it
+    if (last === undefined || last.start !== start) {
+        last = {fails: 0, start: start, total: 0};
+        this.buckets.push(last);
+    }
+    while (this.buckets[0].start <= now - this.window) {
+        this.buckets.shift();
+    }
+    last.total++;
+    if (ok !== true) {
+        last.fails++;
+    }
+
+    this.buckets.forEach((b) => {
+        fails += b.fails;
+        total += b.total;
+    });
+    if (total >= this.minRequests && fails / total >= this.errorRate) {
+        this.trip(`${fails} of ${total} requests failed in ${this.window}ms`);
+    }
+};
+
+
+/**
+ * Open the breaker
+ *
+ * @memberof CircuitBreaker
+ * @private
+ * @param {string} reason - Why, for logging
+ */
+CircuitBreaker.prototype.trip = function (reason) {
+    this.openedAt = Date.now();
+    this.buckets = [];
+    this.setState('open', `${reason}, refusing requests for ${this.cooldown}ms`);
+};
+
+
+/**
+ * Change the breaker state, logging the change
+ *
+ * @memberof CircuitBreaker
+ * @private
+ * @param {string} state - "closed", "open" or "half-open"
+ * @param {string} reason - Why, for logging
+ */
+CircuitBreaker.prototype.setState = function (state, reason) {
+    this.state = state;
+    this.successes = 0;
+    this.trials = 0;
+    this.log.warn(`Circuit breaker for "${this.name}" is ${state}: ${reason}`);
+};
+
+
+module.exports = CircuitBreaker;
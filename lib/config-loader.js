@@ -0,0 +1,423 @@
+/**
+ * Route-o-matic declarative config loader
+ *
+ * Loads the host and route table configuration from JSON or YAML files, optionally watching
+ * them and hot-reloading a RouteOMatic instance when they change.
+ *
+ * @module config-loader
+ */
+
+'use strict';
+
+const
+    configExts = ['.json', '.yaml', '.yml'],
+    defaultDebounce = 250,
+    EventEmitter = require('events'),
+    Fs = require('fs'),
+    Path = require('path'),
+    Util = require('util'),
+    utils = require('./utils'),
+    Yaml = require('js-yaml');
+
+
+/**
+ * Check for a plain (non-array) object
+ *
+ * @function
+ * @private
+ * @param {mixed} val - Value to check
+ * @returns {boolean} - true if a plain object
+ */
+function isPlainObject(val) {
+    return typeof val === 'object' && val !== null && !Array.isArray(val);
+}
+
+
+/**
+ * Merge two config values.  Objects are merged recursively, arrays are concatenated, and
+ * anything else in the extra value replaces the base value.
+ *
+ * @function
+ * @private
+ * @param {mixed} base - Base value
+ * @param {mixed} extra - Value merged over the base
+ * @returns {mixed} - Merged value
+ */
+function mergeConfig(base, extra) {
+    if (Array.isArray(base) && Array.isArray(extra)) {
+        return base.concat(extra);
+    }
+    if (isPlainObject(base) && isPlainObject(extra)) {
+        let merged = Object.assign({}, base);
+
+        for (let k in extra) {
+            if (extra.hasOwnProperty(k)) {
+                merged[k] = merged.hasOwnProperty(k) ? mergeConfig(merged[k], extra[k]) : extra[k];
+            }
+        }
+        return merged;
+    }
+    return extra;
+}
+
+
+/**
+ * Read and parse a single JSON or YAML config file
+ *
+ * @function
+ * @private
+ * @param {string} file - The file path
+ * @returns {object} - The parsed config object
+ * @throws {Error} - Throws error if the file cannot be read or parsed
+ */
+function readConfigFile(file) {
+    let data,
+        ext = Path.extname(file).toLowerCase();
+
+    try {
+        let text = Fs.readFileSync(file, 'utf8');
+
+        data = (ext === '.yaml' || ext === '.yml') ? Yaml.safeLoad(text, {filename: file}) : JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Failed to load config file "${file}": ${err.message}`);
+    }
+    if (!isPlainObject(data)) {
+        throw new Error(`Config file "${file}" does not contain an object`);
+    }
+    return data;
+}
+
+
+/**
+ * Snapshot the parts of a host config used for diff summaries
+ *
+ * @function
+ * @private
+ * @param {object} hostConf - The host configuration object
+ * @returns {object} - The snapshot
+ */
+function snapshotConfig(hostConf) {
+    let snap = {
+        defaults: JSON.stringify(hostConf.defaults || {}),
+        hosts: {},
+        routeTables: {}
+    };
+
+    if (Array.isArray(hostConf.hosts)) {
+        hostConf.hosts.forEach((h, i) => {
+            let key = (isPlainObject(h) && Array.isArray(h.hostnames)) ? h.hostnames.join(',') : `#${i}`;
+
+            snap.hosts[key] = JSON.stringify(h);
+        });
+    }
+    if (isPlainObject(hostConf.routeTables)) {
+        for (let rt in hostConf.routeTables) {
+            if (hostConf.routeTables.hasOwnProperty(rt)) {
+                snap.routeTables[rt] = JSON.stringify(hostConf.routeTables[rt]);
+            }
+        }
+    }
+    return snap;
+}
+
+
+/**
+ * Compare the keys and values of two snapshot maps
+ *
+ * @function
+ * @private
+ * @param {object} prev - The previous map
+ * @param {object} next - The new map
+ * @returns {object} - Lists of added, removed, and changed keys
+ */
+function diffKeys(prev, next) {
+    let diff = {
+        added: [],
+        changed: [],
+        removed: []
+    };
+
+    Object.keys(next).forEach((k) => {
+        if (!prev.hasOwnProperty(k)) {
+            diff.added.push(k);
+        } else if (prev[k] !== next[k]) {
+            diff.changed.push(k);
+        }
+    });
+    Object.keys(prev).forEach((k) => {
+        if (!next.hasOwnProperty(k)) {
+            diff.removed.push(k);
+        }
+    });
+    return diff;
+}
+
+
+/**
+ * ConfigLoader object constructor
+ *
+ * @constructor
+ * @param {object} options - Loader options
+ * @param {object} options.envConf - Environment configuration object (route handlers, loggers, etc.)
+ * @param {string} [options.envFile] - File to load the environment settings (conds, subs) from, optional
+ * @param {string} [options.hostFile] - Host config file with defaults, hosts and route tables, optional
+ * @param {string} [options.routeTablesDir] - Directory of route table files, one per table named by ID, optional
+ * @param {number} [options.debounce] - Milliseconds to wait after a file change before reloading, optional
+ */
+function ConfigLoader(options) {
+    EventEmitter.call(this);
+
+    if (!isPlainObject(options) || !isPlainObject(options.envConf)) {
+        throw new Error('Invalid config loader options!');
+    }
+    if (typeof options.hostFile !== 'string' && typeof options.routeTablesDir !== 'string') {
+        throw new Error('Config loader needs a host file or a route tables directory!');
+    }
+
+    this.current = null;
+    this.debounce = (typeof options.debounce === 'number' && options.debounce >= 0) ? options.debounce : defaultDebounce;
+    this.envConf = options.envConf;
+    this.envFile = (typeof options.envFile === 'string') ? Path.resolve(options.envFile) : null;
+    this.files = [];
+    this.hostFile = (typeof options.hostFile === 'string') ? Path.resolve(options.hostFile) : null;
+    this.log = options.envConf.logger || utils.baseLogger;
+    this.rom = null;
+    this.routeTablesDir = (typeof options.routeTablesDir === 'string') ? Path.resolve(options.routeTablesDir) : null;
+    this.timer = null;
+    this.watchers = [];
+    this.watching = false;
+}
+
+Util.inherits(ConfigLoader, EventEmitter);
+
+
+/**
+ * Read a config file and everything it includes.  The "include" value may be a path or an array
+ * of paths, relative to the including file, which are merged in order beneath the file itself.
+ *
+ * @memberof ConfigLoader
+ * @private
+ * @param {string} file - The file path
+ * @param {array} stack - The files currently being included, to catch circular includes
+ * @param {array} files - List of every file read, appended to
+ * @returns {object} - The merged config object
+ * @throws {Error} - Throws error on failure
+ */
+ConfigLoader.prototype.readWithIncludes = function (file, stack, files) {
+    let data,
+        merged = {};
+
+    if (stack.indexOf(file) !== -1) {
+        throw new Error(`Circular include of config file "${file}"`);
+    }
+    files.push(file);
+    data = readConfigFile(file);
+
+    if (typeof data.include !== 'undefined') {
+        let includes = Array.isArray(data.include) ? data.include : [data.include];
+
+        includes.forEach((inc) => {
+            if (typeof inc !== 'string' || inc.length === 0) {
+                throw new Error(`Invalid include in config file "${file}"`);
+            }
+            merged = mergeConfig(merged, this.readWithIncludes(Path.resolve(Path.dirname(file), inc), stack.concat(file), files));
+        });
+        delete data.include;
+    }
+    return mergeConfig(merged, data);
+};
+
+
+/**
+ * Load the configuration from the files
+ *
+ * @memberof ConfigLoader
+ * @public
+ * @returns {object} - Object with the "envConf" and "hostConf" to pass to RouteOMatic
+ * @throws {Error} - Throws error on failure
+ */
+ConfigLoader.prototype.load = function () {
+    let envConf = this.envConf,
+        files = [],
+        hostConf = {};
+
+    try {
+        if (this.hostFile !== null) {
+            hostConf = this.readWithIncludes(this.hostFile, [], files);
+        }
+        if (this.routeTablesDir !== null) {
+            files.push(this.routeTablesDir);
+            hostConf.routeTables = isPlainObject(hostConf.routeTables) ? hostConf.routeTables : {};
+            Fs.readdirSync(this.routeTablesDir).sort().forEach((name) => {
+                let ext = Path.extname(name).toLowerCase(),
+                    id = Path.basename(name, Path.extname(name));
+
+                if (name.charAt(0) === '.' || configExts.indexOf(ext) === -1) {
+                    return;
+                }
+                if (hostConf.routeTables.hasOwnProperty(id)) {
+                    throw new Error(`Duplicate route table "${id}" in "${this.routeTablesDir}"`);
+                }
+                hostConf.routeTables[id] = this.readWithIncludes(Path.join(this.routeTablesDir, name), [], files);
+            });
+        }
+        if (this.envFile !== null) {
+            envConf = Object.assign({}, envConf, {env: this.readWithIncludes(this.envFile, [], files)});
+        }
+    } finally {
+        this.files = files;
+    }
+
+    this.current = snapshotConfig(hostConf);
+    return {
+        envConf: envConf,
+        hostConf: hostConf
+    };
+};
+
+
+/**
+ * Reload the configuration into the watched RouteOMatic instance.  If loading or validation fails,
+ * the current configuration stays active.  Emits a "reload" event with the result.
+ *
+ * @memberof ConfigLoader
+ * @public
+ * @returns {object} - The result, with "success", "error", "diff" and "files" values
+ */
+ConfigLoader.prototype.reload = function () {
+    let prev = this.current,
+        result;
+
+    try {
+        let conf;
+
+        if (this.rom === null) {
+            throw new Error('No RouteOMatic instance to reload');
+        }
+        conf = this.load();
+        this.rom.applyConfig(conf.envConf, conf.hostConf);
+        prev = prev || snapshotConfig({});
+        result = {
+            success: true,
+            error: null,
+            diff: {
+                defaults: prev.defaults !== this.current.defaults,
+                hosts: diffKeys(prev.hosts, this.current.hosts),
+                routeTables: diffKeys(prev.routeTables, this.current.routeTables)
+            },
+            files: this.files.slice()
+        };
+        this.log.info('Reloaded Route-O-Matic configuration files.');
+    } catch (err) {
+        this.current = prev;
+        result = {
+            success: false,
+            error: err.message,
+            diff: null,
+            files: this.files.slice()
+        };
+        this.log.error(`Failed to reload Route-O-Matic configuration files, keeping current configuration: ${err.message}`);
+    }
+
+    if (this.watching === true) {
+        // Files may have been replaced or includes changed, so watch the current set
+        this.syncWatchers();
+    }
+    this.emit('reload', result);
+    return result;
+};
+
+
+/**
+ * Schedule a debounced reload
+ *
+ * @memberof ConfigLoader
+ * @private
+ */
+ConfigLoader.prototype.scheduleReload = function () {
+    if (this.timer !== null) {
+        clearTimeout(this.timer);
+    }
+    this.timer = setTimeout(() => {
+        this.timer = null;
+        this.reload();
+    }, this.debounce);
+};
+
+
+/**
+ * Replace the file watchers with watchers for the current set of files
+ *
+ * @memberof ConfigLoader
+ * @private
+ */
+ConfigLoader.prototype.syncWatchers = function () {
+    this.closeWatchers();
+    this.files.filter((f, i, a) => a.indexOf(f) === i).forEach((file) => {
+        try {
+            let watcher = Fs.watch(file, {persistent: true}, () => this.scheduleReload());
+
+            watcher.on('error', (err) => {
+                this.log.warn(`Error watching config file "${file}": ${err.message}`);
+            });
+            this.watchers.push(watcher);
+        } catch (err) {
+            this.log.warn(`Unable to watch config file "${file}": ${err.message}`);
+        }
+    });
+};
+
+
+/**
+ * Close all file watchers
+ *
+ * @memberof ConfigLoader
+ * @private
+ */
+ConfigLoader.prototype.closeWatchers = function () {
+    this.watchers.forEach((w) => w.close());
+    this.watchers = [];
+};
+
+
+/**
+ * Watch the config files and hot-reload the RouteOMatic instance when they change
+ *
+ * @memberof ConfigLoader
+ * @public
+ * @param {object} rom - The RouteOMatic instance to reconfigure
+ */
+ConfigLoader.prototype.watch = function (rom) {
+    if (typeof rom !== 'object' || rom === null || typeof rom.applyConfig !== 'function') {
+        throw new Error('Invalid RouteOMatic instance!');
+    }
+    this.rom = rom;
+    this.watching = true;
+    if (this.files.length === 0) {
+        try {
+            this.load();
+        } catch (err) {
+            this.log.error(`Failed to load Route-O-Matic configuration files: ${err.message}`);
+        }
+    }
+    this.syncWatchers();
+};
+
+
+/**
+ * Stop watching the config files
+ *
+ * @memberof ConfigLoader
+ * @public
+ */
+ConfigLoader.prototype.close = function () {
+    this.watching = false;
+    if (this.timer !== null) {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+    this.closeWatchers();
+};
+
+
+module.exports = ConfigLoader;
@@ -0,0 +1,423 @@
+/**
+ * Route-o-matic route resolution explainer
+ *
+ * Runs a synthetic request through the host and route tables, without calling any handler,
+ * and reports how it would be routed.
+ *
+ * @module explainer
+ */
+
+'use strict';
+
+const
+    // Hostname used to check routes of the default (*) host entry
+    defaultSampleHost = 'default-host.invalid',
+    formatUrl = require('url').format,
+    internalRouteKeys = ['action', 'paramChecks', 'pattern', 'postMatchRE', 'regex'],
+    parseUrl = require('url').parse,
+    Query = require('querystring'),
+    resolveUrl = require('url').resolve,
+    RomRequest = require('./rom-request'),
+    RouteTable = require('./route-table'),
+    utils = require('./utils'),
+    validator = require('./validator');
+
+
+/**
+ * Copy the configured values of a route, leaving out compiled internals
+ *
+ * @function
+ * @private
+ * @param {object} r - The route object
+ * @returns {object} - The route definition
+ */
+function describeRoute(r) {
+    let desc = {};
+
+    for (let k in r) {
+        if (r.hasOwnProperty(k) && internalRouteKeys.indexOf(k) === -1 &&
+            typeof r[k] !== 'function' && !(r[k] instanceof RegExp)) {
+
+            desc[k] = r[k];
+        }
+    }
+    return desc;
+}
+
+
+/**
+ * Build the synthetic request
+ *
+ * @function
+ * @private
+ * @param {object} input - The explain input values
+ * @returns {object} - The request-like object
+ */
+function buildRequest(input) {
+    let url = parseUrl(input.url || '/'),
+        headers = utils.mergeHeaders({}, input.headers),
+        host = input.host || headers.host || url.host || '',
+        proto = (input.proto || (url.protocol || 'http:')).replace(/:$/, '').toLowerCase(),
+        req;
+
+    if (!url.host) {
+        url.hostname = host.replace(/:\d+$/, '');
+        url.port = (typeof input.port === 'number') ? String(input.port) : String(utils.extractPortFromHost(host || 'x', proto));
+    }
+    url.protocol = proto + ':';
+    req = validator.syntheticRequest(url, '', (input.method || 'GET').toUpperCase());
+    req.geo = (typeof input.geo === 'string' && input.geo.length !== 0) ? input.geo.toUpperCase() : null;
+    req.headerHost = host;
+    req.headers = headers;
+    req.queryParams = Query.parse(url.query || '');
+    req.serverRequest = {headers: headers};
+    req.url = url.path || '/';
+    return req;
+}
+
+
+/**
+ * Apply a same-host rewrite to the synthetic request, as RomRequest.rewrite does
+ *
+ * @function
+ * @private
+ * @param {object} req - The request-like object
+ * @param {string} newUrl - The rewritten URL
+ * @param {object} settings - The request settings
+ * @returns {boolean} - true if applied, false if the rewrite becomes a redirect
+ * @throws {Error} - If the rewritten URL contains invalid characters
+ */
+function applyRewrite(req, newUrl, settings) {
+    let url = parseUrl(newUrl);
+
+    if (url.hostname !== null && ((url.hostname !== req.hostname) ||
+        (url.protocol !== null && url.protocol !== (req.proto + ':')) ||
+        (url.port !== null && parseInt(url.port, 10) !== req.port))) {
+
+        return false;
+    }
+    if (settings.normalizeUrls === true) {
+        let normed = RomRequest.normalizeAndReduce(newUrl);
+
+        if (normed === null) {
+            throw new Error(`Rewritten request "${newUrl}" now contains invalid characters`);
+        }
+        if (normed.length < req.url.length) {
+            url = parseUrl(normed);
+        }
+    }
+    if (settings.removeDoubleSlashes === true && typeof url.pathname === 'string' && url.pathname.indexOf('//') !== -1) {
+        url.pathname = url.pathname.replace(/\/\/+/g, '/');
+        url.path = url.pathname + (typeof url.search === 'string' ? url.search : '');
+    }
+    req.path = (typeof url.pathname === 'string' && url.pathname.length !== 0) ? url.pathname : '/';
+    req.normalizedPath = req.path.toLowerCase();
+    req.url = (typeof url.path === 'string' && url.path.length !== 0) ? url.path : '/';
+    req.query = url.query || '';
+    req.queryParams = Query.parse(req.query);
+    return true;
+}
+
+
+/**
+ * Work out the action a matched route takes, without calling any handler
+ *
+ * @function
+ * @private
+ * @param {object} route - The matched route
+ * @param {object} req - The request-like object
+ * @returns {object} - The action, with "type" of redirect, status, rewrite, handler, static, split or continue
+ */
+function routeAction(route, req) {
+    if (route.forceProto.length !== 0 && req.proto !== route.forceProto) {
+        return {
+            type: 'redirect',
+            code: 301,
+            location: formatUrl({
+                hostname: req.hostname,
+                pathname: req.path,
+                port: route.forcePort,
+                protocol: route.forceProto,
+                search: route.query
+            }),
+            reason: 'forceProto'
+        };
+    }
+    if (typeof route.rewrite === 'string') {
+        let rewritten;
+
+        if (route.status !== 0) {
+            return {type: 'status', status: route.status};
+        }
+        rewritten = RouteTable.rewriteUrl(req, route);
+        if (route.redirectCode !== 0) {
+            return {type: 'redirect', code: route.redirectCode, location: rewritten.url};
+        }
+        return (rewritten.url !== req.url) ? {type: 'rewrite', url: rewritten.url} : {type: 'continue'};
+    }
+    if (typeof route.split === 'object' && route.split !== null) {
+        return {
+            type: 'split',
+            split: route.split.name,
+            variants: route.split.variants.map((v) => ({
+                name: v.variant,
+                weight: v.weight,
+                action: routeAction(v, req)
+            }))
+        };
+    }
+    if (typeof route.redirect === 'string') {
+        let qpos = req.url.indexOf('?'),
+            qString = (route.keepParams === true && qpos !== -1) ? req.url.substr(qpos) : '',
+            action = {type: 'redirect', code: route.code, location: route.redirect + qString};
+
+        if (route.geoTarget !== null) {
+            action.geoTarget = route.geoTarget;
+        }
+        return action;
+    }
+    if (typeof route.static === 'object' && route.static !== null) {
+        return {type: 'static', root: route.static.root, fallthrough: route.static.fallthrough};
+    }
+    return {
+        type: 'handler',
+        handler: (typeof route.do === 'string' && route.do.length !== 0) ? route.do : 'default',
+        proxy: (route.options && route.options.proxy && route.options.proxy.hostname) || null,
+        upstream: (route.options && route.options.proxy && route.options.proxy.upstream) || null
+    };
+}
+
+
+/**
+ * Explain how a request would be routed
+ *
+ * @function
+ * @public
+ * @param {object} hostTable - The host table
+ * @param {object} settings - The request settings
+ * @param {object} input - The request to explain
+ * @param {string} [input.method] - Request method, GET if not set
+ * @param {string} input.url - Request URL, either a path or an absolute URL
+ * @param {string} [input.host] - Host header value, if not in the URL
+ * @param {string} [input.proto] - Original request protocol (http or https), if not in the URL
+ * @param {number} [input.port] - Original request port, if not in the host
+ * @param {object} [input.headers] - Request headers
+ * @param {string} [input.geo] - Client country code, for geoMatch routes
+ * @returns {object} - The explanation
+ */
+function explain(hostTable, settings, input) {
+    let req = buildRequest(input || {}),
+        result = {
+            action: null,
+            args: null,
+            hops: [],
+            hostEntry: null,
+            passes: [],
+            request: {
+                hostname: req.hostname,
+                method: req.method,
+                port: req.port,
+                proto: req.proto,
+                url: req.url
+            },
+            route: null,
+            tableId: null
+        };
+
+    for (let pass = 0; result.action === null; pass++) {
+        let host,
+            rewritten = false,
+            step;
+
+        if (pass > settings.retryLimit) {
+            result.action = {type: 'error', status: 500, reason: `Exceeded routing retry limit (${settings.retryLimit})`};
+            break;
+        }
+
+        host = hostTable.getHost(req.hostname);
+        if (host === null) {
+            result.action = {type: 'error', status: 503, reason: `Invalid hostname "${req.hostname}"`};
+            break;
+        }
+        step = {
+            hostEntry: host.hostname,
+            tables: [],
+            url: req.url
+        };
+        result.passes.push(step);
+        result.hostEntry = host.hostname;
+
+        for (let i = 0; i < host.routeTables.length; i++) {
+            let action,
+                misses = [],
+                table = host.routeTables[i],
+                match = table.findRoute(req, misses);
+
+            step.tables.push({
+                id: table.id,
+                matched: (match !== null) ? match.route.on : null,
+                misses: misses.map((m) => ({on: m.route.on, reasons: m.reasons}))
+            });
+            if (match === null) {
+                continue;
+            }
+
+            action = routeAction(match.route, req);
+            if (action.type === 'continue') {
+                continue;  // Rewrite left the URL unchanged, so the next route table gets a look
+            }
+            result.args = match.args;
+            result.route = describeRoute(match.route);
+            result.tableId = table.id;
+            if (action.type === 'rewrite') {
+                let from = req.url;
+
+                try {
+                    rewritten = applyRewrite(req, action.url, settings);
+                } catch (err) {
+                    result.action = {type: 'error', status: 500, reason: err.message};
+                    break;
+                }
+                if (rewritten === false) {
+                    // Change in host, protocol, or port, so requires redirecting
+                    result.action = {type: 'redirect', code: settings.redirectCode, location: action.url};
+                } else {
+                    result.hops.push({from: from, to: req.url, tableId: table.id, on: match.route.on});
+                }
+            } else {
+                result.action = action;
+            }
+            break;
+        }
+
+        if (result.action === null && rewritten === false) {
+            // Nothing matched on this pass
+            result.action = {type: 'error', status: 404, reason: 'No route found'};
+        }
+    }
+
+    return result;
+}
+
+
+/**
+ * Follow the redirects and rewrites from a URL for as long as they stay on configured hosts
+ *
+ * @function
+ * @private
+ * @param {object} hostTable - The host table
+ * @param {object} settings - The request settings
+ * @param {string} url - The absolute URL to start from
+ * @param {string} sampleHost - Hostname of the starting URL, followed like a configured hostname
+ * @param {number} limit - Maximum number of hops to follow
+ * @returns {object} - The chain, with "hops" ({type, code, from, to, on, tableId}) and "loop" (boolean)
+ */
+function traceChain(hostTable, settings, url, sampleHost, limit) {
+    let chain = {
+            hops: [],
+            loop: false
+        },
+        seen = [];
+
+    while (chain.hops.length <= limit) {
+        let key,
+            next,
+            result = explain(hostTable, settings, {url: url});
+
+        key = `${result.request.proto}://${result.request.hostname}:${result.request.port}${result.request.url}`;
+        if (seen.indexOf(key) !== -1) {
+            chain.loop = true;
+            break;
+        }
+        seen.push(key);
+
+        result.hops.forEach((h) => {
+            chain.hops.push({type: 'rewrite', code: 0, from: h.from, to: h.to, on: h.on, tableId: h.tableId});
+        });
+        if (result.action.type === 'error' && result.hops.length > settings.retryLimit) {
+            chain.loop = true;  // Rewritten until the retry limit ran out
+            break;
+        }
+        if (result.action.type !== 'redirect') {
+            break;
+        }
+
+        next = resolveUrl(url, result.action.location);
+        if (parseUrl(next).hostname !== sampleHost && !hostTable.hosts.hasOwnProperty(parseUrl(next).hostname)) {
+            break;  // Redirected off to some other server
+        }
+        chain.hops.push({
+            type: 'redirect',
+            code: result.action.code,
+            from: url,
+            to: next,
+            on: result.route.on,
+            tableId: result.tableId
+        });
+        url = next;
+    }
+    return chain;
+}
+
+
+/**
+ * Find loops and long chains of redirects and rewrites, starting from an example URL for each
+ * redirect and rewrite route.  Redirects are followed while they point to configured hosts.
+ *
+ * @function
+ * @public
+ * @param {object} hostTable - The host table
+ * @param {object} settings - The request settings
+ * @param {number} maxHops - Chains with more hops than this are reported
+ * @returns {array} - List of {route, table, start, hops, loop} objects
+ */
+function findRedirectChains(hostTable, settings, maxHops) {
+    let entries = [],
+        found = [],
+        limit = Math.max(maxHops, settings.retryLimit) + 1;
+
+    for (let n in hostTable.hosts) {
+        if (hostTable.hosts.hasOwnProperty(n) && entries.indexOf(hostTable.hosts[n].routeTables) === -1) {
+            let sampleHost = (n === '*') ? defaultSampleHost : n;
+
+            // Every hostname of a host entry shares its route tables, so just check the first
+            entries.push(hostTable.hosts[n].routeTables);
+            hostTable.hosts[n].routeTables.forEach((table) => {
+                table.routes.forEach((r) => {
+                    let chain,
+                        path,
+                        start;
+
+                    if (typeof r.redirect !== 'string' && typeof r.rewrite !== 'string') {
+                        return;
+                    }
+                    path = table.sampleUrl(r);
+                    if (path === null) {
+                        return;
+                    }
+                    start = `http://${sampleHost}${path}`;
+                    chain = traceChain(hostTable, settings, start, sampleHost, limit);
+                    if (chain.hops.length === 0 || chain.hops[0].tableId !== table.id || chain.hops[0].on !== r.on) {
+                        return;  // The example URL is handled by some other route
+                    }
+                    if (chain.loop === true || chain.hops.length > maxHops) {
+                        found.push({
+                            hops: chain.hops,
+                            loop: chain.loop,
+                            route: r,
+                            start: start,
+                            table: table
+                        });
+                    }
+                });
+            });
+        }
+    }
+    return found;
+}
+
+
+module.exports = {
+    explain: explain,
+    findRedirectChains: findRedirectChains
+};
@@ -0,0 +1,176 @@
+/**
+ * Route-o-matic proxy forwarding headers
+ *
+ * Builds the forwarding headers of proxied requests: X-Forwarded-For and the RFC 7239 Forwarded
+ * header, extended with the client address, and Via.  Forwarding headers sent by a client that is
+ * not a trusted proxy (any client, unless trusted proxies are listed) are dropped, so they can not
+ * be spoofed.
+ *
+ * @module forwarding
+ */
+
+'use strict';
+
+const
+    defaultVia = 'routeomatic',
+    // Headers describing earlier hops, only kept from trusted proxies
+    forwardHeaders = ['forwarded', 'x-forwarded-for', 'x-forwarded-host', 'x-forwarded-proto'],
+    Net = require('net');
+
+
+/**
+ * Get the plain address of a socket address, without the IPv4-mapped IPv6 prefix
+ *
+ * @function
+ * @private
+ * @param {string} addr - The address
+ * @returns {string} - The plain address
+ */
+function plainAddress(addr) {
+    return String(addr || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+}
+
+
+/**
+ * Format a Forwarded header parameter value, quoting it if it is not a token
+ *
+ * @function
+ * @private
+ * @param {string} val - The value
+ * @returns {string} - The formatted value
+ */
+function forwardedValue(val) {
+    if (/^[\w!#$%&'*+.^`|~\-]+$/.test(val)) {
+        return val;
+    }
+    return '"' + val.replace(/["\\]/g, '\\$&') + '"';
+}
+
+
+/**
+ * Add a value to a list header
+ *
+ * @function
+ * @private
+ * @param {string} [prev] - The current header value
+ * @param {string} val - The value to add
+ * @returns {string} - The new header value
+ */
+function appendValue(prev, val) {
+    return (typeof prev === 'string' && prev.length !== 0) ? `${prev}, ${val}` : val;
+}
+
+
+/**
+ * Forwarding object constructor
+ *
+ * @constructor
+ * @param {object} [conf] - The forwarding configuration
+ * @param {array} [conf.trustedProxies] - Addresses or CIDR ranges (e.g. "10.0.0.0/8") of the proxies in
+ *   front of the server, whose forwarding headers are kept (no client is trusted if not set)
+ * @param {boolean} [conf.forwarded] - false to not add the Forwarded header
+ * @param {string|boolean} [conf.via] - The name to add to Via headers ("routeomatic"), or false for none
+ * @throws {Error} - If the configuration is invalid
+ */
+function Forwarding(conf) {
+    let c = conf || {};
+
+    if (typeof c !== 'object') {
+        throw new Error('Invalid forwarding configuration!');
+    }
+    if (typeof c.forwarded !== 'undefined' && typeof c.forwarded !== 'boolean') {
+        throw new Error('Invalid forwarding "forwarded" value, must be true or false!');
+    }
+    if (typeof c.via !== 'undefined' && c.via !== false && (typeof c.via !== 'string' || !/^[\w.\-]+$/.test(c.via))) {
+        throw new Error(`Invalid forwarding "via" name "${c.via}"!`);
+    }
+
+    this.forwarded = c.forwarded !== false;
+    this.trusted = new Net.BlockList();
+    this.via = (typeof c.via === 'undefined') ? defaultVia : c.via;
+
+    if (typeof c.trustedProxies !== 'undefined') {
+        if (!Array.isArray(c.trustedProxies)) {
+            throw new Error('Invalid forwarding trustedProxies list!');
+        }
+        c.trustedProxies.forEach((p) => {
+            let m = /^([^\/]+)(?:\/(\d{1,3}))?$/.exec(String(p)),
+                ver = (m === null) ? 0 : Net.isIP(m[1]);
+
+            if (ver === 0 || (typeof m[2] === 'string' && Number(m[2]) > (ver === 4 ? 32 : 128))) {
+                throw new Error(`Invalid trusted proxy address "${p}"!`);
+            }
+            if (typeof m[2] === 'string') {
+                this.trusted.addSubnet(m[1], Number(m[2]), `ipv${ver}`);
+            } else {
+                this.trusted.addAddress(m[1], `ipv${ver}`);
+            }
+        });
+    }
+}
+
+
+/**
+ * Check if a client address is a trusted proxy
+ *
+ * @memberof Forwarding
+ * @public
+ * @param {string} addr - The client address
+ * @returns {boolean} - true if trusted
+ */
+Forwarding.prototype.trusts = function (addr) {
+    let ip = plainAddress(addr),
+        ver = Net.isIP(ip);
+
+    return ver !== 0 && this.trusted.check(ip, `ipv${ver}`);
+};
+
+
+/**
+ * Set the forwarding headers of a proxied request
+ *
+ * @memberof Forwarding
+ * @public
+ * @param {object} headers - The proxied request headers (lower case names), changed in place
+ * @param {object} req - The client request info
+ * @param {string} req.addr - The client (socket) address
+ * @param {string} req.host - The requested host
+ * @param {string} req.proto - The request protocol ("http" or "https")
+ * @param {string} req.version - The request HTTP version, e.g. "1.1"
+ */
+Forwarding.prototype.requestHeaders = function (headers, req) {
+    let addr = plainAddress(req.addr);
+
+    if (!this.trusts(addr)) {
+        forwardHeaders.forEach((h) => {
+            delete headers[h];
+        });
+    }
+    headers['x-forwarded-for'] = appendValue(headers['x-forwarded-for'], addr);
+    if (this.forwarded === true) {
+        headers.forwarded = appendValue(headers.forwarded, [
+            'for=' + forwardedValue(Net.isIPv6(addr) ? `[${addr}]` : addr || 'unknown'),
+            'host=' + forwardedValue(req.host),
+            'proto=' + req.proto
+        ].join(';'));
+    }
+    this.addVia(headers, req.version);
+};
+
+
+/**
+ * Add this proxy to the Via header of a proxied request or response
+ *
+ * @memberof Forwarding
+ * @public
+ * @param {object} headers - The headers (lower case names), changed in place
+ * @param {string} version - The HTTP version of the message received, e.g. "1.1"
+ */
+Forwarding.prototype.addVia = function (headers, version) {
+    if (this.via !== false) {
+        headers.via = appendValue([].concat(headers.via || []).join(', '), `${String(version || '1.1').replace(/^2\.0$/, '2')} ${this.via}`);
+    }
+};
+
+
+module.exports = Forwarding;
@@ -0,0 +1,109 @@
+/**
+ * Route-o-matic GeoIP country lookup
+ *
+ * Looks up the country of a client IP address in a local MaxMind-format (mmdb) database, such as
+ * GeoLite2-Country or GeoIP2-Country.
+ *
+ * @module geoip
+ */
+
+'use strict';
+
+const
+    Fs = require('fs'),
+    MmdbReader = require('mmdb-lib').Reader;
+
+
+/**
+ * GeoIp object constructor.  The database is read when created.
+ *
+ * @constructor
+ * @param {string} database - Path of the mmdb database file
+ * @param {number} [trustedHops] - Number of trusted proxies in front of the server, whose
+ *   X-Forwarded-For entries are skipped to find the client IP (0, the default, uses the socket address)
+ * @throws {Error} - If the database can not be read
+ */
+function GeoIp(database, trustedHops) {
+    if (typeof database !== 'string' || database.length === 0) {
+        throw new Error('Invalid GeoIP database path!');
+    }
+    if (typeof trustedHops !== 'undefined' && (typeof trustedHops !== 'number' || trustedHops < 0 || trustedHops % 1 !== 0)) {
+        throw new Error('Invalid GeoIP trusted hops value!');
+    }
+
+    this.database = database;
+    this.trustedHops = trustedHops || 0;
+    try {
+        this.reader = new MmdbReader(Fs.readFileSync(database));
+    } catch (err) {
+        throw new Error(`Unable to read GeoIP database "${database}": ${err.message}`);
+    }
+}
+
+
+/**
+ * Find the client IP address of a request.  The socket address and the X-Forwarded-For entries
+ * are taken from nearest to furthest, skipping one for each trusted proxy.
+ *
+ * @memberof GeoIp
+ * @public
+ * @param {object} req - The request object (Express)
+ * @returns {string} - The client IP address, empty if unknown
+ */
+GeoIp.prototype.clientIp = function (req) {
+    let addrs = [],
+        xff = req.headers['x-forwarded-for'];
+
+    if (this.trustedHops !== 0 && typeof xff === 'string') {
+        addrs = xff.split(',').map((a) => a.trim()).filter((a) => a.length !== 0);
+    }
+    addrs.push((req.socket && req.socket.remoteAddress) || req.ip || '');
+    return addrs[Math.max(addrs.length - 1 - this.trustedHops, 0)].replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+};
+
+
+/**
+ * Look up the country of an IP address
+ *
+ * @memberof GeoIp
+ * @public
+ * @param {string} ip - The IP address
+ * @returns {string|null} - The upper case country code, null if not found
+ */
+GeoIp.prototype.country = function (ip) {
+    let rec = null;
+
+    try {
+        rec = this.reader.get(ip);
+    } catch (err) {
+        return null;  // Not an IP address
+    }
+    if (rec === null) {
+        return null;
+    }
+    if (rec.country && typeof rec.country.iso_code === 'string') {
+        return rec.country.iso_code.toUpperCase();
+    }
+    if (rec.registered_country && typeof rec.registered_country.iso_code === 'string') {
+        return rec.registered_country.iso_code.toUpperCase();
+    }
+    return null;
+};
+
+
+/**
+ * Look up the country of a request's client
+ *
+ * @memberof GeoIp
+ * @public
+ * @param {object} req - The request object (Express)
+ * @returns {string|null} - The upper case country code, null if not found
+ */
+GeoIp.prototype.lookup = function (req) {
+    let ip = this.clientIp(req);
+
+    return (ip.length !== 0) ? this.country(ip) : null;
+};
+
+
+module.exports = GeoIp;
@@ -13,11 +13,13 @@ const
  * @param {object} config - Config object.
  * @param {object} config.env - Environment object
  * @param {object} [config.env.subs] - Environment object containing substitutions
+ * @param {array} [config.hostErrors] - If set, collect host entry errors here ({index, message}) instead of throwing
  * @param {object} [config.log] - Shared logger, if used.
  * @param {object} config.routeTables - The route tables object
  */
 function HostTable(src, config) {
     let
+        hostErrors = null,
         routeTables,
         subs = null;
 
@@ -38,11 +40,12 @@ function HostTable(src, config) {
         throw new Error('Invalid or empty host table config!');
     }
     this.log = config.log || utils.baseLogger;
+    hostErrors = Array.isArray(config.hostErrors) ? config.hostErrors : null;
     routeTables = config.routeTables;
     subs = (config.env && config.env.subs) || null;
 
     // Check each host table entry
-    for (let h, hc, i = 0, rr; i < src.length; i++) {
+    for (let h, hc, i = 0, rr, rt; i < src.length; i++) {
         try {
             h = src[i];
             if (typeof h !== 'object' || h === null ||
@@ -57,6 +60,16 @@ function HostTable(src, config) {
             hc.timeout = (typeof h.timeout === 'number') ? h.timeout :
                 (typeof config.defaults.timeout === 'number' ? config.defaults.timeout : 0);
 
+            // Get the request body size limit (0 for none) and allowed content types, if set
+            hc.bodyLimit = utils.parseSize((typeof h.bodyLimit !== 'undefined') ? h.bodyLimit : (config.defaults.bodyLimit || 0));
+            if (hc.bodyLimit === null) {
+                throw new Error(`Invalid bodyLimit "${h.bodyLimit}", must be a number of bytes or a size such as "10mb"!`);
+            }
+            hc.bodyTypes = (typeof h.bodyTypes !== 'undefined') ? h.bodyTypes : (config.defaults.bodyTypes || null);
+            if (hc.bodyTypes !== null && (!Array.isArray(hc.bodyTypes) || hc.bodyTypes.some((t) => typeof t !== 'string' || t.indexOf('/') === -1))) {
+                throw new Error('Invalid bodyTypes, must be a list of content types!');
+            }
+
             // Pull together the headers, proxy headers, and redirect headers for each host
             if ((typeof config.defaults.headers === 'object' && config.defaults.headers !== null) ||
                 (typeof h.headers === 'object' && h.headers !== null)) {
@@ -82,6 +95,7 @@ function HostTable(src, config) {
 
             // Check for route tables that match the requested ID
             rr = [];
+            rt = [];
             for (let j = 0, r; j < h.routeTables.length; j++) {
                 r = h.routeTables[j];
                 if (typeof r !== 'string' || r.length === 0 ||
@@ -90,6 +104,7 @@ function HostTable(src, config) {
                     throw new Error('Invalid or undefined route table!');
                 }
                 rr.push(routeTables[r].getResolver());
+                rt.push(routeTables[r]);
             }
 
             // Check the hostname list
@@ -117,7 +132,9 @@ function HostTable(src, config) {
 
                 this.hosts[n] = {
                     config: hc,
-                    routeResolvers: rr
+                    hostname: n,
+                    routeResolvers: rr,
+                    routeTables: rt
                 };
 
                 if (n === '*') {
@@ -126,6 +143,10 @@ function HostTable(src, config) {
                 this.count++;
             }
         } catch (err) {
+            if (hostErrors !== null) {
+                hostErrors.push({index: i, message: err.message || 'Unknown'});
+                continue;
+            }
             throw new Error(`Error in host table entry #${i}: ` + (err.message || 'Unknown'));
         }
     }
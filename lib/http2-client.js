@@ -0,0 +1,360 @@
+/**
+ * Route-o-matic HTTP/2 proxy client
+ *
+ * Makes proxy requests over HTTP/2 sessions kept open per origin, with the same interface as
+ * http.request: the request is a writable stream of the request body, and the response a
+ * readable stream with the statusCode and headers.  A session the origin is closing (GOAWAY) is
+ * not used for new requests, and requests it refused are made again on a new session.
+ *
+ * @module http2-client
+ */
+
+'use strict';
+
+const
+    defaultIdleTimeout = 60000,
+    // Connection-specific headers, not allowed in HTTP/2
+    hopHeaders = ['connection', 'host', 'http2-settings', 'keep-alive', 'proxy-connection', 'te', 'transfer-encoding', 'upgrade'],
+    Http2 = require('http2'),
+    Stream = require('stream'),
+    Util = require('util'),
+    utils = require('./utils');
+
+
+/**
+ * Build the HTTP/2 request headers from http.request options
+ *
+ * @function
+ * @private
+ * @param {object} opts - The request options ({auth, headers, hostname, method, path, port, protocol})
+ * @returns {object} - The headers, with the pseudo-headers
+ */
+function requestHeaders(opts) {
+    let src = opts.headers || {},
+        defPort = (opts.protocol === 'http:') ? 80 : 443,
+        connHeaders = String(src.connection || '').toLowerCase().split(/\s*,\s*/),
+        headers = {
+            ':authority': src.host || (opts.hostname + ((opts.port && Number(opts.port) !== defPort) ? `:${opts.port}` : '')),
+            ':method': opts.method || 'GET',
+            ':path': opts.path || '/',
+            ':scheme': (opts.protocol === 'http:') ? 'http' : 'https'
+        };
+
+    Object.keys(src).forEach((h) => {
+        let name = h.toLowerCase();
+
+        if (hopHeaders.indexOf(name) === -1 && connHeaders.indexOf(name) === -1) {
+            headers[name] = src[h];
+        } else if (name === 'te' && String(src[h]).toLowerCase() === 'trailers') {
+            headers.te = 'trailers';  // The only TE value allowed
+        }
+    });
+    if (typeof opts.auth === 'string' && opts.auth.length !== 0 && typeof headers.authorization === 'undefined') {
+        headers.authorization = 'Basic ' + Buffer.from(opts.auth).toString('base64');
+    }
+    return headers;
+}
+
+
+/**
+ * HTTP/2 proxy response constructor, a readable stream of the response body
+ *
+ * @constructor
+ * @private
+ * @param {object} stream - The HTTP/2 stream
+ * @param {object} headers - The response headers, with the pseudo-headers
+ */
+function Http2Response(stream, headers) {
+    Stream.Readable.call(this);
+
+    this.headers = {};
+    this.httpVersion = '2.0';
+    this.statusCode = Number(headers[':status']);
+    this.stream = stream;
+
+    Object.keys(headers).forEach((h) => {
+        if (h.charAt(0) !== ':') {
+            this.headers[h] = headers[h];
+        }
+    });
+
+    stream.on('data', (chunk) => {
+        if (!this.push(chunk)) {
+            stream.pause();
+        }
+    });
+    stream.on('end', () => this.push(null));
+}
+
+Util.inherits(Http2Response, Stream.Readable);
+
+
+/**
+ * Resume the HTTP/2 stream when more of the body is wanted
+ *
+ * @memberof Http2Response
+ * @private
+ */
+Http2Response.prototype._read = function () {
+    this.stream.resume();
+};
+
+
+/**
+ * HTTP/2 proxy request constructor, a writable stream of the request body.  Emits "response" with
+ * the Http2Response, and "error" if the request fails before that (after that, the response
+ * emits it).
+ *
+ * @constructor
+ * @private
+ * @param {object} client - The Http2Client
+ * @param {object} opts - The request options (as for http.request)
+ * @param {function} [callback] - Response listener, optional
+ */
+function Http2Request(client, opts, callback) {
+    Stream.Writable.call(this, {autoDestroy: false});  // Only destroyed to abort the request
+
+    this.client = client;
+    this.ended = false;
+    this.failed = false;
+    this.headers = requestHeaders(opts);
+    this.opts = opts;
+    this.response = null;
+    this.stream = null;
+    this.timeout = null;
+    this.written = false;
+
+    if (typeof callback === 'function') {
+        this.on('response', callback);
+    }
+    this.start(true);
+}
+
+Util.inherits(Http2Request, Stream.Writable);
+
+
+/**
+ * Open the HTTP/2 stream
+ *
+ * @memberof Http2Request
+ * @private
+ * @param {boolean} canRetry - true to make the request again on a new session if it is refused
+ */
+Http2Request.prototype.start = function (canRetry) {
+    let stream;
+
+    try {
+        stream = this.client.session(this.opts).request(this.headers, {endStream: false});
+    } catch (err) {
+        process.nextTick(() => this.fail(err));
+        return;
+    }
+    this.stream = stream;
+    if (this.timeout !== null) {
+        stream.setTimeout(this.timeout.ms, this.timeout.callback);
+    }
+    stream.on('response', (headers) => {
+        this.response = new Http2Response(stream, headers);
+        this.emit('response', this.response);
+    });
+    stream.on('error', (err) => this.fail(err));
+    stream.on('close', () => {
+        if (this.response !== null || this.failed === true) {
+            return;
+        }
+        // Refused, e.g. sent as the session was closing, so nothing was processed
+        if (stream.rstCode === Http2.constants.NGHTTP2_REFUSED_STREAM && canRetry === true && this.written === false) {
+            this.client.log.debug(`HTTP/2 request to ${this.headers[':authority']} refused, retrying on a new session`);
+            this.start(false);
+            if (this.ended === true) {
+                this.stream.end();
+            }
+            return;
+        }
+        this.fail(new Error(`HTTP/2 stream closed with code ${stream.rstCode}`));
+    });
+};
+
+
+/**
+ * Fail the request, emitting the error on the response if there is one
+ *
+ * @memberof Http2Request
+ * @private
+ * @param {object} err - The error
+ */
+Http2Request.prototype.fail = function (err) {
+    if (this.failed === true) {
+        return;
+    }
+    this.failed = true;
+    if (this.stream !== null && !this.stream.destroyed) {
+        this.stream.close(Http2.constants.NGHTTP2_CANCEL);
+    }
+    if (this.response !== null) {
+        this.response.destroy(err);
+    } else {
+        this.emit('error', err);
+    }
+};
+
+
+/**
+ * Write a request body chunk
+ *
+ * @memberof Http2Request
+ * @private
+ * @param {object} chunk - The chunk
+ * @param {string} encoding - The chunk encoding
+ * @param {function} callback - Called when written
+ */
+Http2Request.prototype._write = function (chunk, encoding, callback) {
+    if (this.failed === true) {
+        callback();  // Discarded, the error has been emitted
+        return;
+    }
+    this.written = true;
+    this.stream.write(chunk, encoding, callback);
+};
+
+
+/**
+ * End the request body
+ *
+ * @memberof Http2Request
+ * @private
+ * @param {function} callback - Called when done
+ */
+Http2Request.prototype._final = function (callback) {
+    this.ended = true;
+    if (this.failed !== true) {
+        this.stream.end();
+    }
+    callback();
+};
+
+
+/**
+ * Stop the request, emitting the error if given
+ *
+ * @memberof Http2Request
+ * @private
+ * @param {object|null} err - The error
+ * @param {function} callback - Called when done
+ */
+Http2Request.prototype._destroy = function (err, callback) {
+    callback(null);
+    this.fail(err || new Error('HTTP/2 request aborted'));
+};
+
+
+/**
+ * Set the request inactivity timeout, as for http.ClientRequest
+ *
+ * @memberof Http2Request
+ * @public
+ * @param {number} ms - The timeout in milliseconds
+ * @param {function} callback - Called on timeout
+ * @returns {object} - This request
+ */
+Http2Request.prototype.setTimeout = function (ms, callback) {
+    this.timeout = {callback: callback, ms: ms};
+    if (this.stream !== null) {
+        this.stream.setTimeout(ms, callback);
+    }
+    return this;
+};
+
+
+/**
+ * Http2Client object constructor
+ *
+ * @constructor
+ * @param {object} [options] - Client options
+ * @param {number} [options.idleTimeout] - Milliseconds an unused session is kept open (60000 if not set)
+ * @param {object} [options.connect] - Extra http2.connect (TLS) options, e.g. {ca}, optional
+ * @param {object} [options.log] - Logger, optional
+ */
+function Http2Client(options) {
+    let opts = options || {};
+
+    this.connectOptions = opts.connect || {};
+    this.idleTimeout = (typeof opts.idleTimeout === 'number') ? opts.idleTimeout : defaultIdleTimeout;
+    this.log = opts.log || utils.baseLogger;
+    this.sessions = new Map();
+}
+
+
+/**
+ * Get the open session to an origin, connecting if there is none
+ *
+ * @memberof Http2Client
+ * @private
+ * @param {object} opts - The request options ({hostname, lookup, port, protocol})
+ * @returns {object} - The HTTP/2 session
+ */
+Http2Client.prototype.session = function (opts) {
+    let scheme = (opts.protocol === 'http:') ? 'http' : 'https',
+        origin = `${scheme}://${opts.hostname}:${opts.port || (scheme === 'http' ? 80 : 443)}`,
+        session = this.sessions.get(origin),
+        forget;
+
+    if (session !== undefined && !session.closed && !session.destroyed) {
+        return session;
+    }
+
+    session = Http2.connect(origin, Object.assign({}, this.connectOptions, opts.lookup ? {lookup: opts.lookup} : {}));
+    this.sessions.set(origin, session);
+    this.log.debug(`HTTP/2 session to ${origin} opened`);
+
+    // Stop using a session once it is closing, so the next request opens a new one
+    forget = () => {
+        if (this.sessions.get(origin) === session) {
+            this.sessions.delete(origin);
+        }
+    };
+    session.on('goaway', (code) => {
+        this.log.debug(`HTTP/2 session to ${origin} sent GOAWAY (${code})`);
+        forget();
+    });
+    session.on('error', (err) => {
+        this.log.warn(`HTTP/2 session to ${origin} failed: ${err.message}`);
+        forget();
+    });
+    session.on('close', forget);
+    session.setTimeout(this.idleTimeout, () => {
+        forget();
+        session.close();
+    });
+    session.unref();
+    return session;
+};
+
+
+/**
+ * Make a request, as with http.request
+ *
+ * @memberof Http2Client
+ * @public
+ * @param {object} opts - The request options ({auth, headers, hostname, lookup, method, path, port, protocol})
+ * @param {function} [callback] - Response listener, optional
+ * @returns {object} - The request, a writable stream of the request body
+ */
+Http2Client.prototype.request = function (opts, callback) {
+    return new Http2Request(this, opts, callback);
+};
+
+
+/**
+ * Close all the sessions, once their requests are done
+ *
+ * @memberof Http2Client
+ * @public
+ */
+Http2Client.prototype.close = function () {
+    this.sessions.forEach((session) => session.close());
+    this.sessions.clear();
+};
+
+
+module.exports = Http2Client;
@@ -0,0 +1,383 @@
+/**
+ * Route-o-matic routing and proxy metrics
+ *
+ * Collects request counts, rewrite passes and proxy latencies from the routing events of a
+ * RouteOMatic instance, and renders them in the Prometheus text exposition format.
+ *
+ * @module metrics
+ */
+
+'use strict';
+
+const
+    contentType = 'text/plain; version=0.0.4; charset=utf-8',
+    defaultLatencyBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    defaultPrefix = 'routeomatic_',
+    defaultRewriteBuckets = [0, 1, 2, 3, 5, 10],
+    parseUrl = require('url').parse,
+    proxyLabels = ['host', 'table', 'route', 'upstream', 'outcome'],
+    requestLabels = ['host', 'table', 'route', 'action'];
+
+
+/**
+ * Escape a label value for the text format
+ *
+ * @function
+ * @private
+ * @param {mixed} val - The label value
+ * @returns {string} - The escaped value
+ */
+function escapeLabel(val) {
+    return String(val).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+
+/**
+ * Format a set of label values, e.g. {host="www",action="proxy"}
+ *
+ * @function
+ * @private
+ * @param {array} names - The label names
+ * @param {array} values - The label values, in the same order
+ * @param {string} [extra] - Extra formatted label to append, e.g. le="0.5"
+ * @returns {string} - The formatted labels, empty if there are none
+ */
+function formatLabels(names, values, extra) {
+    let parts = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+
+    if (typeof extra === 'string') {
+        parts.push(extra);
+    }
+    return (parts.length !== 0) ? `{${parts.join(',')}}` : '';
+}
+
+
+/**
+ * Check for a list of increasing numbers
+ *
+ * @function
+ * @private
+ * @param {mixed} buckets - Value to check
+ * @returns {boolean} - true if valid histogram buckets
+ */
+function isBucketList(buckets) {
+    return Array.isArray(buckets) && buckets.length !== 0 &&
+        buckets.every((b, i) => typeof b === 'number' && isFinite(b) && (i === 0 || b > buckets[i - 1]));
+}
+
+
+/**
+ * Metrics object constructor
+ *
+ * @constructor
+ * @param {object} [options] - Metrics options
+ * @param {string} [options.prefix] - Prefix for the metric names, "routeomatic_" if not set
+ * @param {array} [options.latencyBuckets] - Proxy latency histogram buckets, in seconds
+ * @param {array} [options.rewriteBuckets] - Rewrite passes per request histogram buckets
+ */
+function Metrics(options) {
+    let opts = options || {};
+
+    if (opts.latencyBuckets !== undefined && !isBucketList(opts.latencyBuckets)) {
+        throw new Error('Metrics latencyBuckets must be a list of increasing numbers!');
+    }
+    if (opts.rewriteBuckets !== undefined && !isBucketList(opts.rewriteBuckets)) {
+        throw new Error('Metrics rewriteBuckets must be a list of increasing numbers!');
+    }
+
+    this.latencyBuckets = opts.latencyBuckets || defaultLatencyBuckets;
+    this.pending = new WeakMap();
+    this.prefix = (typeof opts.prefix === 'string') ? opts.prefix : defaultPrefix;
+    this.rewriteBuckets = opts.rewriteBuckets || defaultRewriteBuckets;
+    this.reset();
+}
+
+
+/**
+ * Clear all collected values
+ *
+ * @memberof Metrics
+ * @public
+ */
+Metrics.prototype.reset = function () {
+    this.proxyLatency = {};
+    this.requests = {};
+    this.rewrites = {buckets: this.rewriteBuckets.map(() => 0), count: 0, sum: 0};
+};
+
+
+/**
+ * Start collecting metrics from a RouteOMatic instance's routing events
+ *
+ * @memberof Metrics
+ * @public
+ * @param {object} rom - The RouteOMatic instance
+ * @returns {object} - This Metrics object
+ */
+Metrics.prototype.observe = function (rom) {
+    rom.on('host:resolved', (e) => {
+        this.state(e.req).host = e.host;
+    });
+    rom.on('route:matched', (e) => {
+        this.state(e.req).table = e.tableId;
+    });
+    rom.on('rewrite', (e) => {
+        let s = this.state(e.req);
+
+        s.rewrites++;
+        this.countRequest(s, e.route, 'rewrite');
+    });
+    rom.on('redirect', (e) => {
+        let s = this.state(e.req);
+
+        s.counted = true;
+        this.countRequest(s, e.route, 'redirect');
+    });
+    rom.on('proxy:start', (e) => {
+        let s = this.state(e.req);
+
+        s.counted = true;
+        s.upstream = parseUrl(e.url).host || '';
+        this.countRequest(s, e.route, 'proxy');
+    });
+    rom.on('cache', (e) => {
+        let s = this.state(e.req);
+
+        if (e.result !== 'miss' && s.counted !== true) {
+            s.counted = true;
+            this.countRequest(s, e.route, 'cache');
+        }
+    });
+    rom.on('proxy:retry', (e) => {
+        let s = this.state(e.req);
+
+        // Each attempt has its own latency sample
+        s.proxied = false;
+        s.upstream = parseUrl(e.url).host || '';
+    });
+    rom.on('proxy:response', (e) => {
+        this.proxyDone(e, String(e.status));
+    });
+    rom.on('proxy:error', (e) => {
+        this.proxyDone(e, (e.timeout === true) ? 'timeout' : 'error');
+    });
+    rom.on('error', (e) => {
+        let s = this.state(e.req);
+
+        if (s.counted !== true) {
+            s.counted = true;
+            this.countRequest(s, e.route, String(e.status || 500));
+        }
+        this.finish(e.req);
+    });
+    rom.on('sent', (e) => {
+        let s = this.state(e.req);
+
+        if (s.counted !== true) {
+            s.counted = true;
+            this.countRequest(s, e.route, 'handled');
+        }
+        this.finish(e.req);
+    });
+    return this;
+};
+
+
+/**
+ * Get the in-flight state of a request
+ *
+ * @memberof Metrics
+ * @private
+ * @param {object} req - The RomRequest
+ * @returns {object} - The request state
+ */
+Metrics.prototype.state = function (req) {
+    let s = this.pending.get(req);
+
+    if (s === undefined) {
+        s = {
+            counted: false,
+            host: '',
+            proxied: false,
+            rewrites: 0,
+            table: '',
+            upstream: ''
+        };
+        this.pending.set(req, s);
+    }
+    return s;
+};
+
+
+/**
+ * Count a request routing action
+ *
+ * @memberof Metrics
+ * @private
+ * @param {object} s - The request state
+ * @param {object|null} route - The matched route, if any
+ * @param {string} action - The action type
+ */
+Metrics.prototype.countRequest = function (s, route, action) {
+    let values = [s.host, route ? s.table : '', route ? route.on : '', action],
+        key = values.join('\n');
+
+    if (!this.requests.hasOwnProperty(key)) {
+        this.requests[key] = {labels: values, value: 0};
+    }
+    this.requests[key].value++;
+};
+
+
+/**
+ * Record the latency of a proxy request, once per request
+ *
+ * @memberof Metrics
+ * @private
+ * @param {object} e - The proxy:response or proxy:error event
+ * @param {string} outcome - Status code, "timeout" or "error"
+ */
+Metrics.prototype.proxyDone = function (e, outcome) {
+    let s = this.pending.get(e.req),
+        values,
+        key;
+
+    if (s === undefined || s.proxied === true) {
+        // Already finished, e.g. a timeout also fails the request, so only the first outcome counts
+        return;
+    }
+    s.proxied = true;
+    values = [s.host, e.route ? s.table : '', e.route ? e.route.on : '', s.upstream, outcome];
+    key = values.join('\n');
+    if (!this.proxyLatency.hasOwnProperty(key)) {
+        this.proxyLatency[key] = {buckets: this.latencyBuckets.map(() => 0), count: 0, labels: values, sum: 0};
+    }
+    this.addSample(this.proxyLatency[key], this.latencyBuckets, e.proxyTime / 1000);
+};
+
+
+/**
+ * Record the rewrite passes of a finished request
+ *
+ * @memberof Metrics
+ * @private
+ * @param {object} req - The RomRequest
+ */
+Metrics.prototype.finish = function (req) {
+    let s = this.pending.get(req);
+
+    if (s !== undefined) {
+        this.pending.delete(req);
+        this.addSample(this.rewrites, this.rewriteBuckets, s.rewrites);
+    }
+};
+
+
+/**
+ * Add a sample to a histogram
+ *
+ * @memberof Metrics
+ * @private
+ * @param {object} hist - The histogram values ({buckets, count, sum})
+ * @param {array} bounds - The bucket upper bounds
+ * @param {number} val - The sample
+ */
+Metrics.prototype.addSample = function (hist, bounds, val) {
+    bounds.forEach((b, i) => {
+        if (val <= b) {
+            hist.buckets[i]++;
+        }
+    });
+    hist.count++;
+    hist.sum += val;
+};
+
+
+/**
+ * Format a histogram's lines
+ *
+ * @memberof Metrics
+ * @private
+ * @param {string} name - The metric name
+ * @param {array} names - The label names
+ * @param {object} hist - The histogram values ({buckets, count, labels, sum})
+ * @param {array} bounds - The bucket upper bounds
+ * @returns {array} - The lines
+ */
+Metrics.prototype.histogramLines = function (name, names, hist, bounds) {
+    let values = hist.labels || [],
+        lines = bounds.map((b, i) => `${name}_bucket${formatLabels(names, values, `le="${b}"`)} ${hist.buckets[i]}`);
+
+    lines.push(`${name}_bucket${formatLabels(names, values, 'le="+Inf"')} ${hist.count}`);
+    lines.push(`${name}_sum${formatLabels(names, values)} ${hist.sum}`);
+    lines.push(`${name}_count${formatLabels(names, values)} ${hist.count}`);
+    return lines;
+};
+
+
+/**
+ * Render the metrics in the Prometheus text format
+ *
+ * @memberof Metrics
+ * @public
+ * @returns {string} - The metrics text
+ */
+Metrics.prototype.render = function () {
+    let reqName = `${this.prefix}requests_total`,
+        proxyName = `${this.prefix}proxy_request_duration_seconds`,
+        rewriteName = `${this.prefix}rewrite_passes`,
+        lines = [
+            `# HELP ${reqName} Routed requests by host entry, route table, route and action.`,
+            `# TYPE ${reqName} counter`
+        ];
+
+    Object.keys(this.requests).sort().forEach((k) => {
+        lines.push(`${reqName}${formatLabels(requestLabels, this.requests[k].labels)} ${this.requests[k].value}`);
+    });
+
+    lines.push(`# HELP ${proxyName} Proxy upstream request latency, by outcome (status code, timeout or error).`);
+    lines.push(`# TYPE ${proxyName} histogram`);
+    Object.keys(this.proxyLatency).sort().forEach((k) => {
+        lines = lines.concat(this.histogramLines(proxyName, proxyLabels, this.proxyLatency[k], this.latencyBuckets));
+    });
+
+    lines.push(`# HELP ${rewriteName} Rewrite passes per request.`);
+    lines.push(`# TYPE ${rewriteName} histogram`);
+    lines = lines.concat(this.histogramLines(rewriteName, [], this.rewrites, this.rewriteBuckets));
+
+    return lines.join('\n') + '\n';
+};
+
+
+/**
+ * Get an Express (or plain HTTP) request handler serving the metrics, e.g. app.get('/metrics', metrics.handler())
+ *
+ * @memberof Metrics
+ * @public
+ * @returns {function} - The request handler
+ */
+Metrics.prototype.handler = function () {
+    return (req, res) => {
+        res.statusCode = 200;
+        res.setHeader('Content-Type', contentType);
+        res.end(this.render());
+    };
+};
+
+
+/**
+ * Get a route handler serving the metrics, for use in envConf.routeHandlers
+ *
+ * @memberof Metrics
+ * @public
+ * @returns {function} - The route handler
+ */
+Metrics.prototype.routeHandler = function () {
+    return (romReq) => {
+        romReq.type = contentType;
+        romReq.send(200, this.render());
+    };
+};
+
+
+module.exports = Metrics;
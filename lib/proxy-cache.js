@@ -0,0 +1,514 @@
+/**
+ * Route-o-matic proxy response cache
+ *
+ * Caches proxied responses by public URL (and the request headers the origin varies on), with
+ * freshness from the origin's Cache-Control or Expires headers or the route's TTL, serving stale
+ * responses while revalidating or when the origin fails.  Entries are kept in a size-capped LRU
+ * memory store, or any store with the same get/set/delete methods (which may return promises).
+ *
+ * @module proxy-cache
+ */
+
+'use strict';
+
+const
+    cacheableStatus = [200, 203, 204, 300, 301, 404, 410],
+    defaultMaxEntrySize = 1048576,
+    defaultMaxSize = 67108864,
+    hopHeaders = ['connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'set-cookie',
+        'te', 'trailer', 'transfer-encoding', 'upgrade'],
+    Url = require('url');
+
+
+/**
+ * Parse a Cache-Control header
+ *
+ * @function
+ * @private
+ * @param {string} [header] - The header value
+ * @returns {object} - The directives, with their (number or string) values, or true if none
+ */
+function parseCacheControl(header) {
+    let cc = {};
+
+    if (typeof header === 'string') {
+        header.split(',').forEach((d) => {
+            let epos = d.indexOf('='),
+                name = ((epos !== -1) ? d.substr(0, epos) : d).trim().toLowerCase(),
+                val = (epos !== -1) ? d.substr(epos + 1).trim().replace(/^"(.*)"$/, '$1') : true;
+
+            if (name.length !== 0) {
+                cc[name] = (typeof val === 'string' && /^\d+$/.test(val)) ? parseInt(val, 10) : val;
+            }
+        });
+    }
+    return cc;
+}
+
+
+/**
+ * Get a number of seconds from a route cache option or a Cache-Control directive
+ *
+ * @function
+ * @private
+ * @param {mixed} opt - The route cache option value, used if a number
+ * @param {mixed} directive - The directive value, used if a number
+ * @returns {number} - The seconds, 0 if neither is set
+ */
+function seconds(opt, directive) {
+    if (typeof opt === 'number') {
+        return opt;
+    }
+    return (typeof directive === 'number') ? directive : 0;
+}
+
+
+/**
+ * Add the request header values a response varies on to a cache key
+ *
+ * @function
+ * @private
+ * @param {string} base - The cache key without the header values
+ * @param {array} vary - The (lower case) header names
+ * @param {object} headers - The request headers
+ * @returns {string} - The cache key
+ */
+function varyKey(base, vary, headers) {
+    return base + vary.map((h) => `\n${h}:${headers[h] || ''}`).join('');
+}
+
+
+/**
+ * Add a cache key to an index set
+ *
+ * @function
+ * @private
+ * @param {Map} index - The index
+ * @param {string} name - The index name (URL or surrogate key)
+ * @param {string} key - The cache key
+ */
+function addToIndex(index, name, key) {
+    if (!index.has(name)) {
+        index.set(name, new Set());
+    }
+    index.get(name).add(key);
+}
+
+
+/**
+ * MemoryStore object constructor, an LRU store capped by the entry sizes
+ *
+ * @constructor
+ * @param {number} maxSize - The maximum total entry size, in bytes
+ * @param {function} [onEvict] - Called with the key and entry of each evicted entry
+ */
+function MemoryStore(maxSize, onEvict) {
+    this.entries = new Map();
+    this.maxSize = maxSize;
+    this.onEvict = onEvict || null;
+    this.size = 0;
+}
+
+
+/**
+ * Get an entry, making it the most recently used
+ *
+ * @memberof MemoryStore
+ * @public
+ * @param {string} key - The cache key
+ * @returns {object|undefined} - The entry, if any
+ */
+MemoryStore.prototype.get = function (key) {
+    let entry = this.entries.get(key);
+
+    if (entry !== undefined) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+    }
+    return entry;
+};
+
+
+/**
+ * Store an entry, evicting the least recently used entries to make room
+ *
+ * @memberof MemoryStore
+ * @public
+ * @param {string} key - The cache key
+ * @param {object} entry - The entry, with its "size"
+ */
+MemoryStore.prototype.set = function (key, entry) {
+    this.delete(key);
+    this.entries.set(key, entry);
+    this.size += entry.size;
+    for (let it = this.entries.keys(); this.size > this.maxSize;) {
+        let oldKey = it.next().value,
+            old = this.entries.get(oldKey);
+
+        this.entries.delete(oldKey);
+        this.size -= old.size;
+        if (this.onEvict !== null) {
+            this.onEvict(oldKey, old);
+        }
+    }
+};
+
+
+/**
+ * Remove an entry
+ *
+ * @memberof MemoryStore
+ * @public
+ * @param {string} key - The cache key
+ */
+MemoryStore.prototype.delete = function (key) {
+    let entry = this.entries.get(key);
+
+    if (entry !== undefined) {
+        this.entries.delete(key);
+        this.size -= entry.size;
+    }
+};
+
+
+/**
+ * ProxyCache object constructor
+ *
+ * @constructor
+ * @param {object} [options] - Cache options
+ * @param {number} [options.maxSize] - Maximum size of the memory store, in bytes (64MB if not set)
+ * @param {number} [options.maxEntrySize] - Maximum size of a cached response body, in bytes (1MB if not set)
+ * @param {object} [options.store] - Store to use instead of the memory store, with get(key),
+ *   set(key, entry) and delete(key) methods, which may return promises
+ */
+function ProxyCache(options) {
+    let opts = options || {};
+
+    ['maxSize', 'maxEntrySize'].forEach((k) => {
+        if (typeof opts[k] !== 'undefined' && (typeof opts[k] !== 'number' || !(opts[k] > 0))) {
+            throw new Error(`Invalid proxy cache ${k} value!`);
+        }
+    });
+    if (typeof opts.store !== 'undefined' && (typeof opts.store !== 'object' || opts.store === null ||
+        ['get', 'set', 'delete'].some((m) => typeof opts.store[m] !== 'function'))) {
+
+        throw new Error('Invalid proxy cache store, must have get, set and delete methods!');
+    }
+
+    this.inflight = new Map();
+    this.keyIndex = new Map();
+    this.maxEntrySize = opts.maxEntrySize || defaultMaxEntrySize;
+    this.store = opts.store || new MemoryStore(opts.maxSize || defaultMaxSize, (key, entry) => this.unindex(key, entry));
+    this.urlIndex = new Map();
+    this.varies = new Map();
+}
+
+
+/**
+ * Get the public URL of a request, used to purge its entries
+ *
+ * @memberof ProxyCache
+ * @private
+ * @param {object} req - The request object (RomRequest)
+ * @returns {string} - The URL
+ */
+ProxyCache.prototype.requestUrl = function (req) {
+    return `${req.proto}://${String(req.headerHost).toLowerCase()}${req.serverRequest.originalUrl || req.url}`;
+};
+
+
+/**
+ * Get the cache key of a request: the public URL, the proxy destination, and the values of the
+ * request headers the origin last varied the response on
+ *
+ * @memberof ProxyCache
+ * @public
+ * @param {object} req - The request object (RomRequest)
+ * @param {object} proxy - The proxy options
+ * @returns {object} - The URL, the key without the header values, and the key ({url, base, key})
+ */
+ProxyCache.prototype.keyFor = function (req, proxy) {
+    let url = this.requestUrl(req),
+        base = `${url}\n${proxy.upstream ? `upstream:${proxy.upstream}` : `${proxy.hostname}:${proxy.port || ''}`}`,
+        vary = this.varies.get(base) || [];
+
+    return {
+        base: base,
+        key: varyKey(base, vary, req.serverRequest.headers),
+        url: url
+    };
+};
+
+
+/**
+ * Look up a cached response
+ *
+ * @memberof ProxyCache
+ * @public
+ * @param {string} key - The cache key
+ * @returns {Promise} - Resolves with the entry, or null if not cached
+ */
+ProxyCache.prototype.lookup = function (key) {
+    return Promise.resolve(this.store.get(key)).then((entry) => entry || null);
+};
+
+
+/**
+ * Work out the state of an entry
+ *
+ * @memberof ProxyCache
+ * @public
+ * @param {object} entry - The cache entry
+ * @returns {string} - "fresh", "stale" (can be used while revalidating), "error" (can only be
+ *   used if the origin fails) or "expired"
+ */
+ProxyCache.prototype.entryState = function (entry) {
+    let now = Date.now();
+
+    if (now < entry.expires) {
+        return 'fresh';
+    }
+    if (now < entry.staleWhileRevalidate) {
+        return 'stale';
+    }
+    return (now < entry.staleIfError) ? 'error' : 'expired';
+};
+
+
+/**
+ * Work out how long an origin response can be cached
+ *
+ * @memberof ProxyCache
+ * @public
+ * @param {number} status - The response status code
+ * @param {object} headers - The response headers (lower case names)
+ * @param {object} opts - The route cache options ({ttl, staleWhileRevalidate, staleIfError, surrogateKeys})
+ * @returns {object|null} - The policy ({ttl, staleWhileRevalidate, staleIfError, tags, vary}) in
+ *   seconds, null if not cacheable
+ */
+ProxyCache.prototype.policy = function (status, headers, opts) {
+    let cc = parseCacheControl(headers['cache-control']),
+        vary = (typeof headers.vary === 'string') ? headers.vary.toLowerCase().split(',').map((h) => h.trim()).filter((h) => h.length !== 0) : [],
+        ttl;
+
+    if (cacheableStatus.indexOf(status) === -1 || cc['no-store'] === true || cc.private === true ||
+        typeof headers['set-cookie'] !== 'undefined' || vary.indexOf('*') !== -1) {
+
+        return null;
+    }
+
+    if (typeof opts.ttl === 'number') {
+        ttl = opts.ttl;
+    } else if (cc['no-cache'] === true) {
+        ttl = 0;
+    } else if (typeof cc['s-maxage'] === 'number') {
+        ttl = cc['s-maxage'];
+    } else if (typeof cc['max-age'] === 'number') {
+        ttl = cc['max-age'];
+    } else if (typeof headers.expires === 'string') {
+        ttl = (Date.parse(headers.expires) - (Date.parse(headers.date) || Date.now())) / 1000;
+        ttl = isNaN(ttl) ? 0 : ttl;
+    } else {
+        ttl = 0;
+    }
+    if (typeof opts.ttl !== 'number' && typeof headers.age === 'string' && /^\d+$/.test(headers.age)) {
+        ttl -= parseInt(headers.age, 10);
+    }
+
+    return (ttl > 0) ? {
+        staleIfError: seconds(opts.staleIfError, cc['stale-if-error']),
+        staleWhileRevalidate: seconds(opts.staleWhileRevalidate, cc['stale-while-revalidate']),
+        tags: ((typeof headers['surrogate-key'] === 'string') ? headers['surrogate-key'].split(/\s+/) : [])
+            .concat(opts.surrogateKeys || []).filter((t) => t.length !== 0),
+        ttl: ttl,
+        vary: vary
+    } : null;
+};
+
+
+/**
+ * Store an origin response
+ *
+ * @memberof ProxyCache
+ * @public
+ * @param {object} req - The request object (RomRequest)
+ * @param {object} keys - The request keys from keyFor
+ * @param {object} policy - The cache policy
+ * @param {number} status - The response status code
+ * @param {object} headers - The response headers to send with cached responses (lower case names)
+ * @param {Buffer} body - The response body
+ * @returns {Promise} - Resolves when stored
+ */
+ProxyCache.prototype.save = function (req, keys, policy, status, headers, body) {
+    let now = Date.now(),
+        entry = {
+            base: keys.base,
+            body: body,
+            expires: now + policy.ttl * 1000,
+            headers: {},
+            size: body.length,
+            status: status,
+            storedAt: now,
+            tags: policy.tags,
+            url: keys.url
+        },
+        key;
+
+    if (body.length > this.maxEntrySize) {
+        return Promise.resolve();
+    }
+    Object.keys(headers).forEach((h) => {
+        if (hopHeaders.indexOf(h) === -1 && h !== 'age' && h !== 'x-cache') {
+            entry.headers[h] = headers[h];
+            entry.size += h.length + String(headers[h]).length;
+        }
+    });
+    entry.staleWhileRevalidate = entry.expires + policy.staleWhileRevalidate * 1000;
+    entry.staleIfError = Math.max(entry.staleWhileRevalidate, entry.expires + policy.staleIfError * 1000);
+
+    // The key depends on the headers the origin varies on, so work it out again
+    if (policy.vary.length !== 0) {
+        this.varies.set(keys.base, policy.vary);
+    } else {
+        this.varies.delete(keys.base);
+    }
+    key = varyKey(keys.base, policy.vary, req.serverRequest.headers);
+    addToIndex(this.urlIndex, entry.url, key);
+    entry.tags.forEach((t) => addToIndex(this.keyIndex, t, key));
+    return Promise.resolve(this.store.set(key, entry));
+};
+
+
+/**
+ * Remove the purge index entries of a removed cache entry
+ *
+ * @memberof ProxyCache
+ * @private
+ * @param {string} key - The cache key
+ * @param {object} entry - The removed entry
+ */
+ProxyCache.prototype.unindex = function (key, entry) {
+    [[this.urlIndex, entry.url]].concat(entry.tags.map((t) => [this.keyIndex, t])).forEach((pair) => {
+        let keys = pair[0].get(pair[1]);
+
+        if (keys !== undefined) {
+            keys.delete(key);
+            if (keys.size === 0) {
+                pair[0].delete(pair[1]);
+            }
+        }
+    });
+    if (!this.urlIndex.has(entry.url)) {
+        this.varies.delete(entry.base);
+    }
+};
+
+
+/**
+ * Remove the entries listed in an index
+ *
+ * @memberof ProxyCache
+ * @private
+ * @param {Map} index - The URL or surrogate key index
+ * @param {string} name - The URL or surrogate key
+ * @returns {Promise} - Resolves with the number of entries removed
+ */
+ProxyCache.prototype.purgeIndexed = function (index, name) {
+    let keys = Array.from(index.get(name) || []);
+
+    index.delete(name);
+    return Promise.all(keys.map((key) => Promise.resolve(this.store.get(key)).then((entry) => {
+        if (entry) {
+            this.unindex(key, entry);
+            return Promise.resolve(this.store.delete(key)).then(() => 1);
+        }
+        return 0;
+    }))).then((counts) => counts.reduce((a, b) => a + b, 0));
+};
+
+
+/**
+ * Purge the cached responses for a public URL, e.g. "https://www.example.com/story?id=1"
+ *
+ * @memberof ProxyCache
+ * @public
+ * @param {string} url - The URL
+ * @returns {Promise} - Resolves with the number of entries removed
+ */
+ProxyCache.prototype.purgeUrl = function (url) {
+    let u = Url.parse(url);
+
+    return this.purgeIndexed(this.urlIndex, `${u.protocol}//${String(u.host).toLowerCase()}${u.path || '/'}`);
+};
+
+
+/**
+ * Purge the cached responses with a surrogate key (from the origin's Surrogate-Key header, or
+ * the route's surrogateKeys)
+ *
+ * @memberof ProxyCache
+ * @public
+ * @param {string} tag - The surrogate key
+ * @returns {Promise} - Resolves with the number of entries removed
+ */
+ProxyCache.prototype.purgeKey = function (tag) {
+    return this.purgeIndexed(this.keyIndex, tag);
+};
+
+
+/**
+ * Claim the origin request for a cache key, so concurrent misses wait for it
+ *
+ * @memberof ProxyCache
+ * @public
+ * @param {string} key - The cache key
+ * @returns {boolean} - true if claimed, false if another request already has it
+ */
+ProxyCache.prototype.claim = function (key) {
+    if (this.inflight.has(key)) {
+        return false;
+    }
+    this.inflight.set(key, []);
+    return true;
+};
+
+
+/**
+ * Wait for the claimed origin request of a cache key to finish
+ *
+ * @memberof ProxyCache
+ * @public
+ * @param {string} key - The cache key
+ * @returns {Promise} - Resolves when released
+ */
+ProxyCache.prototype.wait = function (key) {
+    return new Promise((resolve) => {
+        if (this.inflight.has(key)) {
+            this.inflight.get(key).push(resolve);
+        } else {
+            resolve();
+        }
+    });
+};
+
+
+/**
+ * Release a claimed cache key, waking the requests waiting for it
+ *
+ * @memberof ProxyCache
+ * @public
+ * @param {string} key - The cache key
+ */
+ProxyCache.prototype.release = function (key) {
+    let waiting = this.inflight.get(key);
+
+    if (waiting !== undefined) {
+        this.inflight.delete(key);
+        waiting.forEach((resolve) => resolve());
+    }
+};
+
+
+ProxyCache.MemoryStore = MemoryStore;
+
+module.exports = ProxyCache;
@@ -0,0 +1,212 @@
+/**
+ * Route-o-matic proxy response header rewriting
+ *
+ * Rewrites the Location and Content-Location headers of proxied responses from the origin's host
+ * and path to the public ones, and the Domain and Path attributes of their cookies, so internal
+ * hostnames and paths are not sent to clients.
+ *
+ * @module proxy-rewrite
+ */
+
+'use strict';
+
+const
+    defaultPorts = {'http:': '80', 'https:': '443'},
+    locationHeaders = ['content-location', 'location'],
+    parseUrl = require('url').parse;
+
+
+/**
+ * Check for an object of string to string mappings
+ *
+ * @function
+ * @private
+ * @param {mixed} val - Value to check
+ * @returns {boolean} - true if valid
+ */
+function isStringMap(val) {
+    return typeof val === 'object' && val !== null && !Array.isArray(val) &&
+        Object.keys(val).every((k) => k.length !== 0 && typeof val[k] === 'string');
+}
+
+
+/**
+ * Replace the first matching prefix of a value using a prefix mapping
+ *
+ * @function
+ * @private
+ * @param {string} val - The value
+ * @param {object} map - The prefix mapping
+ * @returns {string|null} - The new value, null if no prefix matched
+ */
+function replacePrefix(val, map) {
+    for (let from in map) {
+        if (map.hasOwnProperty(from) && val.indexOf(from) === 0) {
+            return map[from] + val.slice(from.length);
+        }
+    }
+    return null;
+}
+
+
+/**
+ * Map a cookie domain, ignoring case and any leading dot
+ *
+ * @function
+ * @private
+ * @param {string} domain - The cookie domain
+ * @param {object} map - The domain mapping
+ * @returns {string|null} - The new domain, null if not mapped
+ */
+function mapDomain(domain, map) {
+    let d = domain.replace(/^\./, '').toLowerCase();
+
+    for (let from in map) {
+        if (map.hasOwnProperty(from) && from.replace(/^\./, '').toLowerCase() === d) {
+            return map[from];
+        }
+    }
+    return null;
+}
+
+
+/**
+ * Get the path prefix a proxy's pathMatch/pathReplace options map to the origin, and back
+ *
+ * @function
+ * @private
+ * @param {object} proxy - The proxy options
+ * @returns {object|null} - The prefixes ({origin, public}), null if the path is not mapped or can not be mapped back
+ */
+function pathPrefixes(proxy) {
+    let m;
+
+    if (typeof proxy.pathReplace !== 'string' || proxy.pathReplace.indexOf('$') !== -1) {
+        return null;
+    }
+    if (typeof proxy.pathMatch === 'string') {
+        return {origin: proxy.pathReplace, public: proxy.pathMatch};
+    }
+    // Only an anchored literal prefix can be mapped back, e.g. /^\/news\//
+    if (proxy.pathMatch instanceof RegExp && (m = /^\^((?:[^\\.^$*+?()[\]{}|]|\\[^\w])+)$/.exec(proxy.pathMatch.source)) !== null) {
+        return {origin: proxy.pathReplace, public: m[1].replace(/\\(.)/g, '$1')};
+    }
+    return null;
+}
+
+
+/**
+ * Rewrite a Location or Content-Location URL from the origin to the public host and path
+ *
+ * @function
+ * @private
+ * @param {string} loc - The URL
+ * @param {object} proxy - The proxy options
+ * @param {object} origin - The origin ({host, hostname, port, protocol}), host being the Host header sent
+ * @param {string} base - The public base URL, e.g. "https://www.example.com"
+ * @returns {string} - The rewritten URL
+ */
+function rewriteLocation(loc, proxy, origin, base) {
+    let url = parseUrl(loc),
+        prefixes = pathPrefixes(proxy),
+        path;
+
+    if (typeof proxy.rewriteLocation === 'object') {
+        return replacePrefix(loc, proxy.rewriteLocation) || loc;
+    }
+    if (url.host !== null) {
+        // Only URLs of the origin itself, by address or by the Host header it was sent
+        if ((String(url.hostname).toLowerCase() !== String(origin.hostname).toLowerCase() ||
+            (url.port || defaultPorts[url.protocol]) !== String(origin.port || defaultPorts[origin.protocol])) &&
+            url.host.toLowerCase() !== String(origin.host).toLowerCase()) {
+
+            return loc;
+        }
+    } else if (url.pathname === null || url.pathname.charAt(0) !== '/') {
+        return loc;  // Relative to the current path
+    }
+
+    path = url.pathname || '/';
+    if (prefixes !== null && path.indexOf(prefixes.origin) === 0) {
+        path = prefixes.public + path.slice(prefixes.origin.length);
+    }
+    return ((url.host !== null) ? base : '') + path + (url.search || '') + (url.hash || '');
+}
+
+
+/**
+ * Rewrite the Domain and Path attributes of a Set-Cookie header value
+ *
+ * @function
+ * @private
+ * @param {string} cookie - The Set-Cookie header value
+ * @param {object} proxy - The proxy options
+ * @returns {string} - The rewritten value
+ */
+function rewriteCookie(cookie, proxy) {
+    let parts = cookie.split(';');
+
+    for (let i = parts.length - 1; i > 0; i--) {
+        let m = /^\s*(domain|path)\s*=\s*(.*?)\s*$/i.exec(parts[i]),
+            val = null;
+
+        if (m !== null && m[1].toLowerCase() === 'domain' && isStringMap(proxy.cookieDomain)) {
+            val = mapDomain(m[2], proxy.cookieDomain);
+        } else if (m !== null && m[1].toLowerCase() === 'path' && isStringMap(proxy.cookiePath)) {
+            val = replacePrefix(m[2], proxy.cookiePath);
+        }
+        if (val === '') {
+            parts.splice(i, 1);
+        } else if (val !== null) {
+            parts[i] = ` ${m[1]}=${val}`;
+        }
+    }
+    return parts.join(';');
+}
+
+
+module.exports = {
+    /**
+     * Check the rewriting options of a proxy
+     *
+     * @function
+     * @public
+     * @param {object} proxy - The proxy options ({rewriteLocation, cookieDomain, cookiePath})
+     * @returns {string|null} - The error message, null if valid
+     */
+    checkOptions: function (proxy) {
+        if (typeof proxy.rewriteLocation !== 'undefined' && typeof proxy.rewriteLocation !== 'boolean' && !isStringMap(proxy.rewriteLocation)) {
+            return '"rewriteLocation" must be true, false, or an object of URL prefixes and their replacements';
+        }
+        if (typeof proxy.cookieDomain !== 'undefined' && !isStringMap(proxy.cookieDomain)) {
+            return '"cookieDomain" must be an object of domains and their replacements';
+        }
+        if (typeof proxy.cookiePath !== 'undefined' && !isStringMap(proxy.cookiePath)) {
+            return '"cookiePath" must be an object of path prefixes and their replacements';
+        }
+        return null;
+    },
+
+    /**
+     * Rewrite the Location, Content-Location and Set-Cookie headers of a proxied response
+     *
+     * @function
+     * @public
+     * @param {object} headers - The response headers (lower case names), changed in place
+     * @param {object} proxy - The proxy options
+     * @param {object} origin - The origin ({host, hostname, port, protocol}), host being the Host header sent
+     * @param {string} base - The public base URL, e.g. "https://www.example.com"
+     */
+    rewriteHeaders: function (headers, proxy, origin, base) {
+        if (proxy.rewriteLocation !== false) {
+            locationHeaders.forEach((h) => {
+                if (typeof headers[h] === 'string') {
+                    headers[h] = rewriteLocation(headers[h], proxy, origin, base);
+                }
+            });
+        }
+        if (typeof headers['set-cookie'] !== 'undefined' && (isStringMap(proxy.cookieDomain) || isStringMap(proxy.cookiePath))) {
+            headers['set-cookie'] = [].concat(headers['set-cookie']).map((c) => rewriteCookie(String(c), proxy));
+        }
+    }
+};
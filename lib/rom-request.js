@@ -7,17 +7,24 @@
 'use strict';
 
 const
+    bodyTransform = require('./body-transform'),
     Bourne = require('@hapi/bourne'),
     ContentType = require('content-type'),
+    Fs = require('fs'),
     getRawBody = require('raw-body'),
     Http = require('http'),
-    Http2 = require('http2'),
     Https = require('https'),
     HttpError = require('./http-error'),
     Mime = require('mime'),
+    Path = require('path'),
+    // Precompressed static file variants, in order of preference
+    precompressed = [{coding: 'br', ext: '.br'}, {coding: 'gzip', ext: '.gz'}],
+    proxyRewrite = require('./proxy-rewrite'),
     QS = require('qs'),
     Query = require('querystring'),
-    redirectCodes = [301, 302, 303, 307, 308],
+    retryMethods = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE'],
+    Stream = require('stream'),
+    TextDecoder = require('util').TextDecoder,
     Url = require('url'),
     utils = require('./utils');
 
@@ -31,20 +38,31 @@ const
 function RomRequest(settings) {
     // Initialize this object
     this.body = null;
+    this.bodyPromise = null;
     this.dnsLookup = settings.dnsLookup;
+    this.events = settings.events || null;
+    this.geo = null;
+    this.geoSource = null;
     this.headers = null;
     this.hostConfig = null;
     this.hostTable = settings.hostTable;
     this.logger = settings.requestLogger;
     this.logPrefix = '';
     this.onSent = settings.onSent;
+    this.rawBody = null;
+    this.route = null;
+    this.routeArgs = null;
     this.routePass = 0;
     this.serverNext = null;
     this.serverResponse = null;
     this.serverRequest = null;
     this.settings = settings;
+    this.skippedRoutes = [];
+    this.startTime = null;
     this.timeout = settings.timeout;
     this.type = '';
+    this.upgrade = null;
+    this.variants = {};
 
     // Setup the request logger.
     this.log = {
@@ -123,6 +141,139 @@ RomRequest.prototype.responseHeaders = function () {
  */
 
 
+/**
+ * Get the time since the request started
+ *
+ * @memberof RomRequest
+ * @public
+ * @returns {number} - Elapsed milliseconds
+ */
+RomRequest.prototype.elapsed = function () {
+    let diff;
+
+    if (this.startTime === null) {
+        return 0;
+    }
+    diff = process.hrtime(this.startTime);
+    return (diff[0] * 1e3) + (diff[1] / 1e6);
+};
+
+
+/**
+ * Emit a routing event, if anything is listening.  Every event gets the request ("req"), the
+ * matched "route" and "args" (null until a route matches), and the "elapsed" milliseconds.
+ *
+ * @memberof RomRequest
+ * @private
+ * @param {string} event - The event name
+ * @param {object} [details] - Values specific to the event
+ */
+RomRequest.prototype.emitEvent = function (event, details) {
+    if (this.events === null || this.events.listenerCount(event) === 0) {
+        return;
+    }
+    try {
+        this.events.emit(event, Object.assign({
+            args: this.routeArgs,
+            elapsed: this.elapsed(),
+            req: this,
+            route: this.route
+        }, details));
+    } catch (err) {
+        this.log.error(`Error in "${event}" event listener: ${err.message}`);
+    }
+};
+
+
+/**
+ * Get the country of the request, from the geoHeader request header, the geoLookup function, the
+ * GeoIP database, or the geoCookie cookie, in that order.  Found once per request as "geo", and
+ * where it came from is set as "geoSource" ("header", "lookup", "geoip" or "cookie", null if unknown).
+ *
+ * @memberof RomRequest
+ * @public
+ * @returns {string|null} - The upper case country code, null if unknown
+ */
+RomRequest.prototype.countryCode = function () {
+    let isCode = (cc) => typeof cc === 'string' && /^[A-Za-z]{2}$/.test(cc),
+        settings = this.settings,
+        cc = null;
+
+    this.geoSource = null;
+    if (settings.geoHeader.length !== 0 && isCode(cc = this.serverRequest.headers[settings.geoHeader])) {
+        this.geoSource = 'header';
+    }
+    if (this.geoSource === null && settings.geoLookup !== null) {
+        try {
+            if (isCode(cc = settings.geoLookup(this))) {
+                this.geoSource = 'lookup';
+            }
+        } catch (err) {
+            this.log.error(`Error in geo lookup: ${err.message}`);
+        }
+    }
+    if (this.geoSource === null && settings.geoIp !== null && isCode(cc = settings.geoIp.lookup(this.serverRequest))) {
+        this.geoSource = 'geoip';
+    }
+    if (this.geoSource === null && settings.geoCookie.length !== 0 &&
+        isCode(cc = utils.parseCookies(this.serverRequest.headers.cookie)[settings.geoCookie])) {
+
+        this.geoSource = 'cookie';
+    }
+    return (this.geoSource !== null) ? cc.toUpperCase() : null;
+};
+
+
+/**
+ * Add a cookie to the response, keeping any others already set
+ *
+ * @memberof RomRequest
+ * @public
+ * @param {string} name - The cookie name
+ * @param {string} value - The cookie value
+ * @param {object} [options] - Cookie attributes ({maxAge (seconds), path, domain, secure, httpOnly, sameSite})
+ */
+RomRequest.prototype.setCookie = function (name, value, options) {
+    let opts = Object.assign({path: '/'}, options),
+        cookie = `${name}=${encodeURIComponent(value)}`,
+        prev = this.serverResponse.getHeader('set-cookie');
+
+    if (typeof opts.maxAge === 'number') {
+        cookie += `; Max-Age=${Math.floor(opts.maxAge)}`;
+    }
+    if (typeof opts.domain === 'string') {
+        cookie += `; Domain=${opts.domain}`;
+    }
+    if (typeof opts.path === 'string') {
+        cookie += `; Path=${opts.path}`;
+    }
+    if (typeof opts.sameSite === 'string') {
+        cookie += `; SameSite=${opts.sameSite}`;
+    }
+    if (opts.secure === true) {
+        cookie += '; Secure';
+    }
+    if (opts.httpOnly === true) {
+        cookie += '; HttpOnly';
+    }
+    this.serverResponse.setHeader('set-cookie', (typeof prev === 'undefined') ? [cookie] : [].concat(prev, cookie));
+};
+
+
+/**
+ * Note that the response has been sent
+ *
+ * @memberof RomRequest
+ * @private
+ */
+RomRequest.prototype.sent = function () {
+    if (this.onSent !== null) {
+        this.onSent(this.serverRequest, this.serverResponse);
+    }
+    this.emitEvent('sent', {status: this.serverResponse.statusCode});
+};
+
+
 /**
  * End response and finish request
  *
@@ -142,9 +293,7 @@ RomRequest.prototype.end = function (code) {
         this.serverResponse.end();
         this.log.debug('Request ended.');
     }
-    if (this.onSent !== null) {
-        this.onSent(this.serverRequest, this.serverResponse);
-    }
+    this.sent();
 };
 
 
@@ -191,9 +340,7 @@ RomRequest.prototype.send = function (status, content) {
         }
         // Send the status code and the response content
         resp.status(status).send(content);
-        if (this.onSent !== null) {
-            this.onSent(this.serverRequest, resp);
-        }
+        this.sent();
         this.log.debug(`Response sent (${status}).`);
     } catch (err) {
         this.log.error(`Error sending response: ${err.message}`);
@@ -283,9 +430,7 @@ RomRequest.prototype.sendFile = function (filepath, options) {
                 }
                 this.error(err.status || 500);
             } else {
-                if (this.onSent !== null) {
-                    this.onSent(this.serverRequest, resp);
-                }
+                this.sent();
                 this.log.debug(`Sent file "${filepath}"`);
             }
         });
@@ -296,241 +441,1251 @@ RomRequest.prototype.sendFile = function (filepath, options) {
 };
 
 
+/**
+ * Skip the matched route and route the request again, so the next matching route handles it
+ *
+ * @memberof RomRequest
+ * @public
+ */
+RomRequest.prototype.fallThrough = function () {
+    this.log.debug(`Falling through from the route for "${this.route.on}"`);
+    this.skippedRoutes.push(this.route);
+    this.doRoute();
+};
+
+
+/**
+ * Send a file from the directory of a static route, falling through to the next matching route
+ * (or sending a 404) if there is no such file
+ *
+ * @memberof RomRequest
+ * @private
+ * @param {object} conf - The static route options
+ * @param {string} relPath - The request path of the file within the directory
+ */
+RomRequest.prototype.sendStatic = function (conf, relPath) {
+    let file,
+        inRoot,
+        missing = () => {
+            if (conf.fallthrough === true) {
+                this.fallThrough();
+            } else {
+                this.log.debug(`Static file not found: "${file}"`);
+                this.error(404);
+            }
+        },
+        rel = null;
+
+    try {
+        if (this.upgrade !== null) {
+            this.error(400, 'Static files can not be upgraded.');
+            return;
+        }
+        if (this.method !== 'GET' && this.method !== 'HEAD') {
+            if (conf.fallthrough === true) {
+                this.fallThrough();
+            } else {
+                this.serverResponse.set('allow', 'GET, HEAD');
+                this.error(405);
+            }
+            return;
+        }
+
+        // Keep the file within the directory
+        try {
+            rel = decodeURIComponent(relPath);
+        } catch (err) {
+            rel = null;
+        }
+        if (rel === null || rel.indexOf('\0') !== -1) {
+            this.log.debug(`Invalid static file path "${relPath}", sending error 400.`);
+            this.error(400);
+            return;
+        }
+        file = Path.join(conf.root, rel);
+        inRoot = Path.relative(conf.root, file);
+        if (inRoot === '..' || inRoot.indexOf('..' + Path.sep) === 0 || Path.isAbsolute(inRoot)) {
+            this.log.info(`Static file path "${relPath}" is outside of ${conf.root}, sending error 403.`);
+            this.error(403);
+            return;
+        }
+        if (conf.dotfiles !== 'allow' && inRoot.split(Path.sep).some((seg) => seg.charAt(0) === '.')) {
+            if (conf.dotfiles === 'deny') {
+                this.log.debug(`Static file path "${relPath}" is a dotfile, sending error 403.`);
+                this.error(403);
+            } else {
+                missing();
+            }
+            return;
+        }
+
+        Fs.stat(file, (err, stat) => {
+            if (err === null && stat.isDirectory() && conf.index !== false) {
+                if (this.path.slice(-1) !== '/') {
+                    this.redirect(301, this.path + '/' + (typeof this.query === 'string' ? '?' + this.query : ''));
+                    return;
+                }
+                file = Path.join(file, conf.index);
+                Fs.stat(file, (ierr, istat) => {
+                    if (ierr === null && istat.isFile()) {
+                        this.sendStaticVariant(conf, file, istat, conf.precompressed === true ? precompressed : []);
+                    } else {
+                        missing();
+                    }
+                });
+            } else if (err === null && stat.isFile()) {
+                this.sendStaticVariant(conf, file, stat, conf.precompressed === true ? precompressed : []);
+            } else if (err === null || err.code === 'ENOENT' || err.code === 'ENOTDIR' || err.code === 'ENAMETOOLONG') {
+                missing();
+            } else {
+                this.log.error(`Error reading static file "${file}": ${err.message}`);
+                this.error(500);
+            }
+        });
+    } catch (err) {
+        this.log.error(`Error sending static file: ${err.message}`);
+        this.error(500);
+    }
+};
+
+
+/**
+ * Send the first precompressed variant of a static file the client accepts, or the file itself
+ *
+ * @memberof RomRequest
+ * @private
+ * @param {object} conf - The static route options
+ * @param {string} file - The full path of the file
+ * @param {object} stat - The file stats
+ * @param {array} variants - The precompressed variants ({coding, ext}) left to check
+ */
+RomRequest.prototype.sendStaticVariant = function (conf, file, stat, variants) {
+    let v = variants[0];
+
+    if (typeof v === 'undefined') {
+        this.serveFile(conf, file, stat, null);
+    } else if (!utils.acceptsEncoding(this.serverRequest.headers['accept-encoding'], v.coding)) {
+        this.sendStaticVariant(conf, file, stat, variants.slice(1));
+    } else {
+        Fs.stat(file + v.ext, (err, vstat) => {
+            if (err === null && vstat.isFile()) {
+                this.serveFile(conf, file, vstat, v);
+            } else {
+                this.sendStaticVariant(conf, file, stat, variants.slice(1));
+            }
+        });
+    }
+};
+
+
+/**
+ * Send a static file, or just its headers for a conditional request that it matches, or a range
+ * of it for a range request
+ *
+ * @memberof RomRequest
+ * @private
+ * @param {object} conf - The static route options
+ * @param {string} file - The full path of the file, whose name sets the content type
+ * @param {object} stat - The stats of the file sent
+ * @param {object|null} variant - The precompressed variant ({coding, ext}) sent, null for the file itself
+ */
+RomRequest.prototype.serveFile = function (conf, file, stat, variant) {
+    try {
+        let etag = `W/"${stat.size.toString(16)}-${stat.mtime.getTime().toString(16)}"`,
+            hdrs = this.responseHeaders(),
+            ifRange = this.serverRequest.headers['if-range'],
+            mtime = Math.floor(stat.mtime.getTime() / 1000) * 1000,
+            noneMatch = this.serverRequest.headers['if-none-match'],
+            range = /^bytes=(\d*)-(\d*)$/.exec(String(this.serverRequest.headers.range || '').replace(/\s+/g, '')),
+            resp = this.serverResponse,
+            since = Date.parse(this.serverRequest.headers['if-modified-since']),
+            type = Mime.getType(file) || 'application/octet-stream',
+            start = 0,
+            end = stat.size - 1;
+
+        // Ignore the range if it is for a different copy of the file
+        if (range !== null && ((range[1].length === 0 && range[2].length === 0) ||
+            (typeof ifRange === 'string' && ifRange !== etag && Date.parse(ifRange) !== mtime))) {
+
+            range = null;
+        }
+        if (range !== null) {
+            if (range[1].length === 0) {
+                start = Math.max(stat.size - parseInt(range[2], 10), 0);  // The last n bytes
+            } else {
+                start = parseInt(range[1], 10);
+                end = (range[2].length !== 0) ? Math.min(parseInt(range[2], 10), stat.size - 1) : end;
+            }
+        }
+
+        // Handle the headers
+        if (hdrs !== null) {
+            resp.set(hdrs);
+        }
+        if (range !== null && (start > end || (range[1].length === 0 && range[2] === '0'))) {
+            resp.set('content-range', `bytes */${stat.size}`);
+            this.error(416);
+            return;
+        }
+        resp.set('cache-control', `public, max-age=${conf.maxAge}`);
+        if (conf.etag === true) {
+            resp.set('etag', etag);
+        }
+        if (conf.lastModified === true) {
+            resp.set('last-modified', stat.mtime.toUTCString());
+        }
+        if (conf.precompressed === true) {
+            resp.set('vary', 'Accept-Encoding');
+        }
+
+        // Send a 304 if the client's copy is current
+        if (conf.etag === true && typeof noneMatch === 'string') {
+            if (noneMatch.trim() === '*' || noneMatch.split(',').some((t) => t.trim().replace(/^W\//, '') === etag.slice(2))) {
+                this.end(304);
+                return;
+            }
+        } else if (conf.lastModified === true && !isNaN(since) && since >= mtime) {
+            this.end(304);
+            return;
+        }
+
+        resp.set('accept-ranges', 'bytes');
+        resp.set('content-type', /^(text\/|application\/(javascript|json)$)/.test(type) ? `${type}; charset=utf-8` : type);
+        if (variant !== null) {
+            resp.set('content-encoding', variant.coding);
+        }
+        if (range !== null) {
+            resp.set('content-range', `bytes ${start}-${end}/${stat.size}`);
+        }
+        resp.set('content-length', String(end - start + 1));
+        this.streamFile(file + (variant !== null ? variant.ext : ''), (range !== null) ? 206 : 200, (range !== null) ? {start: start, end: end} : null);
+    } catch (err) {
+        this.log.error(`Error sending static file "${file}": ${err.message}`);
+        this.error(500);
+    }
+};
+
+
+/**
+ * Stream a file as the response, after its headers are set
+ *
+ * @memberof RomRequest
+ * @private
+ * @param {string} file - The full path of the file
+ * @param {number} status - Status code to send with
+ * @param {object|null} range - The byte range ({start, end}) to send, null for the whole file
+ */
+RomRequest.prototype.streamFile = function (file, status, range) {
+    let resp = this.serverResponse,
+        stream;
+
+    if (this.method === 'HEAD') {
+        this.end(status);
+        return;
+    }
+    stream = Fs.createReadStream(file, range || {});
+    stream.on('error', (err) => {
+        this.log.error(`Error reading static file "${file}": ${err.message}`);
+        if (resp.headersSent === true) {
+            resp.destroy();
+        } else {
+            this.error(500);
+        }
+    });
+    stream.on('end', () => {
+        this.sent();
+        this.log.debug(`Sent static file "${file}" (${status})`);
+    });
+    resp.on('close', () => stream.destroy());
+    resp.status(status);
+    stream.pipe(resp);
+};
+
+
+/**
+ * Work out the proxy destination URL, request options and headers
+ *
+ * @memberof RomRequest
+ * @private
+ * @param {object} options - Route options object, updated with "fullUrl", "httpOpts", "timeout" and "agent"
+ * @param {object} proxy - The proxy options
+ * @returns {object} - The request library (module, or the HTTP/2 client) to use for the proxy request
+ */
+RomRequest.prototype.prepProxyRequest = function (options, proxy) {
+    let reqHeaders = {},
+        reqLib,
+        proto,
+        protoVer,
+        pUrl;
+
+    // Figure out the proto to use, if any
+    protoVer = proxy.protoVer || this.protoVer || '1.1';
+    proto = (proxy.proto || (protoVer === '2.0' && 'https') || this.proto) + ':';
+
+    // Setup proxy destination
+    options.fullUrl = {
+        auth: proxy.auth || this.auth || null,
+        hash: proxy.hash || this.hash || null,
+        hostname: proxy.hostname,
+        pathname: proxy.path || this.path,
+        port: proxy.port || null,
+        protocol: proto,
+        search: proxy.query || null
+    };
+
+    // If we are doing path replacement, do it now...
+    if (typeof proxy.pathReplace === 'string' && (typeof proxy.pathMatch === 'string' || proxy.pathMatch instanceof RegExp)) {
+        options.fullUrl.pathname = options.fullUrl.pathname.replace(proxy.pathMatch, proxy.pathReplace);
+    }
+
+    pUrl = Url.format(options.fullUrl);
+    options.fullUrl.href = pUrl;
+    this.log.debug(`Proxying request to ${pUrl}`);
+
+    // Shallow copy the request headers, except the hop-by-hop ones
+    reqHeaders = utils.stripHopHeaders(utils.mergeHeaders({}, this.serverRequest.headers));
+    if (this.upgrade !== null) {
+        reqHeaders.connection = 'upgrade';
+        reqHeaders.upgrade = this.serverRequest.headers.upgrade;
+    }
+    // Add the client to the forwarding headers, before the route's own headers so those are kept
+    this.settings.forwarding.requestHeaders(reqHeaders, {
+        addr: (this.serverRequest.socket && this.serverRequest.socket.remoteAddress) || this.serverRequest.ip,
+        host: this.headerHost,
+        proto: this.proto,
+        version: this.serverRequest.httpVersion
+    });
+    if (typeof proxy.headers === 'object') {
+        reqHeaders = utils.mergeHeaders(reqHeaders, proxy.headers);
+        if (!proxy.headers.host) {
+            reqHeaders.host = options.fullUrl.hostname;
+        }
+    } else {
+        reqHeaders.host = options.fullUrl.hostname;
+    }
+    if (proto !== this.proto && !reqHeaders['x-forwarded-proto']) {
+        reqHeaders['x-forwarded-proto'] = this.proto;
+    }
+    if (!reqHeaders['x-forwarded-host']) {
+        reqHeaders['x-forwarded-host'] = this.headerHost;
+    }
+
+    // Setup the proxy HTTP options
+    options.httpOpts = {
+        auth: options.fullUrl.auth,
+        headers: reqHeaders,
+        hostname: options.fullUrl.hostname,
+        method: this.method || 'GET',
+        path: options.fullUrl.pathname + (options.fullUrl.search ? (options.fullUrl.search.charAt(0) === '?' ? '' : '?') + options.fullUrl.search : ''),
+        port: options.fullUrl.port,
+        protocol: options.fullUrl.protocol
+    };
+    options.proxyOpts = proxy;
+    options.protoVer = protoVer;
+    options.timeout = (typeof options.timeout === 'number') ? options.timeout : this.timeout;
+    options._rom = this;
+    options._newRequest = null;
+
+    // What kind of request is this...
+    if (protoVer.charAt(0) === '2') {
+        reqLib = this.settings.http2Client;
+    } else if (options.fullUrl.protocol === 'https:') {
+        reqLib = Https;
+    } else {
+        reqLib = Http;
+    }
+
+    // Prep the agent
+    options.agent = this.settings.proxyAgent;
+
+    // Handle the proxy headers
+    if (this.hostConfig.proxyHeaders !== null) {
+        if (this.headers !== null) {
+            options.httpOpts.proxyHeaders = utils.mergeHeaders(this.hostConfig.proxyHeaders, this.headers);
+        } else {
+            options.httpOpts.proxyHeaders = this.hostConfig.proxyHeaders;
+        }
+        if (options.headers) {
+            options.httpOpts.proxyHeaders = utils.mergeHeaders(this.httpOpts.proxyHeaders, options.headers);
+        }
+    } else if (this.headers !== null) {
+        if (options.headers) {
+            options.httpOpts.proxyHeaders = utils.mergeHeaders(this.headers, options.headers);
+        } else {
+            options.httpOpts.proxyHeaders = this.headers;
+        }
+    } else if (options.headers) {
+        options.httpOpts.proxyHeaders = options.headers;
+    } else {
+        options.httpOpts.proxyHeaders = null;
+    }
+
+    // Support alternate DNS lookup
+    if (this.dnsLookup !== null) {
+        options.httpOpts.lookup = this.dnsLookup;
+    }
+
+    return reqLib;
+};
+
+
+/**
+ * Find the destination of a proxy attempt, picking a target if the proxy options name an
+ * upstream pool
+ *
+ * @memberof RomRequest
+ * @private
+ * @param {object} proxy - The proxy options
+ * @param {array} tried - The upstream pool targets already tried
+ * @returns {object|null} - The destination ({pool, proxy, target}), null if no pool target is available
+ * @throws {Error} - If the upstream pool is unknown
+ */
+RomRequest.prototype.proxyTarget = function (proxy, tried) {
+    let pool,
+        target;
+
+    if (typeof proxy.upstream !== 'string') {
+        return {pool: null, proxy: proxy, target: null};
+    }
+    pool = this.settings.upstreams[proxy.upstream];
+    if (!pool) {
+        throw new Error(`Unknown upstream pool "${proxy.upstream}"`);
+    }
+    target = pool.pick(this, tried);
+    if (target === null) {
+        return null;
+    }
+    return {
+        pool: pool,
+        proxy: Object.assign({}, proxy, {hostname: target.hostname, port: target.port, proto: target.proto || proxy.proto}),
+        target: target
+    };
+};
+
+
+/**
+ * Set the client response headers of a proxied response: the origin's headers, without the
+ * hop-by-hop ones, with the origin's URLs and cookies rewritten to the public host, and the
+ * proxy headers added to successful responses
+ *
+ * @memberof RomRequest
+ * @private
+ * @param {object} opts - Route options object, as prepared by prepProxyRequest
+ * @param {number} proxyRespCode - The origin response status code
+ * @param {object} headers - The origin response headers
+ * @param {object} servResp - The response (or any object with getHeader and setHeader methods)
+ */
+RomRequest.prototype.setProxyResponseHeaders = function (opts, proxyRespCode, headers, servResp) {
+    let respHeaders = utils.stripHopHeaders(headers);
+
+    // Point redirects and cookies to this server, not the origin
+    try {
+        proxyRewrite.rewriteHeaders(respHeaders, opts.proxyOpts, {
+            host: opts.httpOpts.headers.host,
+            hostname: opts.fullUrl.hostname,
+            port: opts.fullUrl.port,
+            protocol: opts.fullUrl.protocol
+        }, `${this.proto}://${this.headerHost}`);
+    } catch (e) {
+        this.log.error(`Error attempting to rewrite headers for proxied request: ${e.message}`);
+    }
+
+    // Clone response headers
+    this.settings.forwarding.addVia(respHeaders, opts.protoVer);
+    utils.cloneResponseHeaders(servResp, respHeaders);
+
+    if (proxyRespCode >= 200 && proxyRespCode < 300) {
+        this.log.debug(`Proxy response status code ${proxyRespCode}`);
+        // Merge in the relevant proxy response headers, if any
+        if (opts.httpOpts.proxyHeaders !== null) {
+            try {
+                utils.cloneResponseHeaders(servResp, opts.httpOpts.proxyHeaders);
+            } catch (e) {
+                this.log.error(`Error attempting to set headers for proxied request: ${e.message}`);
+            }
+        }
+    }
+};
+
+
+/**
+ * Pass a proxied response body through the route's body transforms (options.transform), if any
+ * apply to it.  The Content-Length is set by the last stage, and the ETag made weak.  If a stage
+ * fails (e.g. a corrupt gzip body), a 502 is sent, or the response is cut off if already started.
+ *
+ * @memberof RomRequest
+ * @private
+ * @param {object} opts - Route options object, as prepared by prepProxyRequest
+ * @param {number} status - The origin response status code
+ * @param {object} proxyResp - The origin response
+ * @param {object} servResp - The response (or any object with getHeader, removeHeader and setHeader methods)
+ * @returns {object} - The readable body, the origin response itself if not transformed
+ */
+RomRequest.prototype.transformBody = function (opts, status, proxyResp, servResp) {
+    let stages,
+        etag;
+
+    if (!Array.isArray(opts.transform) || this.method === 'HEAD' || status === 204 || status === 206 || status === 304) {
+        return proxyResp;
+    }
+    stages = bodyTransform.createStages(opts.transform, proxyResp.headers, (length) => {
+        if (length === null) {
+            servResp.removeHeader('content-length');
+        } else {
+            servResp.setHeader('content-length', String(length));
+        }
+    });
+    if (stages === null) {
+        return proxyResp;
+    }
+
+    etag = servResp.getHeader('etag');
+    if (typeof etag === 'string' && etag.indexOf('W/') !== 0) {
+        servResp.setHeader('etag', 'W/' + etag);
+    }
+    servResp.removeHeader('accept-ranges');
+    this.log.debug(`Transforming proxied response body (${opts.fullUrl.href})`);
+    return Stream.pipeline([proxyResp].concat(stages), (err) => {
+        if (err) {
+            this.log.error(`Error transforming proxied response body (${opts.fullUrl.href}): ${err.message}`);
+            if (servResp !== this.serverResponse || servResp.writableEnded === true) {
+                return;  // A cache refresh, or already answered for an origin error
+            }
+            if (servResp.headersSent === true) {
+                servResp.destroy();
+            } else {
+                this.error(502);
+            }
+        }
+    });
+};
+
+
 /**
  * Proxy the response through another server with Express
  *
  * @memberof RomRequest
  * @private
- * @param {object} options - Route options object
+ * @param {object} options - Route options object
+ */
+RomRequest.prototype.proxy = function (options) {
+    let proxy = (options && options.proxy) || null,
+        bodyStatus,
+        state;
+
+    // Handle bad proxy host
+    if (proxy === null || typeof proxy !== 'object' ||
+        ((typeof proxy.hostname !== 'string' || proxy.hostname.length <= 0) && typeof proxy.upstream !== 'string')) {
+
+        this.log.error('Proxy hostname not set');
+        this.error(502, 'Proxy hostname not set');
+        return;
+    }
+
+    // Refuse a request body over the size limit, or of a content type not allowed, before streaming it
+    if (this.rawBody === null && (bodyStatus = this.checkBody()) !== 0) {
+        this.log.info(`Refusing proxy request body (${bodyStatus})`);
+        this.error(bodyStatus);
+        return;
+    }
+
+    // Work on a copy, as the route options are shared by requests
+    options = Object.assign({}, options);
+    state = {alt: false, attempts: 0, bodyError: 0, cache: null, retries: null, streamed: false, timeout: options.timeout, tried: []};
+    if (this.upgrade !== null) {
+        this.proxyUpgrade(options, proxy, state);
+    } else if (this.settings.proxyCache !== null && options.cache && this.method === 'GET' && !this.serverRequest.headers.authorization) {
+        this.proxyCached(options, proxy, state);
+    } else {
+        this.proxyAttempt(options, proxy, state);
+    }
+};
+
+
+/**
+ * Retry a failed proxy request with the next upstream pool target, or the alternate proxy
+ * (options.altProxy).  Only idempotent requests are retried once sent, and not if their body
+ * was streamed.
+ *
+ * @memberof RomRequest
+ * @private
+ * @param {object} options - Route options object
+ * @param {object} state - The proxy attempts state
+ * @param {boolean} sent - true if the failed request was sent
+ * @returns {boolean} - true if retrying, false if not
+ */
+RomRequest.prototype.retryProxy = function (options, state, sent) {
+    let alt = options.altProxy,
+        attempt = (this.upgrade !== null) ? this.proxyUpgrade : this.proxyAttempt;
+
+    if (this.serverResponse.headersSent === true || (sent === true && (retryMethods.indexOf(this.method) === -1 || state.streamed === true))) {
+        return false;
+    }
+    if (state.retries > 0) {
+        state.retries--;
+        attempt.call(this, options, state.alt ? alt : options.proxy, state);
+        return true;
+    }
+    if (state.alt !== true && typeof alt === 'object' && alt !== null &&
+        ((typeof alt.hostname === 'string' && alt.hostname.length !== 0) || typeof alt.upstream === 'string')) {
+
+        state.alt = true;
+        state.retries = null;
+        state.tried = [];
+        attempt.call(this, options, alt, state);
+        return true;
+    }
+    return false;
+};
+
+
+/**
+ * Respond without the origin, when no upstream pool target can be used (e.g. the pool's circuit
+ * breaker is open): with the alternate proxy, a stale cached response, the route's fallback file
+ * (options.fallback.file) or an error status (options.fallback.status, 503 if not set)
+ *
+ * @memberof RomRequest
+ * @private
+ * @param {object} options - Route options object
+ * @param {object} proxy - The proxy options with the upstream pool
+ * @param {object} state - The proxy attempts state
+ */
+RomRequest.prototype.proxyFallback = function (options, proxy, state) {
+    let breaker = this.settings.upstreams[proxy.upstream].breaker,
+        fallback = options.fallback || {},
+        status = fallback.status || 503;
+
+    if (breaker !== null && breaker.state !== 'closed') {
+        this.log.debug(`Circuit breaker for upstream pool "${proxy.upstream}" is ${breaker.state}, using fallback`);
+    } else {
+        this.log.error(`No available target in upstream pool "${proxy.upstream}"`);
+    }
+    state.retries = 0;
+    if (this.retryProxy(options, state, false) || this.sendStale(state)) {
+        return;
+    }
+    if (typeof fallback.file === 'string') {
+        this.serverResponse.statusCode = status;
+        this.sendFile(fallback.file);
+    } else {
+        this.error(status);
+    }
+};
+
+
+/**
+ * Make a proxy request attempt, piping the response to the client unless it fails and is retried
+ *
+ * @memberof RomRequest
+ * @private
+ * @param {object} options - Route options object (a per-request copy)
+ * @param {object} proxy - The proxy options (options.proxy or options.altProxy)
+ * @param {object} state - The proxy attempts state ({alt, attempts, bodyError, cache, retries, streamed, timeout, tried})
+ */
+RomRequest.prototype.proxyAttempt = function (options, proxy, state) {
+    try {
+        let dest = this.proxyTarget(proxy, state.tried),
+            finishAttempt,
+            handleProxyResponse,
+            released = false,
+            reqLib,
+            newReq,
+            retried = false;
+
+        if (dest === null) {
+            this.proxyFallback(options, proxy, state);
+            return;
+        }
+        if (state.retries === null) {
+            state.retries = (dest.pool !== null) ? Math.min(dest.pool.retries, dest.pool.targets.length - 1) : 0;
+        }
+        if (dest.target !== null) {
+            state.tried.push(dest.target);
+            dest.pool.acquire(dest.target);
+        }
+
+        // Record the attempt outcome with the upstream pool, once
+        finishAttempt = (ok) => {
+            if (released === false && dest.target !== null) {
+                dest.pool.release(dest.target, ok);
+            }
+            released = true;
+        };
+
+        // The route timeout, else the pool timeout, else the default (set by prepProxyRequest)
+        options.timeout = (typeof state.timeout !== 'number' && dest.pool !== null && dest.pool.timeout !== null) ? dest.pool.timeout : state.timeout;
+        reqLib = this.prepProxyRequest(options, dest.proxy);
+        options.startTime = this.elapsed();
+        if (state.attempts++ === 0) {
+            this.emitEvent('proxy:start', {options: options, url: options.fullUrl.href});
+        } else {
+            this.emitEvent('proxy:retry', {attempt: state.attempts, options: options, url: options.fullUrl.href});
+        }
+
+        // Function to handle the initial proxy response
+        handleProxyResponse = function (opts, proxyResp) {
+            let proxyRespCode = Number(proxyResp.statusCode),
+                servResp = opts._rom.serverResponse,
+                body;
+
+            if (!proxyResp) {
+                opts._rom.log.error(`Proxy request (${opts.fullUrl.href}) failed with no response`);
+                proxyResp.resume();
+                opts._rom.error(502);
+                return;
+            }
+
+            opts._rom.emitEvent('proxy:response', {
+                proxyTime: opts._rom.elapsed() - opts.startTime,
+                status: proxyRespCode,
+                url: opts.fullUrl.href
+            });
+            finishAttempt(proxyRespCode < 500);
+            if (proxyRespCode >= 500 && (retried = opts._rom.retryProxy(opts, state, true)) === true) {
+                opts._rom.log.warn(`Proxy request (${opts.fullUrl.href}) returned status ${proxyRespCode}, retrying`);
+                proxyResp.resume();
+                return;
+            }
+            if (proxyRespCode >= 500 && opts._rom.sendStale(state) === true) {
+                proxyResp.resume();
+                return;
+            }
+
+            proxyResp.on('error', (error) => {
+                opts._rom.log.error(`Proxy request response error (${opts.fullUrl.href}): ${error.message}\n${error.stack}`);
+                if (opts._newRequest !== null) {
+                    opts._newRequest.destroy();
+                    opts._newRequest = null;
+                }
+                opts._rom.emitEvent('proxy:error', {
+                    error: error,
+                    proxyTime: opts._rom.elapsed() - opts.startTime,
+                    url: opts.fullUrl.href
+                });
+                opts._rom.error(502);
+            });
+
+            servResp.statusCode = proxyRespCode;
+            opts._rom.setProxyResponseHeaders(opts, proxyRespCode, proxyResp.headers, servResp);
+            body = opts._rom.transformBody(opts, proxyRespCode, proxyResp, servResp);
+            body.on('end', () => {
+                opts._rom.sent();
+            });
+            if (state.cache !== null) {
+                servResp.setHeader('x-cache', 'MISS');
+                opts._rom.captureCache(proxyResp, body, proxyRespCode, state.cache);
+            }
+
+            // Pipe new connection to existing response
+            body.pipe(servResp, {end: true});
+            proxyResp.on('response', (res) => {
+                if (res && res.statusCode >= 500) {
+                    opts._rom.log.debug('Proxy connection returned status ' + res.statusCode);
+                }
+                proxyResp.unpipe(servResp);  // Important to prevent unexpected errors.
+            });
+            opts._rom.log.debug('Connection proxied to client.');
+        }.bind(this, options);
+
+        // Make the request to the back-end server
+        newReq = reqLib.request(options.httpOpts, handleProxyResponse);
+        options._newRequest = newReq;
+
+        // Handle request timeout, if set
+        if (options.timeout > 0) {
+            newReq.setTimeout(options.timeout, () => {
+                this.log.debug(`Proxy request took over ${options.timeout}ms to return; request timed-out.`);
+                this.emitEvent('proxy:error', {
+                    error: new Error('Proxy request timed out'),
+                    proxyTime: this.elapsed() - options.startTime,
+                    timeout: true,
+                    url: options.fullUrl.href
+                });
+                newReq.destroy(new Error('Proxy request timed out'));
+            });
+        }
+
+        // Handle events on the new request (HTTP/1 only, HTTP/2 sessions are shared)
+        newReq.on('socket', (socket) => {
+            // Handle socket error
+            socket.on('error', (error) => {
+                this.log.error(`Proxy socket error handling request to ${options.fullUrl.href}: ${error.message}`);
+                socket.destroy();
+            });
+        });
+        newReq.on('error', (error) => {
+            if (retried === true) {
+                return;
+            }
+            if (state.bodyError !== 0) {
+                // The request body was refused or the client went away, not an origin failure
+                this.log.info(`Proxy request to ${options.fullUrl.href} stopped: ${error.message}`);
+                finishAttempt(true);
+                this.error(state.bodyError);
+                return;
+            }
+            this.log.error(`Proxy error for request "${options.fullUrl.href}": ${error.message}`);
+            this.emitEvent('proxy:error', {
+                error: error,
+                proxyTime: this.elapsed() - options.startTime,
+                url: options.fullUrl.href
+            });
+            finishAttempt(false);
+            if ((retried = this.retryProxy(options, state, true)) === false && this.sendStale(state) === false) {
+                this.error(500);
+            }
+        });
+
+        // Send the request body, as read by a handler (once it has been read), else streamed from the client
+        if (this.rawBody !== null) {
+            newReq.end(this.rawBody);
+        } else if (this.bodyPromise !== null) {
+            this.bodyPromise.then(() => {
+                if (this.rawBody !== null) {
+                    newReq.end(this.rawBody);
+                } else {
+                    newReq.end();
+                }
+            }, (err) => {
+                state.bodyError = err.statusCode || 400;
+                newReq.destroy(err);
+            });
+        } else if (this.hasBody()) {
+            this.streamBody(newReq, state);
+        } else {
+            newReq.end();
+        }
+    } catch (err) {
+        this.log.error(`Error proxying request: ${err.message}`);
+        this.error(500);
+    }
+};
+
+
+/**
+ * Stream the request body to a proxy request, with backpressure, stopping it if it goes over the
+ * size limit or the client goes away
+ *
+ * @memberof RomRequest
+ * @private
+ * @param {object} newReq - The proxy request
+ * @param {object} state - The proxy attempts state
+ */
+RomRequest.prototype.streamBody = function (newReq, state) {
+    let req = this.serverRequest,
+        limit = this.bodyLimits().limit,
+        size = 0;
+
+    state.streamed = true;
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (limit > 0 && size > limit && state.bodyError === 0) {
+            state.bodyError = 413;
+            req.unpipe(newReq);
+            newReq.destroy(new Error(`Request body over the ${limit} byte limit`));
+        }
+    });
+    req.on('close', () => {
+        if (req.complete !== true && state.bodyError === 0) {
+            state.bodyError = 400;
+            newReq.destroy(new Error('Client request aborted'));
+        }
+    });
+    req.pipe(newReq);
+};
+
+
+/**
+ * Make a proxy request attempt for an Upgrade request, tunnelling the client connection to the
+ * origin once it switches protocols.  The handshake has the request timeout, and the tunnel is
+ * closed after options.idleTimeout milliseconds without data, if set.
+ *
+ * @memberof RomRequest
+ * @private
+ * @param {object} options - Route options object (a per-request copy)
+ * @param {object} proxy - The proxy options (options.proxy or options.altProxy)
+ * @param {object} state - The proxy attempts state ({alt, attempts, bodyError, cache, retries, streamed, timeout, tried})
  */
-RomRequest.prototype.proxy = function (options) {
+RomRequest.prototype.proxyUpgrade = function (options, proxy, state) {
     try {
-        let handleProxyResponse,
-            reqHeaders = {},
+        let dest = this.proxyTarget(proxy, state.tried),
+            socket = this.upgrade.socket,
+            finishAttempt,
+            released = false,
             reqLib,
             newReq,
-            proto,
-            protoVer,
-            proxy = (options && options.proxy) || null,
-            pUrl,
-            resp = this.serverResponse;
+            retried = false,
+            timedOut = false,
+            upgraded = false;
 
-        // Handle bad proxy host
-        if (proxy === null || typeof proxy !== 'object' || typeof proxy.hostname !== 'string' || proxy.hostname.length <= 0) {
-            this.log.error('Proxy hostname not set');
-            if (resp.headersSent !== true) {
-                this.error(502, 'Proxy hostname not set');
-                return;
-            }
+        if (dest === null) {
+            this.proxyFallback(options, proxy, state);
+            return;
         }
-
-        // Figure out the proto to use, if any
-        protoVer = proxy.protoVer || this.protoVer || '1.1';
-        proto = (proxy.proto || (protoVer === '2.0' && 'https') || this.proto) + ':';
-
-        // Setup proxy destination
-        options.fullUrl = {
-            auth: proxy.auth || this.auth || null,
-            hash: proxy.hash || this.hash || null,
-            hostname: proxy.hostname,
-            pathname: proxy.path || this.path,
-            port: proxy.port || null,
-            protocol: proto,
-            search: proxy.query || null
-        };
-
-        // If we are doing path replacement, do it now...
-        if (typeof proxy.pathReplace === 'string' && (typeof proxy.pathMatch === 'string' || proxy.pathMatch instanceof RegExp)) {
-            options.fullUrl.pathname = options.fullUrl.pathname.replace(proxy.pathMatch, proxy.pathReplace);
+        if (state.retries === null) {
+            state.retries = (dest.pool !== null) ? Math.min(dest.pool.retries, dest.pool.targets.length - 1) : 0;
+        }
+        if (dest.target !== null) {
+            state.tried.push(dest.target);
+            dest.pool.acquire(dest.target);
         }
 
-        pUrl = Url.format(options.fullUrl);
-        options.fullUrl.href = pUrl;
-        this.log.debug(`Proxying request to ${pUrl}`);
-
-        // Shallow copy the request headers
-        reqHeaders = utils.mergeHeaders({}, this.serverRequest.headers);
-        if (typeof proxy.headers === 'object') {
-            reqHeaders = utils.mergeHeaders(reqHeaders, proxy.headers);
-            if (!proxy.headers.host) {
-                reqHeaders.host = options.fullUrl.hostname;
+        // Record the attempt outcome with the upstream pool, once
+        finishAttempt = (ok) => {
+            if (released === false && dest.target !== null) {
+                dest.pool.release(dest.target, ok);
             }
-        } else {
-            reqHeaders.host = options.fullUrl.hostname;
+            released = true;
+        };
+
+        options.timeout = (typeof state.timeout !== 'number' && dest.pool !== null && dest.pool.timeout !== null) ? dest.pool.timeout : state.timeout;
+        reqLib = this.prepProxyRequest(options, dest.proxy);
+        if (reqLib === this.settings.http2Client) {
+            finishAttempt(true);  // Not the upstream's fault
+            this.log.error(`Upgrade request "${options.fullUrl.href}" can not be proxied with HTTP/2`);
+            this.error(502);
+            return;
         }
-        // Tweak the X-Forwarded-For header
-        if (typeof reqHeaders['x-forwarded-for'] === 'string' && reqHeaders['x-forwarded-for'].length !== 0) {
-            reqHeaders['x-forwarded-for'] += ', ' + this.serverRequest.connection.localAddress;
+        options.startTime = this.elapsed();
+        if (state.attempts++ === 0) {
+            this.emitEvent('proxy:start', {options: options, url: options.fullUrl.href});
         } else {
-            reqHeaders['x-forwarded-for'] = this.serverRequest.ip;
-        }
-        if (proto !== this.proto && !reqHeaders['x-forwarded-proto']) {
-            reqHeaders['x-forwarded-proto'] = this.proto;
-        }
-        if (!reqHeaders['x-forwarded-host']) {
-            reqHeaders['x-forwarded-host'] = this.headerHost;
+            this.emitEvent('proxy:retry', {attempt: state.attempts, options: options, url: options.fullUrl.href});
         }
 
-        // Setup the proxy HTTP options
-        options.httpOpts = {
-            auth: options.fullUrl.auth,
-            headers: reqHeaders,
-            hostname: options.fullUrl.hostname,
-            method: this.method || 'GET',
-            path: options.fullUrl.pathname + (options.fullUrl.search ? (options.fullUrl.search.charAt(0) === '?' ? '' : '?') + options.fullUrl.search : ''),
-            port: options.fullUrl.port,
-            protocol: options.fullUrl.protocol
-        };
-        options.timeout = (typeof options.timeout === 'number') ? options.timeout : this.timeout;
-        options._rom = this;
-        options._newRequest = null;
+        newReq = reqLib.request(options.httpOpts);
+        options._newRequest = newReq;
 
-        // What kind of request is this...
-        if (options.fullUrl.protocol === 'https:') {
-            reqLib = (protoVer.charAt(0) === '2') ? Http2 : Https;
-        } else {
-            reqLib = Http;
-        }
+        // The origin switched protocols, so send its response headers and join the connections
+        newReq.on('upgrade', (proxyResp, proxySocket, proxyHead) => {
+            let lines = [`HTTP/1.1 101 ${proxyResp.statusMessage || 'Switching Protocols'}`],
+                closed = false,
+                close;
+
+            upgraded = true;
+            finishAttempt(true);
+            this.emitEvent('proxy:response', {
+                proxyTime: this.elapsed() - options.startTime,
+                status: 101,
+                url: options.fullUrl.href
+            });
 
-        // Prep the agent
-        options.agent = this.settings.proxyAgent;
+            close = () => {
+                if (closed === false) {
+                    closed = true;
+                    socket.destroy();
+                    proxySocket.destroy();
+                    this.log.debug(`Upgrade connection to ${options.fullUrl.href} closed`);
+                    this.sent();
+                }
+            };
 
-        // Handle the proxy headers
-        if (this.hostConfig.proxyHeaders !== null) {
-            if (this.headers !== null) {
-                options.httpOpts.proxyHeaders = utils.mergeHeaders(this.hostConfig.proxyHeaders, this.headers);
-            } else {
-                options.httpOpts.proxyHeaders = this.hostConfig.proxyHeaders;
+            for (let i = 0; i < proxyResp.rawHeaders.length; i += 2) {
+                lines.push(`${proxyResp.rawHeaders[i]}: ${proxyResp.rawHeaders[i + 1]}`);
             }
-            if (options.headers) {
-                options.httpOpts.proxyHeaders = utils.mergeHeaders(this.httpOpts.proxyHeaders, options.headers);
+            this.serverResponse.detachSocket(socket);
+            this.serverResponse.statusCode = 101;
+            socket.write(lines.join('\r\n') + '\r\n\r\n');
+            if (proxyHead && proxyHead.length !== 0) {
+                socket.write(proxyHead);
             }
-        } else if (this.headers !== null) {
-            if (options.headers) {
-                options.httpOpts.proxyHeaders = utils.mergeHeaders(this.headers, options.headers);
-            } else {
-                options.httpOpts.proxyHeaders = this.headers;
+            if (this.upgrade.head && this.upgrade.head.length !== 0) {
+                proxySocket.write(this.upgrade.head);
             }
-        } else if (options.headers) {
-            options.httpOpts.proxyHeaders = options.headers;
-        } else {
-            options.httpOpts.proxyHeaders = null;
-        }
 
-        // Support alternate DNS lookup
-        if (this.dnsLookup !== null) {
-            options.httpOpts.lookup = this.dnsLookup;
-        }
+            [socket, proxySocket].forEach((s) => {
+                s.setTimeout(options.idleTimeout > 0 ? options.idleTimeout : 0);
+                s.on('timeout', close);
+                s.on('error', (error) => {
+                    this.log.debug(`Upgrade connection error (${options.fullUrl.href}): ${error.message}`);
+                    close();
+                });
+                s.on('close', close);
+            });
+            proxySocket.pipe(socket);
+            socket.pipe(proxySocket);
+            this.log.debug(`Upgrade connection tunnelled to ${options.fullUrl.href}`);
+        });
 
-        // Function to handle the initial proxy response
-        handleProxyResponse = function (opts, proxyResp) {
+        // The origin answered without switching protocols, so pass its response on
+        newReq.on('response', (proxyResp) => {
             let proxyRespCode = Number(proxyResp.statusCode),
-                servResp = opts._rom.serverResponse;
+                servResp = this.serverResponse;
 
-            if (!proxyResp) {
-                opts._rom.log.error(`Proxy request (${opts.fullUrl.href}) failed with no response`);
+            this.emitEvent('proxy:response', {
+                proxyTime: this.elapsed() - options.startTime,
+                status: proxyRespCode,
+                url: options.fullUrl.href
+            });
+            finishAttempt(proxyRespCode < 500);
+            if (proxyRespCode >= 500 && (retried = this.retryProxy(options, state, true)) === true) {
+                this.log.warn(`Proxy upgrade request (${options.fullUrl.href}) returned status ${proxyRespCode}, retrying`);
                 proxyResp.resume();
-                opts._rom.error(502);
                 return;
             }
+            this.log.debug(`Proxy upgrade request (${options.fullUrl.href}) returned status ${proxyRespCode} without upgrading`);
+            servResp.statusCode = proxyRespCode;
+            this.setProxyResponseHeaders(options, proxyRespCode, proxyResp.headers, servResp);
+            proxyResp.on('end', () => {
+                this.sent();
+            });
+            proxyResp.pipe(servResp, {end: true});
+        });
 
-            proxyResp.on('error', (error) => {
-                opts._rom.log.error(`Proxy request response error (${opts.fullUrl.href}): ${error.message}\n${error.stack}`);
-                if (opts._newRequest !== null) {
-                    opts._newRequest.abort();
-                    opts._newRequest = null;
+        if (options.timeout > 0) {
+            newReq.setTimeout(options.timeout, () => {
+                if (upgraded === false) {
+                    this.log.debug(`Proxy upgrade request took over ${options.timeout}ms to return; request timed-out.`);
+                    timedOut = true;
+                    newReq.destroy(new Error('Proxy request timed out'));
                 }
-                opts._rom.error(502);
             });
-
-            if (opts._rom.onSent !== null) {
-                proxyResp.on('end', () => {
-                    opts._rom.onSent(opts._rom.serverRequest, servResp);
-                });
+        }
+        newReq.on('error', (error) => {
+            if (retried === true || upgraded === true) {
+                return;
             }
+            this.log.error(`Proxy error for upgrade request "${options.fullUrl.href}": ${error.message}`);
+            this.emitEvent('proxy:error', {
+                error: error,
+                proxyTime: this.elapsed() - options.startTime,
+                timeout: timedOut,
+                url: options.fullUrl.href
+            });
+            finishAttempt(false);
+            if ((retried = this.retryProxy(options, state, true)) === false) {
+                this.error(502);
+            }
+        });
+        newReq.end();
+    } catch (err) {
+        this.log.error(`Error proxying upgrade request: ${err.message}`);
+        this.error(500);
+    }
+};
 
-            // Clone response headers
-            utils.cloneResponseHeaders(servResp, proxyResp.headers);
 
-            servResp.statusCode = proxyRespCode;
+/**
+ * Proxy a request through the proxy cache: cached responses are sent if fresh, or if stale
+ * while revalidating, and concurrent misses wait for a single origin request
+ *
+ * @memberof RomRequest
+ * @private
+ * @param {object} options - Route options object (a per-request copy)
+ * @param {object} proxy - The proxy options
+ * @param {object} state - The proxy attempts state
+ */
+RomRequest.prototype.proxyCached = function (options, proxy, state) {
+    let cache = this.settings.proxyCache,
+        ctx = {
+            entry: null,
+            keys: cache.keyFor(this, proxy),
+            opts: (options.cache === true) ? {} : options.cache,
+            saving: null
+        };
 
-            if (proxyRespCode < 200 || proxyRespCode >= 300) {
-                // Explicit handling of redirects.  If the 'location' header
-                // contains the proxy host, replace it with empty string to
-                // get the the redirect to go to THIS server.
-                if (redirectCodes.indexOf(proxyRespCode) !== -1) {
-                    try {
-                        let loc = servResp.getHeader('location');
-
-                        if (typeof loc === 'string') {
-                            let locUrl = Url.parse(loc);
-
-                            if (locUrl.host === opts.fullUrl.host && locUrl.port === opts.fullUrl.port) {
-                                servResp.setHeader('location', loc.replace(/^http(s)?:\/\/[\w\.\-]+(\:\d+)?/, ''));
-                            }
-                        }
-                    } catch (e) {
-                        opts._rom.log.error(`Error attempting to set 301/302 headers for proxied request: ${e.message}`);
-                    }
-                }
+    state.cache = ctx;
+    cache.lookup(ctx.keys.key).then((entry) => {
+        let es = (entry !== null) ? cache.entryState(entry) : 'expired';
+
+        if (es === 'fresh' || es === 'stale') {
+            this.sendCached(entry, (es === 'fresh') ? 'HIT' : 'STALE');
+            if (es === 'stale' && cache.claim(ctx.keys.key)) {
+                this.refreshCache(options, proxy, ctx);
+            }
+            return null;
+        }
+        ctx.entry = entry;  // Kept for stale-if-error
+        if (cache.claim(ctx.keys.key)) {
+            this.serverResponse.once('close', () => {
+                Promise.resolve(ctx.saving).then(() => cache.release(ctx.keys.key));
+            });
+            this.emitEvent('cache', {result: 'miss', url: ctx.keys.url});
+            this.proxyAttempt(options, proxy, state);
+            return null;
+        }
+
+        // Another request is fetching it, so use its response if it could be cached
+        return cache.wait(ctx.keys.key).then(() => {
+            ctx.keys = cache.keyFor(this, proxy);
+            return cache.lookup(ctx.keys.key);
+        }).then((fresh) => {
+            if (fresh !== null && cache.entryState(fresh) === 'fresh') {
+                this.sendCached(fresh, 'HIT');
             } else {
-                opts._rom.log.debug(`Proxy response status code ${proxyRespCode}`);
-                servResp.statusCode = proxyRespCode;
-                // Merge in the relevant proxy response headers, if any
-                if (opts.httpOpts.proxyHeaders !== null) {
-                    try {
-                        utils.cloneResponseHeaders(servResp, opts.httpOpts.proxyHeaders);
-                    } catch (e) {
-                        opts._rom.log.error(`Error attempting to set headers for proxied request: ${e.message}`);
-                    }
-                }
+                this.emitEvent('cache', {result: 'miss', url: ctx.keys.url});
+                this.proxyAttempt(options, proxy, state);
             }
+        });
+    }).catch((err) => {
+        this.log.error(`Proxy cache error: ${err.message}`);
+        if (this.serverResponse.headersSent !== true) {
+            this.proxyAttempt(options, proxy, state);
+        }
+    });
+};
 
-            // Pipe new connection to existing response
-            proxyResp.pipe(servResp, {end: true});
-            proxyResp.on('response', (res) => {
-                if (res && res.statusCode >= 500) {
-                    opts._rom.log.debug('Proxy connection returned status ' + res.statusCode);
-                }
-                proxyResp.unpipe(servResp);  // Important to prevent unexpected errors.
-            });
-            opts._rom.log.debug('Connection proxied to client.');
-        }.bind(this, options);
 
-        // Make the request to the back-end server
-        newReq = reqLib.request(options.httpOpts, handleProxyResponse);
-        options._newRequest = newReq;
+/**
+ * Send a cached proxy response
+ *
+ * @memberof RomRequest
+ * @private
+ * @param {object} entry - The cache entry
+ * @param {string} result - The X-Cache header value, HIT or STALE
+ */
+RomRequest.prototype.sendCached = function (entry, result) {
+    let resp = this.serverResponse;
+
+    utils.cloneResponseHeaders(resp, entry.headers);
+    resp.setHeader('age', String(Math.max(Math.floor((Date.now() - entry.storedAt) / 1000), 0)));
+    resp.setHeader('x-cache', result);
+    resp.statusCode = entry.status;
+    resp.end(entry.body);
+    this.log.debug(`Cached response sent (${entry.status}, ${result}).`);
+    this.emitEvent('cache', {result: result.toLowerCase(), url: entry.url});
+    this.sent();
+};
 
-        // Handle events on the new request
-        newReq.on('socket', (socket) => {
-            // Handle socket timeout, if set
-            if (options.timeout > 0) {
-                socket.on('timeout', () => {
-                    this.log.debug(`Proxy request took over ${options.timeout}ms to return; request timed-out.`);
-                    socket.destroy();
-                });
-                socket.setTimeout(options.timeout);
+
+/**
+ * Send the stale cached response, if the origin failed and it is allowed (stale-if-error)
+ *
+ * @memberof RomRequest
+ * @private
+ * @param {object} state - The proxy attempts state
+ * @returns {boolean} - true if sent, false if not
+ */
+RomRequest.prototype.sendStale = function (state) {
+    let entry = (state.cache !== null) ? state.cache.entry : null;
+
+    if (entry === null || this.serverResponse.headersSent === true || this.settings.proxyCache.entryState(entry) === 'expired') {
+        return false;
+    }
+    this.log.warn(`Proxy request failed, sending stale cached response for ${entry.url}`);
+    this.sendCached(entry, 'STALE');
+    return true;
+};
+
+
+/**
+ * Collect a proxied response's body, and store it in the proxy cache if it can be cached
+ *
+ * @memberof RomRequest
+ * @private
+ * @param {object} proxyResp - The origin response
+ * @param {object} body - The response body stream, as transformed
+ * @param {number} status - The origin response status code
+ * @param {object} ctx - The request's cache context ({keys, opts, saving})
+ * @param {object} [headers] - The response headers to store, the client response headers if not set
+ * @param {function} [done] - Called when stored, or not
+ */
+RomRequest.prototype.captureCache = function (proxyResp, body, status, ctx, headers, done) {
+    let cache = this.settings.proxyCache,
+        chunks = [],
+        finish = done || function () {},
+        policy = cache.policy(status, proxyResp.headers, ctx.opts),
+        size = 0;
+
+    if (policy === null) {
+        body.on('end', finish);
+        return;
+    }
+    body.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > cache.maxEntrySize) {
+            chunks = null;
+        } else if (chunks !== null) {
+            chunks.push(chunk);
+        }
+    });
+    body.on('end', () => {
+        if (chunks === null) {
+            finish();
+            return;
+        }
+        ctx.saving = cache.save(this, ctx.keys, policy, status, headers || this.serverResponse.getHeaders(), Buffer.concat(chunks))
+            .catch((err) => this.log.error(`Error storing proxy cache entry: ${err.message}`))
+            .then(finish);
+    });
+};
+
+
+/**
+ * Refresh a stale proxy cache entry in the background, releasing the claimed cache key when done
+ *
+ * @memberof RomRequest
+ * @private
+ * @param {object} options - Route options object (a per-request copy)
+ * @param {object} proxy - The proxy options
+ * @param {object} ctx - The request's cache context ({keys, opts})
+ */
+RomRequest.prototype.refreshCache = function (options, proxy, ctx) {
+    let cache = this.settings.proxyCache,
+        dest = null,
+        finished = false,
+        released = false,
+        release = () => {
+            if (released === false) {
+                released = true;
+                cache.release(ctx.keys.key);
             }
-            // Handle socket error
-            socket.on('error', (error) => {
-                this.log.error(`Proxy socket error handling request to ${options.fullUrl.href}: ${error.message}`);
-                socket.destroy();
-            });
+        },
+        // Record the outcome with the upstream pool once, as its circuit breaker needs every request recorded
+        finishAttempt = (ok) => {
+            if (finished === false && dest !== null && dest.target !== null) {
+                dest.pool.release(dest.target, ok);
+            }
+            finished = true;
+        };
+
+    try {
+        let opts = Object.assign({}, options),
+            newReq;
+
+        dest = this.proxyTarget(proxy, []);
+        if (dest === null) {
+            release();
+            return;
+        }
+        if (dest.target !== null) {
+            dest.pool.acquire(dest.target);
+        }
+        newReq = this.prepProxyRequest(opts, dest.proxy).request(opts.httpOpts, (proxyResp) => {
+            let status = Number(proxyResp.statusCode),
+                headers = {},
+                sink = {
+                    getHeader: (h) => headers[h.toLowerCase()],
+                    removeHeader: (h) => {
+                        delete headers[h.toLowerCase()];
+                    },
+                    setHeader: (h, v) => {
+                        headers[h.toLowerCase()] = v;
+                    }
+                },
+                body;
+
+            finishAttempt(status < 500);
+            this.setProxyResponseHeaders(opts, status, proxyResp.headers, sink);
+            body = this.transformBody(opts, status, proxyResp, sink);
+            proxyResp.on('error', release);
+            body.on('error', release);
+            this.captureCache(proxyResp, body, status, ctx, headers, release);
+            body.resume();
         });
+        if (opts.timeout > 0) {
+            newReq.setTimeout(opts.timeout, () => newReq.destroy(new Error('Proxy request timed out')));
+        }
         newReq.on('error', (error) => {
-            this.log.error(`Proxy error for request "${options.fullUrl.href}": ${error.message}`);
-            this.error(500);
+            this.log.error(`Proxy cache refresh error for request "${opts.fullUrl.href}": ${error.message}`);
+            finishAttempt(false);
+            release();
         });
-
-        // Handle a POST/PUT correctly
-        if (utils.isWriteMethod(this.method) && this.rawBody) {
-            newReq.write(this.rawBody);
-        }
-
         newReq.end();
     } catch (err) {
-        this.log.error(`Error proxying request: ${err.message}`);
-        this.error(500);
+        this.log.error(`Error refreshing proxy cache entry: ${err.message}`);
+        finishAttempt(false);
+        release();
     }
 };
 
@@ -564,9 +1719,8 @@ RomRequest.prototype.redirect = function (code, location) {
         }
         // Send the redirect
         resp.redirect(code, location);
-        if (this.onSent !== null) {
-            this.onSent(this.serverRequest, resp);
-        }
+        this.emitEvent('redirect', {code: code, location: location});
+        this.sent();
         this.log.info(`Redirected request to ${location}`);
     } catch (err) {
         this.log.error(`Error sending redirect: ${err.message}`);
@@ -619,6 +1773,8 @@ RomRequest.prototype.rewrite = function (newUrl) {
             this.path = (typeof url.pathname === 'string' && url.pathname.length !== 0) ? url.pathname : '/';
             this.normalizedPath = this.path.toLowerCase();
             this.url = (typeof url.path === 'string' && url.path.length !== 0) ? url.path : '/';
+            this.query = url.query;
+            this.queryParams = Query.parse(url.query) || {};
             if ((this.port === 80 && this.proto === 'http') || (this.port === 443 && this.proto === 'https')) {
                 this.href = this.proto + '://' + this.hostname + url.path;
             } else {
@@ -662,6 +1818,7 @@ RomRequest.prototype.doRoute = function () {
         }
 
         // Set request settings from host config
+        this.emitEvent('host:resolved', {host: host.hostname, pass: this.routePass});
         this.hostConfig = host.config;
         this.timeout = host.config.timeout;
 
@@ -685,15 +1842,162 @@ RomRequest.prototype.doRoute = function () {
 };
 
 
+/**
+ * Check if the request has a body
+ *
+ * @memberof RomRequest
+ * @private
+ * @returns {boolean} - true if it has a body
+ */
+RomRequest.prototype.hasBody = function () {
+    let headers = this.serverRequest.headers;
+
+    return typeof headers['transfer-encoding'] === 'string' || parseInt(headers['content-length'], 10) > 0;
+};
+
+
+/**
+ * Get the request body size limit and allowed content types, of the route or else the host
+ *
+ * @memberof RomRequest
+ * @private
+ * @returns {object} - The limits ({limit, types}), limit 0 and types null if none
+ */
+RomRequest.prototype.bodyLimits = function () {
+    let route = this.route || {},
+        hc = this.hostConfig || {};
+
+    return {
+        limit: (typeof route.bodyLimit === 'number') ? route.bodyLimit : (hc.bodyLimit || 0),
+        types: route.bodyTypes || hc.bodyTypes || null
+    };
+};
+
+
+/**
+ * Check the request body content length and type against the limits
+ *
+ * @memberof RomRequest
+ * @private
+ * @returns {number} - 0 if allowed, else the error status (413 or 415)
+ */
+RomRequest.prototype.checkBody = function () {
+    let headers = this.serverRequest.headers,
+        limits = this.bodyLimits(),
+        type = String(headers['content-type'] || '').replace(/;.*$/, '').trim();
+
+    if (!this.hasBody()) {
+        return 0;
+    }
+    if (limits.limit > 0 && parseInt(headers['content-length'], 10) > limits.limit) {
+        return 413;
+    }
+    if (limits.types !== null && (type.length === 0 || !utils.isTypeListed(type, limits.types))) {
+        return 415;
+    }
+    return 0;
+};
+
+
+/**
+ * Read the request body, once, parsing JSON and URL-encoded form bodies.  Text bodies, or bodies
+ * with a charset, are strings, and others are Buffers.  The raw body is kept as this.rawBody, and
+ * sent as is if the request is then proxied.
+ *
+ * @memberof RomRequest
+ * @public
+ * @returns {Promise} - Resolves with the body (also set as this.body), null if there is none, or rejects with an HttpError (400, 413, or 415 for an unknown charset)
+ */
+RomRequest.prototype.readBody = function () {
+    if (this.bodyPromise !== null) {
+        return this.bodyPromise;
+    }
+    this.bodyPromise = new Promise((resolve, reject) => {
+        let headers = this.serverRequest.headers,
+            limit = this.bodyLimits().limit,
+            status = this.checkBody(),
+            charset,
+            ct = {parameters: {}, type: ''},
+            decode;
+
+        if (!this.hasBody()) {
+            resolve(null);
+            return;
+        }
+        if (status !== 0) {
+            reject(new HttpError(status));
+            return;
+        }
+        try {
+            if (typeof headers['content-type'] === 'string') {
+                ct = ContentType.parse(headers['content-type']);
+            }
+        } catch (e) {
+            reject(new HttpError(400));
+            return;
+        }
+        charset = (ct.parameters.charset || 'utf8').toLowerCase();
+        if (Buffer.isEncoding(charset)) {
+            decode = (buf) => buf.toString(charset);
+        } else {
+            // Other charsets, e.g. iso-8859-1 or windows-1252
+            try {
+                let decoder = new TextDecoder(charset);
+
+                decode = (buf) => decoder.decode(buf);
+            } catch (e) {
+                reject(new HttpError(415));
+                return;
+            }
+        }
+
+        getRawBody(this.serverRequest, {
+            length: headers['content-length'],
+            limit: (limit > 0) ? limit : null
+        }, (err, raw) => {
+            if (err) {
+                this.log.debug(`Failed to read request body: ${err}`);
+                reject(new HttpError(err.statusCode || 400));
+                return;
+            }
+            this.rawBody = raw;
+            try {
+                switch (ct.type) {
+                case 'application/json':
+                    this.body = Bourne.parse(decode(raw));  // Safe version of JSON.parse
+                    break;
+                case 'application/x-www-form-urlencoded':
+                    this.body = QS.parse(decode(raw));
+                    break;
+                default:
+                    this.body = (ct.type.indexOf('text/') === 0 || ct.parameters.charset) ? decode(raw) : raw;
+                }
+            } catch (e) {
+                reject(new HttpError(400));
+                return;
+            }
+            resolve(this.body);
+        });
+    });
+    return this.bodyPromise;
+};
+
+
 /**
  * Process RomRequest request
  *
  * @memberof RomRequest
  * @param {object} req - Request object (Express)
  * @param {object} res - Response object (HTTP/HTTPS/HTTP2)
- * @param {function} next - Continuation function (Express)
+ * @param {function} serverNext - Continuation function (Express)
  */
-RomRequest.prototype.process = function (req, res, next) {
+RomRequest.prototype.process = function (req, res, serverNext) {
+    let next = (err) => {
+        this.emitEvent('error', {error: err, status: err.statusCode});
+        serverNext(err);
+    };
+
+    this.startTime = process.hrtime();
     this.logPrefix = res.locals.logPrefix || '';
     if (typeof res.locals.logMeta === 'object' && res.locals.logMeta !== null) {
         this.logMeta = res.locals.logMeta;
@@ -729,6 +2033,7 @@ RomRequest.prototype.process = function (req, res, next) {
         this.serverPort = curAddr.port;
         this.serverProto = req.protocol;
         this.url = req.url;
+        this.emitEvent('request:start');
 
         if (typeof req.headers.host !== 'string') {
             this.log.error('No host header in request!');
@@ -746,9 +2051,8 @@ RomRequest.prototype.process = function (req, res, next) {
 
             this.log.debug('Reduced the request path and redirecting.');
             res.redirect(this.settings.reduceRedirectCode, newUrl);
-            if (this.onSent !== null) {
-                this.onSent(req, res);
-            }
+            this.emitEvent('redirect', {code: this.settings.reduceRedirectCode, location: newUrl});
+            this.sent();
             return;
         }
 
@@ -781,83 +2085,12 @@ RomRequest.prototype.process = function (req, res, next) {
         // Parse query parameters
         this.queryParams = Query.parse(url.query) || {};
 
-        // If "write" request, check for a body
-        if (utils.isWriteMethod(req.method)) {
-            let clh = req.get('content-length'),
-                cth = req.get('content-type');
+        // Find the client's country, for geotargeting and geoMatch routes
+        this.geo = this.countryCode();
 
-            if (typeof cth === 'string' && cth.length !== 0 && typeof clh === 'string') {
-                let cl = parseInt(clh, 10),
-                    ct = ContentType.parse(cth),
-                    en = (ct.parameters && ct.parameters.charset) || 'utf8';
-
-                switch (ct.type) {
-                case 'application/json':
-                    getRawBody(req, {
-                        encoding: en,
-                        length: cl,
-                        limit: '200kb'
-                    }, (err, body) => {
-                        if (err) {
-                            this.log.debug(`Failed to process request body: ${err}`);
-                            next(new HttpError(err.statusCode));
-                        } else {
-                            try {
-                                this.rawBody = body;
-                                this.body = Bourne.parse(body);  // Safe version of JSON.parse
-                            } catch (e) {
-                                next(new HttpError(400));
-                                return;
-                            }
-                            this.doRoute();
-                        }
-                    });
-                    break;
-                case 'application/x-www-form-urlencoded':
-                    getRawBody(req, {
-                        encoding: en,
-                        length: cl,
-                        limit: '200kb'
-                    }, (err, body) => {
-                        if (err) {
-                            this.log.debug(`Failed to process request body: ${err}`);
-                            next(new HttpError(err.statusCode));
-                        } else {
-                            try {
-                                this.rawBody = body;
-                                this.body = QS.parse(body);
-                            } catch (e) {
-                                next(new HttpError(400));
-                                return;
-                            }
-                            this.doRoute();
-                        }
-                    });
-                    break;
-                default:
-                    getRawBody(req, {
-                        encoding: en,
-                        length: cl,
-                        limit: '200kb'
-                    }, (err, body) => {
-                        if (err) {
-                            this.log.debug(`Failed to process request body: ${err}`);
-                            next(new HttpError(err.statusCode));
-                        } else {
-                            this.rawBody = body;
-                            this.body = body;
-                            this.doRoute();
-                        }
-                    });
-                }
-            } else {
-                this.body = null;
-                this.doRoute();
-            }
-        } else {
-            // Done processing the request and creating the new request object, now route the thing
-            this.doRoute();
-        }
+        // Done processing the request and creating the new request object, now route the thing.  Any
+        // body is read when a handler asks for it, or streamed to a proxy.
+        this.doRoute();
     } catch (err) {
         this.log.error(`Error processing request: ${err.message}`);
         next(new HttpError(500));
@@ -865,5 +2098,79 @@ RomRequest.prototype.process = function (req, res, next) {
 };
 
 
+/**
+ * Process an HTTP Upgrade request (e.g. a WebSocket), from the HTTP server's "upgrade" event.  It
+ * is routed like any other request, and proxy routes tunnel the connection to the origin; other
+ * routes send a plain response (no files), after which the connection is closed.
+ *
+ * @memberof RomRequest
+ * @param {object} req - Request object (HTTP)
+ * @param {object} socket - The client connection
+ * @param {object} head - The first packet of the upgraded stream, if any
+ */
+RomRequest.prototype.processUpgrade = function (req, socket, head) {
+    let res = new Http.ServerResponse(req);
+
+    // Add the Express request and response values used in routing
+    req.get = (name) => req.headers[name.toLowerCase()];
+    req.hostname = String(req.headers.host || '').replace(/:\d*$/, '');
+    req.ip = socket.remoteAddress;
+    req.originalUrl = req.url;
+    req.protocol = (socket.encrypted === true) ? 'https' : 'http';
+    req.xhr = false;
+    Object.defineProperty(req, 'path', {get: () => Url.parse(req.url).pathname});
+    res.locals = {};
+    res.redirect = (code, location) => {
+        res.statusCode = code;
+        res.setHeader('location', location);
+        res.end();
+    };
+    res.send = (content) => {
+        let body = (typeof content === 'string' || Buffer.isBuffer(content)) ? content : JSON.stringify(content);
+
+        if (typeof body === 'string' && !res.hasHeader('content-type')) {
+            res.setHeader('content-type', 'text/html; charset=utf-8');
+        }
+        res.setHeader('content-length', String(Buffer.byteLength(body || '')));
+        res.end(body);
+        return res;
+    };
+    res.set = (name, val) => {
+        if (typeof name === 'object' && name !== null) {
+            utils.cloneResponseHeaders(res, name);
+        } else {
+            res.setHeader(name, val);
+        }
+        return res;
+    };
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.type = (type) => res.set('content-type', (type.indexOf('/') !== -1) ? type : (Mime.getType(type) || type));
+    res.shouldKeepAlive = false;
+    res.assignSocket(socket);
+
+    // Anything but a tunnelled connection ends with the response
+    res.on('finish', () => {
+        socket.destroy();
+    });
+
+    this.upgrade = {head: head, socket: socket};
+    socket.on('error', (err) => {
+        this.log.debug(`Upgrade request socket error: ${err.message}`);
+    });
+    this.process(req, res, (err) => {
+        if (res.headersSent === true || socket.destroyed === true) {
+            socket.destroy();
+            return;
+        }
+        res.statusCode = err.statusCode || 500;
+        res.setHeader('connection', 'close');
+        res.end();
+    });
+};
+
+
 module.exports = RomRequest;
 
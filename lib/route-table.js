@@ -1,14 +1,122 @@
 'use strict';
 
 const
+    bodyTransform = require('./body-transform'),
     continents = require('../data/continents.json'),
+    Crypto = require('crypto'),
+    defaultSplitMaxAge = 2592000,  // 30 days
+    defaultStaticIndex = 'index.html',
     formatUrl = require('url').format,
     parseUrl = require('url').parse,
+    Path = require('path'),
+    // Route parameter type converters, each returns the converted value or undefined if not valid
+    paramTypes = {
+        enum: (val, spec) => (spec.values.indexOf(val) !== -1 ? val : undefined),
+        int: (val, spec) => {
+            let num;
+
+            if (!/^-?\d+$/.test(val)) {
+                return undefined;
+            }
+            num = parseInt(val, 10);
+            if ((typeof spec.min === 'number' && num < spec.min) || (typeof spec.max === 'number' && num > spec.max)) {
+                return undefined;
+            }
+            return num;
+        },
+        slug: (val) => (/^[a-z0-9]+([\-_][a-z0-9]+)*$/i.test(val) ? val : undefined),
+        uuid: (val) => (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(val) ? val.toLowerCase() : undefined)
+    },
+    proxyRewrite = require('./proxy-rewrite'),
     regions = require('../data/regions.json'),
+    // Route header, cookie, and query parameter match fields, with the request values they check
+    requestMatchSources = {
+        cookieMatch: 'cookie',
+        cookieNotMatch: 'cookie',
+        headerMatch: 'header',
+        headerNotMatch: 'header',
+        queryMatch: 'query',
+        queryNotMatch: 'query'
+    },
+    staticDotfiles = ['allow', 'deny', 'ignore'],
     TrieRoute = require('./trie-route'),
     utils = require('./utils');
 
 
+/**
+ * Check a RegExp pattern for alternation outside of any group
+ *
+ * @function
+ * @private
+ * @param {string} pattern - The RegExp source
+ * @returns {boolean} - true if the pattern has a top-level "|"
+ */
+function hasTopLevelAlternation(pattern) {
+    let depth = 0,
+        inClass = false;
+
+    for (let ch, i = 0; i < pattern.length; i++) {
+        ch = pattern.charAt(i);
+        if (ch === '\\') {
+            i++;
+        } else if (inClass) {
+            inClass = (ch !== ']');
+        } else if (ch === '[') {
+            inClass = true;
+        } else if (ch === '(') {
+            depth++;
+        } else if (ch === ')') {
+            depth--;
+        } else if (ch === '|' && depth === 0) {
+            return true;
+        }
+    }
+    return false;
+}
+
+
+/**
+ * Extract the literal prefix every match of an anchored RegExp must start with
+ *
+ * @function
+ * @private
+ * @param {string} pattern - The RegExp source
+ * @returns {string} - The literal prefix, empty if there is none or the pattern is not anchored
+ */
+function regexLiteralPrefix(pattern) {
+    let prefix = '';
+
+    if (pattern.charAt(0) !== '^' || hasTopLevelAlternation(pattern)) {
+        return '';
+    }
+    for (let ch, len, lit, quant, i = 1; i < pattern.length; i += len) {
+        ch = pattern.charAt(i);
+        len = 1;
+        if (ch === '\\') {
+            // Escaped punctuation is a literal, anything else (\d, \w, \b, backrefs...) is not
+            lit = pattern.charAt(i + 1);
+            if (lit === '' || /\w/.test(lit)) {
+                break;
+            }
+            len = 2;
+        } else if ('.*+?()[]{}|$'.indexOf(ch) === -1) {
+            lit = ch;
+        } else {
+            break;
+        }
+        quant = pattern.charAt(i + len);
+        if (quant === '?' || quant === '*' || quant === '{') {
+            break;  // Literal is optional or repeated, so stop before it
+        }
+        prefix += lit;
+        if (quant === '+') {
+            break;
+        }
+    }
+    return prefix;
+}
+
+
 /**
  * Use as a default handler for undefined routes
  *
@@ -24,6 +132,47 @@ function undefHandler(req, _route, _args) {
 }
 
 
+/**
+ * Route action for a split route variant with a proxy target
+ *
+ * @function
+ * @private
+ * @param {object} req - The request object (RomRequest)
+ * @param {object} route - The variant route object
+ */
+function proxyVariant(req, route) {
+    req.proxy(route.options);
+}
+
+
+/**
+ * Pick a split route variant.  A stickiness key value always picks the same variant (for the
+ * same weights), otherwise the pick is random.
+ *
+ * @function
+ * @private
+ * @param {object} split - The prepared split settings
+ * @param {string|null} keyVal - The stickiness key value, null if none
+ * @returns {object} - The variant route
+ */
+function pickVariant(split, keyVal) {
+    let point;
+
+    if (keyVal !== null) {
+        point = Crypto.createHash('md5').update(`${split.name}:${keyVal}`).digest().readUInt32BE(0) / 0x100000000 * split.total;
+    } else {
+        point = Math.random() * split.total;
+    }
+    for (let i = 0; i < split.variants.length; i++) {
+        point -= split.variants[i].weight;
+        if (point < 0) {
+            return split.variants[i];
+        }
+    }
+    return split.variants[split.variants.length - 1];
+}
+
+
 /**
  * RouteTable Object constructor
  *
@@ -34,18 +183,23 @@ function undefHandler(req, _route, _args) {
  * @param {object} [config.defaults] - Defaults object, optional
  * @param {boolean} [config.defaults.allowUndefinedHandler] - Default allowUndefinedHandler value, uses false if not set.
  * @param {boolean} [config.defaults.allowWrite] - Default allowWrite value, uses false if not set.
+ * @param {boolean} [config.defaults.compileRegex] - Default compile value for regex tables, uses false if not set.
  * @param {number} [config.defaults.redirectCode] - Default redirect code to use, uses 302 if not set.
  * @param {object} [config.env] - Environment object
  * @param {object} [config.env.conds] - Environment object containing route conditionals
  * @param {object} [config.env.subs] - Environment object containing substitutions
  * @param {object} [config.log] - Shared logger, if used.
+ * @param {array} [config.routeErrors] - If set, collect route errors here ({index, message}) instead of throwing
  * @param {object} config.routeHandlers - Route handler functions namespace object
+ * @param {object} [config.upstreams] - Upstream pools, by name
  */
 function RouteTable(src, config) {
     let cnt = 0,
         conds = null,
+        ctx,
         defHandler = null,
         doSubs = false,
+        routeErrors = Array.isArray(config && config.routeErrors) ? config.routeErrors : null,
         routeHandlers,
         subs = null;
 
@@ -58,7 +212,9 @@ function RouteTable(src, config) {
     this.isRegexMatch = false;
     this.isTrieMatch = false;
     this.matchType = 'trie';
+    this.condRoutes = [];
     this.matchUsingQueryParams = false;
+    this.regexIndex = null;
     this.resolver = null;
     this.routes = [];
     this.trie = null;
@@ -156,212 +312,493 @@ function RouteTable(src, config) {
     }
 
     // Process the routes
-    routeLoop: for (let r, i = 0; i < src.routes.length; i++) {
-        r = src.routes[i];
-
-        // Check conditionals, if conds configured
-        if (typeof r.conds === 'object' && r.conds !== null) {
-            if (conds === null) {
-                continue routeLoop;  // Condition not set
-            }
-            for (let c in r.conds) {
-                if (r.conds.hasOwnProperty(c)) {
-                    if (!conds.hasOwnProperty(c)) {
-                        continue routeLoop;  // Matching condition not set
-                    }
-                    if (typeof r.conds[c] === 'string' && doSubs === true) {
-                        r.conds[c] = utils.substitute(r.conds[c], subs);
-                    }
-                    if (r.conds[c] !== conds[c]) {
-                        continue routeLoop;  // Conditions do not match
-                    }
+    ctx = {
+        conds: conds,
+        defHandler: defHandler,
+        doSubs: doSubs,
+        routeHandlers: routeHandlers,
+        subs: subs,
+        upstreams: config.upstreams || {}
+    };
+    for (let i = 0; i < src.routes.length; i++) {
+        try {
+            if (this.prepRoute(src.routes[i], i, ctx) === true) {
+                cnt++;  // Bump up the route counter
+            } else {
+                this.condRoutes.push(src.routes[i]);  // Kept for explaining requests
+            }
+        } catch (err) {
+            if (routeErrors === null) {
+                throw err;
+            }
+            routeErrors.push({index: i, message: err.message});
+        }
+    }
+
+    // Processed successfully
+    this.count = cnt;
+
+    // Build the regex prefix index, if requested
+    if (this.isRegexMatch === true && (src.compile === true || (src.compile !== false && config.defaults.compileRegex === true))) {
+        this.compile();
+    }
+}
+
+
+/**
+ * Prepare, validate, and add a single route
+ *
+ * @memberof RouteTable
+ * @private
+ * @param {object} r - The route object
+ * @param {number} i - The route index in the route table source
+ * @param {object} ctx - Route table context (conds, defHandler, doSubs, routeHandlers, subs, upstreams)
+ * @returns {boolean} - true if added, false if skipped by its conditions
+ * @throws {Error} - Throws error on an invalid route
+ */
+RouteTable.prototype.prepRoute = function (r, i, ctx) {
+    // Check conditionals, if conds configured
+    if (typeof r.conds === 'object' && r.conds !== null) {
+        if (ctx.conds === null) {
+            return false;  // Condition not set
+        }
+        for (let c in r.conds) {
+            if (r.conds.hasOwnProperty(c)) {
+                if (!ctx.conds.hasOwnProperty(c)) {
+                    return false;  // Matching condition not set
+                }
+                if (typeof r.conds[c] === 'string' && ctx.doSubs === true) {
+                    r.conds[c] = utils.substitute(r.conds[c], ctx.subs);
+                }
+                if (r.conds[c] !== ctx.conds[c]) {
+                    return false;  // Conditions do not match
                 }
             }
         }
+    }
+
+    // Do substitutions, if subs configured
+    if (ctx.doSubs === true) {
+        r.on = utils.substitute(r.on, ctx.subs);
+    }
+
+    // Verify we have a route
+    if (typeof r.on !== 'string' || r.on.length === 0) {
+        throw new Error('Invalid or empty route match.');
+    }
+
+    // Handle allowWrite
+    if (typeof r.allowWrite !== 'boolean') {
+        r.allowWrite = this.defaultAllowWrite;
+    }
+
+    // If request body size limit or allowed content types set, verify them
+    if (typeof r.bodyLimit !== 'undefined') {
+        let limit = utils.parseSize(r.bodyLimit);
 
-        // Do substitutions, if subs configured
-        if (doSubs === true) {
-            r.on = utils.substitute(r.on, subs);
+        if (limit === null) {
+            throw new Error(`Invalid bodyLimit (${r.bodyLimit}) specified for route, must be a number of bytes or a size such as "10mb".`);
         }
+        r.bodyLimit = limit;
+    }
+    if (typeof r.bodyTypes !== 'undefined' &&
+        (!Array.isArray(r.bodyTypes) || r.bodyTypes.some((t) => typeof t !== 'string' || t.indexOf('/') === -1))) {
 
-        // Verify we have a route
-        if (typeof r.on !== 'string' || r.on.length === 0) {
-            throw new Error('Invalid or empty route match.');
+        throw new Error('Invalid bodyTypes specified for route, must be a list of content types.');
+    }
+
+    // If method match set, verify it
+    if (typeof r.methodMatch === 'string' && r.methodMatch.length !== 0) {
+        if (!utils.isMethodValid(r.methodMatch)) {
+            throw new Error(`Invalid method (${r.methodMatch}) specified for route runtime method match.`);
         }
+        if (r.allowWrite !== true && utils.isWriteMethod(r.methodMatch)) {
+            throw new Error(`Invalid method (${r.methodMatch}) specified for route runtime method match with allowWrite disabled.`);
+        }
+    } else {
+        r.methodMatch = '';
+    }
 
-        // Handle allowWrite
-        if (typeof r.allowWrite !== 'boolean') {
-            r.allowWrite = this.defaultAllowWrite;
+    // If hostname match and subs set, do substitutions
+    if (typeof r.hostMatch === 'string') {
+        if (ctx.doSubs === true) {
+            r.hostMatch = utils.substitute(r.hostMatch, ctx.subs);
         }
+        if (r.hostMatch.length !== 0 && !utils.isHostnameValid(r.hostMatch)) {
+            throw new Error(`Invalid hostname (${r.hostMatch}) specified for route runtime hostname match.`);
+        }
+        r.hostMatch = r.hostMatch.toLowerCase();
+    } else {
+        r.hostMatch = '';
+    }
 
-        // If method match set, verify it
-        if (typeof r.methodMatch === 'string' && r.methodMatch.length !== 0) {
-            if (!utils.isMethodValid(r.methodMatch)) {
-                throw new Error(`Invalid method (${r.methodMatch}) specified for route runtime method match.`);
-            }
-            if (r.allowWrite !== true && utils.isWriteMethod(r.methodMatch)) {
-                throw new Error(`Invalid method (${r.methodMatch}) specified for route runtime method match with allowWrite disabled.`);
-            }
-        } else {
-            r.methodMatch = '';
+    // If protocol match set, verify it
+    if (typeof r.protoMatch === 'string' && r.protoMatch.length !== 0) {
+        if (r.protoMatch.search(/^(http|https)$/) === -1) {
+            throw new Error(`Invalid protocol (${r.protoMatch}) specified for route runtime protocol match.`);
         }
+    } else {
+        r.protoMatch = '';
+    }
 
-        // If hostname match and subs set, do substitutions
-        if (typeof r.hostMatch === 'string') {
-            if (doSubs === true) {
-                r.hostMatch = utils.substitute(r.hostMatch, subs);
-            }
-            if (r.hostMatch.length !== 0 && !utils.isHostnameValid(r.hostMatch)) {
-                throw new Error(`Invalid hostname (${r.hostMatch}) specified for route runtime hostname match.`);
-            }
-            r.hostMatch = r.hostMatch.toLowerCase();
-        } else {
-            r.hostMatch = '';
+    // If port match set, verify it
+    if (typeof r.portMatch === 'number') {
+        if (r.portMatch < 0 || r.portMatch > 65535) {
+            throw new Error(`Invalid port (${r.portMatch}) specified for route runtime port match.`);
         }
+    } else {
+        r.portMatch = 0;
+    }
+
+    // If geo match set, expand any regions and continents to their countries
+    if (typeof r.geoMatch === 'string' || Array.isArray(r.geoMatch)) {
+        let countries = [];
+
+        [].concat(r.geoMatch).forEach((geo) => {
+            let code = String(geo).toUpperCase();
 
-        // If protocol match set, verify it
-        if (typeof r.protoMatch === 'string' && r.protoMatch.length !== 0) {
-            if (r.protoMatch.search(/^(http|https)$/) === -1) {
-                throw new Error(`Invalid protocol (${r.protoMatch}) specified for route runtime protocol match.`);
+            if (/^[A-Z]{2}$/.test(code)) {
+                countries.push(code);
+            } else if (Array.isArray(regions[code])) {
+                countries = countries.concat(regions[code]);
+            } else if (Array.isArray(continents[code])) {
+                countries = countries.concat(continents[code]);
+            } else {
+                throw new Error(`Invalid country, region or continent (${geo}) specified for route runtime geo match.`);
             }
-        } else {
-            r.protoMatch = '';
-        }
+        });
+        r.geoMatch = (countries.length !== 0) ? countries : null;
+    } else {
+        r.geoMatch = null;
+    }
 
-        // If port match set, verify it
-        if (typeof r.portMatch === 'number') {
-            if (r.portMatch < 0 || r.portMatch > 65535) {
-                throw new Error(`Invalid port (${r.portMatch}) specified for route runtime port match.`);
+    // If header, cookie, or query parameter matches set, compile them
+    r.requestMatches = null;
+    for (let f in requestMatchSources) {
+        if (requestMatchSources.hasOwnProperty(f) && typeof r[f] !== 'undefined') {
+            if (typeof r[f] !== 'object' || r[f] === null || Array.isArray(r[f])) {
+                throw new Error(`Invalid ${f} (must be an object of names and patterns) specified for route runtime match.`);
+            }
+            for (let name in r[f]) {
+                if (r[f].hasOwnProperty(name)) {
+                    let pattern = r[f][name],
+                        re;
+
+                    if (typeof pattern !== 'string') {
+                        throw new Error(`Invalid ${f} pattern for "${name}" specified for route runtime match.`);
+                    }
+                    if (ctx.doSubs === true) {
+                        pattern = utils.substitute(pattern, ctx.subs);
+                    }
+                    try {
+                        re = new RegExp(pattern);
+                    } catch (err) {
+                        throw new Error(`Invalid ${f} pattern for "${name}" specified for route runtime match: ${err.message}`);
+                    }
+                    r.requestMatches = (r.requestMatches || []).concat({
+                        field: f,
+                        name: (requestMatchSources[f] === 'header') ? name.toLowerCase() : name,
+                        negate: f.indexOf('NotMatch') !== -1,
+                        re: re,
+                        source: requestMatchSources[f]
+                    });
+                }
             }
-        } else {
-            r.portMatch = 0;
         }
+    }
 
-        // Force proto, if requested...
-        if (typeof r.forceProto === 'string' && r.forceProto.length !== 0) {
-            r.forceProto = r.forceProto.toLowerCase();
+    // Force proto, if requested...
+    if (typeof r.forceProto === 'string' && r.forceProto.length !== 0) {
+        r.forceProto = r.forceProto.toLowerCase();
+        r.forcePort = this.forcePort;
+        if (r.forceProto !== 'https' && r.forceProto !== 'http') {
+            throw new Error(`Bad forced protocol (${r.forceProto}) specified for route.`);
+        }
+    } else {
+        r.forceProto = this.forceProto;
+        if (r.forceProto.length !== 0) {
             r.forcePort = this.forcePort;
-            if (r.forceProto !== 'https' && r.forceProto !== 'http') {
-                throw new Error(`Bad forced protocol (${r.forceProto}) specified for route.`);
+        }
+    }
+
+    // Setup handlers and prep routes based on route type
+    if (typeof r.split === 'object' && r.split !== null) {
+        this.prepSplitRoute(r, i, ctx);
+        r.action = this.handleMatchedSplit;
+    } else {
+        this.prepRouteAction(r, i, ctx);
+    }
+
+    // Compile the route parameter schema, if any
+    try {
+        r.paramChecks = this.prepParamChecks(r);
+    } catch (pcErr) {
+        throw new Error(`Invalid params for route #${i} (${r.on}): ${pcErr.message}`);
+    }
+
+    // Add new route to route list
+    if (this.isRegexMatch === true) {
+        try {
+            r.regex = new RegExp(r.on, (this.isCaseSpecific === false ? 'i' : ''));
+        } catch (reErr) {
+            throw new Error(`Error while adding RegExp route #${i} (${r.on}) to the route list: ` + (reErr.message || 'Unknown'));
+        }
+    } else {  // Trie match
+        try {
+            let em = r.on.lastIndexOf('#'),
+                conditional,
+                matchOn,
+                normMatch = (this.isCaseSpecific === true) ? r.on : TrieRoute.normalizeCase(r.on);
+
+            if (typeof r.postMatch === 'string' && r.postMatch.length !== 0) {
+                // We have a postMatch, so compile the RegExp for it
+                r.postMatchRE = new RegExp(r.postMatch);
             }
-        } else {
-            r.forceProto = this.forceProto;
-            if (r.forceProto.length !== 0) {
-                r.forcePort = this.forcePort;
+            conditional = !utils.isUnconditionalRoute(r);
+            if (em !== -1) {
+                // There is an end marker (#), deal with it
+                matchOn = normMatch.slice(0, em + 1);
+                this.trie.add(matchOn, r, conditional);
+                if (normMatch.length >= em) {
+                    // There is a control value after the marker
+                    if (normMatch.charAt(em + 1) === '?') {
+                        // #? means end match or add trailing slash without end marker
+                        matchOn = normMatch.slice(0, em) + '/';
+                        this.trie.add(matchOn, r, conditional);
+                    } else if (normMatch.charAt(em + 1) === 's' && normMatch.charAt(em - 1) !== '/') {
+                        // #s means also match trailing slash with end marker
+                        matchOn = normMatch.slice(0, em) + '/#';
+                        this.trie.add(matchOn, r, conditional);
+                    } else if (normMatch.charAt(em + 1) === 'i') {
+                        // #i means also match trailing slash and /index.html, each with end markers
+                        if (normMatch.charAt(em - 1) !== '/') {
+                            matchOn = normMatch.slice(0, em) + '/#';
+                            this.trie.add(matchOn, r, conditional);
+                        }
+                        matchOn = normMatch.slice(0, em) + '/index.html#';
+                        this.trie.add(matchOn, r, conditional);
+                    }
+                }
+            } else {
+                this.trie.add(normMatch, r, conditional);
             }
+        } catch (trErr) {
+            throw new Error(`Error while adding route #${i} (${r.on}) to the Trie: ` + (trErr.message || 'Unknown'));
         }
+    }
+    this.routes.push(r);
+    return true;
+};
 
-        // Setup handlers and prep routes based on route type
-        if (typeof r.rewrite === 'string') {
-            // This is a rewrite
-            if (doSubs === true) {
-                r.rewrite = utils.substitute(r.rewrite, subs);
-                if (typeof r.replace === 'string') {
-                    r.replace = utils.substitute(r.replace, subs);
-                }
+
+/**
+ * Prepare the action of a rewrite, redirect, static, or handled route (or split route variant)
+ *
+ * @memberof RouteTable
+ * @private
+ * @param {object} r - The route object
+ * @param {number} i - The route index in the route table source
+ * @param {object} ctx - Route table context (conds, defHandler, doSubs, routeHandlers, subs, upstreams)
+ * @throws {Error} - Throws error on an invalid route
+ */
+RouteTable.prototype.prepRouteAction = function (r, i, ctx) {
+    if (typeof r.rewrite === 'string') {
+        // This is a rewrite
+        if (ctx.doSubs === true) {
+            r.rewrite = utils.substitute(r.rewrite, ctx.subs);
+            if (typeof r.replace === 'string') {
+                r.replace = utils.substitute(r.replace, ctx.subs);
             }
-            this.prepRewriteRoute(r);
-            r.action = this.handleMatchedRewrite;
-        } else if (typeof r.redirect === 'string') {
-            // This is a redirect
-            if (doSubs === true) {
-                r.redirect = utils.substitute(r.redirect, subs);
+        }
+        this.prepRewriteRoute(r);
+        r.action = this.handleMatchedRewrite;
+    } else if (typeof r.redirect === 'string') {
+        // This is a redirect
+        if (ctx.doSubs === true) {
+            r.redirect = utils.substitute(r.redirect, ctx.subs);
+        }
+        this.prepRedirectRoute(r, (ctx.doSubs === true ? ctx.subs : null));
+        r.action = this.handleMatchedRedirect;
+    } else if (typeof r.static === 'object' && r.static !== null) {
+        // This is a static file route
+        if (ctx.doSubs === true && typeof r.static.root === 'string') {
+            r.static.root = utils.substitute(r.static.root, ctx.subs);
+        }
+        this.prepStaticRoute(r);
+        r.action = this.handleMatchedStatic;
+    } else {
+        if (typeof r.do === 'string' && r.do.length !== 0) {
+            // This is a handled route
+            if (ctx.doSubs === true) {
+                r.do = utils.substitute(r.do, ctx.subs);
             }
-            this.prepRedirectRoute(r, (doSubs === true ? subs : null));
-            r.action = this.handleMatchedRedirect;
-        } else {
-            if (typeof r.do === 'string' && r.do.length !== 0) {
-                // This is a handled route
-                if (doSubs === true) {
-                    r.do = utils.substitute(r.do, subs);
-                }
-                if (typeof routeHandlers[r.do] === 'function') {
-                    r.action = routeHandlers[r.do];
-                } else if (this.undefinedHandler !== null) {
-                    // Well, the named handler isn't defined yet, but we're cool with that for now
-                    r.action = this.undefinedHandler;
-                } else {
-                    throw new Error(`Invalid handler "${r.do}" for route #${i}: ${r.on}`);
-                }
-            } else if (defHandler !== null) {
-                // This is a handled route using the default handler
-                r.action = defHandler;
+            if (typeof ctx.routeHandlers[r.do] === 'function') {
+                r.action = ctx.routeHandlers[r.do];
+            } else if (this.undefinedHandler !== null) {
+                // Well, the named handler isn't defined yet, but we're cool with that for now
+                r.action = this.undefinedHandler;
             } else {
-                throw new Error(`Missing handler for route #${i}: ${r.on}`);
-            }
-            // Handle substitutions on known options
-            if (doSubs === true && typeof r.options === 'object' && r.options !== null) {
-                if (typeof r.options.headers === 'object' && r.options.headers !== null) {
-                    for (let ph in r.options.headers) {
-                        if (r.options.headers.hasOwnProperty(ph) && typeof r.options.headers[ph] === 'string') {
-                            r.options.headers[ph] = utils.substitute(r.options.headers[ph], subs);
-                        }
+                throw new Error(`Invalid handler "${r.do}" for route #${i}: ${r.on}`);
+            }
+        } else if (ctx.defHandler !== null) {
+            // This is a handled route using the default handler
+            r.action = ctx.defHandler;
+        } else {
+            throw new Error(`Missing handler for route #${i}: ${r.on}`);
+        }
+        // Handle substitutions on known options
+        if (ctx.doSubs === true && typeof r.options === 'object' && r.options !== null) {
+            if (typeof r.options.headers === 'object' && r.options.headers !== null) {
+                for (let ph in r.options.headers) {
+                    if (r.options.headers.hasOwnProperty(ph) && typeof r.options.headers[ph] === 'string') {
+                        r.options.headers[ph] = utils.substitute(r.options.headers[ph], ctx.subs);
                     }
                 }
-                if (typeof r.options.proxy === 'object' && r.options.proxy !== null) {
-                    this.processProxyOpts(r.options.proxy, subs);
-                }
-                if (typeof r.options.altProxy === 'object' && r.options.altProxy !== null) {
-                    this.processProxyOpts(r.options.altProxy, subs);
-                }
+            }
+            if (typeof r.options.proxy === 'object' && r.options.proxy !== null) {
+                this.processProxyOpts(r.options.proxy, ctx.subs);
+            }
+            if (typeof r.options.altProxy === 'object' && r.options.altProxy !== null) {
+                this.processProxyOpts(r.options.altProxy, ctx.subs);
             }
         }
+        this.checkProxyOpts(r, i, ctx);
+    }
+};
 
-        // Add new route to route list
-        if (this.isRegexMatch === true) {
-            try {
-                r.regex = new RegExp(r.on, (this.isCaseSpecific === false ? 'i' : '')),
-                this.routes[cnt] = r;
-            } catch (reErr) {
-                throw new Error(`Error while adding RegExp route #${i} (${r.on}) to the route list: ` + (reErr.message || 'Unknown'));
-            }
-        } else {  // Trie match
-            try {
-                let em = r.on.lastIndexOf('#'),
-                    matchOn,
-                    normMatch = (this.isCaseSpecific === true) ? r.on : r.on.toLowerCase();
 
-                if (typeof r.postMatch === 'string' && r.postMatch.length !== 0) {
-                    // We have a postMatch, so compile the RegExp for it
-                    r.postMatchRE = new RegExp(r.postMatch);
-                }
-                if (em !== -1) {
-                    // There is an end marker (#), deal with it
-                    matchOn = normMatch.slice(0, em + 1);
-                    this.trie.add(matchOn, r);
-                    if (normMatch.length >= em) {
-                        // There is a control value after the marker
-                        if (normMatch.charAt(em + 1) === '?') {
-                            // #? means end match or add trailing slash without end marker
-                            matchOn = normMatch.slice(0, em) + '/';
-                            this.trie.add(matchOn, r);
-                        } else if (normMatch.charAt(em + 1) === 's' && normMatch.charAt(em - 1) !== '/') {
-                            // #s means also match trailing slash with end marker
-                            matchOn = normMatch.slice(0, em) + '/#';
-                            this.trie.add(matchOn, r);
-                        } else if (normMatch.charAt(em + 1) === 'i') {
-                            // #i means also match trailing slash and /index.html, each with end markers
-                            if (normMatch.charAt(em - 1) !== '/') {
-                                matchOn = normMatch.slice(0, em) + '/#';
-                                this.trie.add(matchOn, r);
-                            }
-                            matchOn = normMatch.slice(0, em) + '/index.html#';
-                            this.trie.add(matchOn, r);
-                        }
-                    }
-                } else {
-                    this.trie.add(normMatch, r);
-                }
-            } catch (trErr) {
-                throw new Error(`Error while adding route #${i} (${r.on}) to the Trie: ` + (trErr.message || 'Unknown'));
+/**
+ * Prepare and validate a split route, and the route for each of its variants.  The variant
+ * routes share the values of the split route, with the action values of the variant.
+ *
+ * @memberof RouteTable
+ * @private
+ * @param {object} r - The route object
+ * @param {number} i - The route index in the route table source
+ * @param {object} ctx - Route table context (conds, defHandler, doSubs, routeHandlers, subs, upstreams)
+ * @throws {Error} - Throws error on an invalid route
+ */
+RouteTable.prototype.prepSplitRoute = function (r, i, ctx) {
+    let src = r.split,
+        key = (typeof src.key === 'string') ? src.key : 'cookie',
+        names = [],
+        split = {
+            cookie: '',
+            keyName: '',
+            keyType: key.replace(/:.*$/, ''),
+            maxAge: (typeof src.maxAge === 'number' && src.maxAge >= 0) ? src.maxAge : defaultSplitMaxAge,
+            name: src.name,
+            total: 0,
+            variants: []
+        };
+
+    if (typeof r.do === 'string' || typeof r.rewrite === 'string' || typeof r.redirect === 'string' || typeof r.static !== 'undefined') {
+        throw new Error(`Split route #${i} (${r.on}) can not also have "do", "rewrite", "redirect" or "static".`);
+    }
+    if (typeof split.name !== 'string' || !/^[\w\-]+$/.test(split.name)) {
+        throw new Error(`Invalid or missing split name for route #${i} (${r.on}).`);
+    }
+    if (['cookie', 'header', 'ip'].indexOf(split.keyType) === -1 || (split.keyType === 'ip') !== (key === 'ip') ||
+        (split.keyType === 'header' && key.length <= 7)) {
+
+        throw new Error(`Invalid split key "${key}" for route #${i} (${r.on}), must be "cookie", "cookie:<name>", "header:<name>" or "ip".`);
+    }
+    split.keyName = (key.indexOf(':') !== -1) ? key.slice(key.indexOf(':') + 1) : '';
+    if (split.keyType === 'header') {
+        split.keyName = split.keyName.toLowerCase();
+    }
+    if (src.cookie !== false) {
+        split.cookie = (typeof src.cookie === 'string') ? src.cookie : `split_${split.name}`;
+        if (!/^[\w\-]+$/.test(split.cookie)) {
+            throw new Error(`Invalid split cookie name "${split.cookie}" for route #${i} (${r.on}).`);
+        }
+    }
+    if (!Array.isArray(src.variants) || src.variants.length === 0) {
+        throw new Error(`Missing split variants for route #${i} (${r.on}).`);
+    }
+
+    src.variants.forEach((v, vi) => {
+        let vr = {};
+
+        if (typeof v !== 'object' || v === null || typeof v.name !== 'string' || !/^[\w\-.]+$/.test(v.name) || names.indexOf(v.name) !== -1) {
+            throw new Error(`Invalid, missing or duplicate name for split variant #${vi} of route #${i} (${r.on}).`);
+        }
+        if (typeof v.weight !== 'number' || !(v.weight >= 0)) {
+            throw new Error(`Invalid weight for split variant "${v.name}" of route #${i} (${r.on}).`);
+        }
+        names.push(v.name);
+
+        for (let k in r) {
+            if (r.hasOwnProperty(k) && k !== 'split') {
+                vr[k] = r[k];
+            }
+        }
+        for (let k in v) {
+            if (v.hasOwnProperty(k) && k !== 'name' && k !== 'weight') {
+                vr[k] = v[k];
             }
         }
-        cnt++;  // Bump up the route counter
+        vr.variant = v.name;
+        vr.weight = v.weight;
+        if (typeof v.proxy === 'object' && v.proxy !== null) {
+            vr.options = Object.assign({}, vr.options, {proxy: v.proxy});
+            if (ctx.doSubs === true) {
+                this.processProxyOpts(vr.options.proxy, ctx.subs);
+            }
+            vr.action = proxyVariant;
+            this.checkProxyOpts(vr, i, ctx);
+        } else {
+            this.prepRouteAction(vr, i, ctx);
+        }
+        split.total += v.weight;
+        split.variants.push(vr);
+    });
+    if (split.total <= 0) {
+        throw new Error(`Split variant weights of route #${i} (${r.on}) must add up to more than 0.`);
     }
+    r.split = split;
+};
 
-    // Processed successfully
-    this.count = cnt;
-}
+
+/**
+ * Compile a regex route table, indexing each route by the literal prefix of its RegExp so that
+ * only routes that could possibly match a request are tested.  Route order is preserved.
+ *
+ * @memberof RouteTable
+ * @public
+ * @returns {boolean} - true if compiled, false if this is not a regex route table
+ */
+RouteTable.prototype.compile = function () {
+    let index = new TrieRoute();
+
+    if (this.isRegexMatch !== true) {
+        return false;
+    }
+    for (let prefix, i = 0; i < this.routes.length; i++) {
+        // Only index the path, as the query string of a key keeps its case
+        prefix = regexLiteralPrefix(this.routes[i].on).split('?')[0];
+        index.append(this.isCaseSpecific === true ? prefix : prefix.toLowerCase(), i);
+    }
+    this.regexIndex = index;
+    this.log.debug(`Compiled regex route table ${this.id} (${this.routes.length} routes)`);
+    return true;
+};
+
+
+/**
+ * Get the regex routes to test for a path key, in route table order
+ *
+ * @memberof RouteTable
+ * @private
+ * @param {string} key - The normalized path key
+ * @returns {array} - The candidate routes
+ */
+RouteTable.prototype.getRegexCandidates = function (key) {
+    if (this.regexIndex === null) {
+        return this.routes;
+    }
+    return this.regexIndex.findAll(key).sort((a, b) => a - b).map((i) => this.routes[i]);
+};
 
 
 /**
@@ -417,6 +854,65 @@ RouteTable.prototype.processProxyOpts = function (opts, subs) {
 };
 
 
+/**
+ * Verify a route's proxy options: the upstream pools named exist, and the rewriting, cache, body
+ * transform and fallback options are valid
+ *
+ * @memberof RouteTable
+ * @private
+ * @param {object} r - The route object
+ * @param {number} i - The route index in the route table source
+ * @param {object} ctx - Route table context (upstreams)
+ * @throws {Error} - Throws error on an unknown upstream pool or invalid rewriting, cache, transform or fallback options
+ */
+RouteTable.prototype.checkProxyOpts = function (r, i, ctx) {
+    let cache,
+        fallback,
+        transformError;
+
+    if (typeof r.options !== 'object' || r.options === null) {
+        return;
+    }
+    [r.options.proxy, r.options.altProxy].forEach((p) => {
+        let rewriteError;
+
+        if (typeof p !== 'object' || p === null) {
+            return;
+        }
+        if (typeof p.upstream !== 'undefined' && (typeof p.upstream !== 'string' || !ctx.upstreams.hasOwnProperty(p.upstream))) {
+            throw new Error(`Unknown upstream pool "${p.upstream}" for route #${i}: ${r.on}`);
+        }
+        if ((rewriteError = proxyRewrite.checkOptions(p)) !== null) {
+            throw new Error(`Invalid proxy options for route #${i}: ${r.on}, ${rewriteError}`);
+        }
+    });
+
+    cache = r.options.cache;
+    if (typeof cache !== 'undefined' && typeof cache !== 'boolean') {
+        if (typeof cache !== 'object' || cache === null ||
+            ['ttl', 'staleWhileRevalidate', 'staleIfError'].some((k) => typeof cache[k] !== 'undefined' && (typeof cache[k] !== 'number' || !(cache[k] >= 0))) ||
+            (typeof cache.surrogateKeys !== 'undefined' && (!Array.isArray(cache.surrogateKeys) || cache.surrogateKeys.some((k) => typeof k !== 'string')))) {
+
+            throw new Error(`Invalid proxy cache options for route #${i}: ${r.on}`);
+        }
+    }
+
+    if (typeof r.options.transform !== 'undefined' && (transformError = bodyTransform.checkTransforms(r.options.transform)) !== null) {
+        throw new Error(`Invalid proxy body transform for route #${i}: ${r.on}, ${transformError}`);
+    }
+
+    fallback = r.options.fallback;
+    if (typeof fallback !== 'undefined') {
+        if (typeof fallback !== 'object' || fallback === null ||
+            (typeof fallback.file !== 'undefined' && (typeof fallback.file !== 'string' || !Path.isAbsolute(fallback.file))) ||
+            (typeof fallback.status !== 'undefined' && (typeof fallback.status !== 'number' || fallback.status % 1 !== 0 || fallback.status < 200 || fallback.status > 599))) {
+
+            throw new Error(`Invalid proxy fallback options for route #${i}: ${r.on}, "file" must be an absolute path and "status" an HTTP status code`);
+        }
+    }
+};
+
+
 /**
  * Prepare and validate a redirect route
  *
@@ -456,6 +952,12 @@ RouteTable.prototype.prepRedirectRoute = function (route, subs) {
     } else {
         route.geoTarget = null;
     }
+    // Geotargeting mode, "script" or "server" (uses the default geoMode if not set)
+    if (typeof route.geoMode === 'undefined' || route.geoMode === '') {
+        route.geoMode = '';
+    } else if (route.geoMode !== 'script' && route.geoMode !== 'server') {
+        throw new Error(`Invalid redirect rule for "${route.on}", bad geoMode: ${route.geoMode}`);
+    }
 
     // Set the redirect code (defaultCode by default)
     route.code = (typeof route.code !== 'undefined' && route.code >= 300 && route.code < 400) ? route.code : this.defaultRedirectCode;
@@ -464,6 +966,48 @@ RouteTable.prototype.prepRedirectRoute = function (route, subs) {
 };
 
 
+/**
+ * Prepare and validate a static file route, setting the unset options to their defaults
+ *
+ * @memberof RouteTable
+ * @private
+ * @param {object} route - The route object
+ * @throws {Error} - Throws error on invalid static options
+ */
+RouteTable.prototype.prepStaticRoute = function (route) {
+    let conf = route.static;
+
+    if (typeof conf.root !== 'string' || !Path.isAbsolute(conf.root)) {
+        throw new Error(`Invalid static route for "${route.on}", "root" must be an absolute path`);
+    }
+    if (typeof conf.index !== 'undefined' && conf.index !== false && (typeof conf.index !== 'string' || !/^[^\/\\]+$/.test(conf.index))) {
+        throw new Error(`Invalid static route for "${route.on}", "index" must be a file name or false`);
+    }
+    if (typeof conf.maxAge !== 'undefined' && (typeof conf.maxAge !== 'number' || conf.maxAge < 0 || conf.maxAge % 1 !== 0)) {
+        throw new Error(`Invalid static route for "${route.on}", "maxAge" must be a number of seconds`);
+    }
+    if (typeof conf.dotfiles !== 'undefined' && staticDotfiles.indexOf(conf.dotfiles) === -1) {
+        throw new Error(`Invalid static route for "${route.on}", "dotfiles" must be one of: ${staticDotfiles.join(', ')}`);
+    }
+    ['etag', 'fallthrough', 'lastModified', 'precompressed'].forEach((k) => {
+        if (typeof conf[k] !== 'undefined' && typeof conf[k] !== 'boolean') {
+            throw new Error(`Invalid static route for "${route.on}", "${k}" must be true or false`);
+        }
+    });
+
+    route.static = {
+        dotfiles: conf.dotfiles || 'ignore',
+        etag: conf.etag !== false,
+        fallthrough: conf.fallthrough !== false,
+        index: (typeof conf.index === 'undefined') ? defaultStaticIndex : conf.index,
+        lastModified: conf.lastModified !== false,
+        maxAge: conf.maxAge || 0,
+        precompressed: conf.precompressed === true,
+        root: Path.resolve(conf.root)
+    };
+};
+
+
 /**
  * Prepare and validate a rewrite route
  *
@@ -506,6 +1050,79 @@ RouteTable.prototype.prepRewriteRoute = function (route) {
 };
 
 
+/**
+ * Prepare and validate the route parameter schema
+ *
+ * The schema maps parameter names to a type name ("int", "uuid", "slug", "enum") or to an
+ * object with a "type" and the type options ("values" for enum, "min"/"max" for int, and
+ * "optional" to allow missing values).
+ *
+ * @memberof RouteTable
+ * @private
+ * @param {object} route - The route object
+ * @returns {array|null} - The compiled parameter checks, or null if no schema is set
+ * @throws {Error} - Throws error on an invalid schema
+ */
+RouteTable.prototype.prepParamChecks = function (route) {
+    let checks = [];
+
+    if (typeof route.params === 'undefined' || route.params === null) {
+        return null;
+    }
+    if (typeof route.params !== 'object' || Array.isArray(route.params)) {
+        throw new Error('Route params must be an object.');
+    }
+    for (let name in route.params) {
+        if (route.params.hasOwnProperty(name)) {
+            let spec = route.params[name];
+
+            if (typeof spec === 'string') {
+                spec = {type: spec};
+            }
+            if (typeof spec !== 'object' || spec === null || typeof paramTypes[spec.type] !== 'function') {
+                throw new Error(`Invalid type for parameter "${name}".`);
+            }
+            if (spec.type === 'enum' && (!Array.isArray(spec.values) || spec.values.length === 0)) {
+                throw new Error(`Missing values for enum parameter "${name}".`);
+            }
+            checks.push({
+                convert: paramTypes[spec.type],
+                name: name,
+                optional: spec.optional === true,
+                spec: spec
+            });
+        }
+    }
+    return (checks.length !== 0) ? checks : null;
+};
+
+
+/**
+ * Convert and validate the named parameters of a route match
+ *
+ * @memberof RouteTable
+ * @private
+ * @param {object} route - The route object
+ * @param {object} params - The named parameters, converted in place
+ * @returns {boolean} - true if all parameters are valid, false if not
+ */
+RouteTable.prototype.checkParams = function (route, params) {
+    for (let i = 0; i < route.paramChecks.length; i++) {
+        let c = route.paramChecks[i],
+            val = params[c.name];
+
+        if (typeof val === 'undefined') {
+            if (c.optional !== true) {
+                return false;
+            }
+        } else if (typeof (params[c.name] = c.convert(val, c.spec)) === 'undefined') {
+            return false;
+        }
+    }
+    return true;
+};
+
+
 /**
  * Check request hostname against host matching regex
  * if applicable, and return the case corrected and adjusted path key.
@@ -567,13 +1184,41 @@ RouteTable.prototype.handleMatchedRedirect = function (req, route, args) {
         }
     }
 
-    if (route.geoTarget !== null) {
+    if (route.geoTarget !== null && (route.geoMode || req.settings.geoMode) === 'server') {
+        let cc = req.geo,
+            // Unless the country header gave the country, the lookup function or GeoIP database was
+            // asked, and they go by the client address, which caches can not vary on
+            byAddress = req.geoSource !== 'header' && (req.settings.geoLookup !== null || req.settings.geoIp !== null),
+            location = RouteTable.geoTargetUrl(route.geoTarget, cc) || route.redirect,
+            vary = [];
+
+        // Let caches know the redirect depends on the country header and cookie
+        if (req.settings.geoHeader.length !== 0) {
+            vary.push(req.settings.geoHeader);
+        }
+        if (req.settings.geoCookie.length !== 0) {
+            vary.push('Cookie');
+        }
+        if (vary.length !== 0 || byAddress === true) {
+            let headers = utils.mergeHeaders({}, req.headers);
+
+            if (vary.length !== 0) {
+                headers.vary = (typeof headers.vary === 'string' ? headers.vary + ', ' : '') + vary.join(', ');
+            }
+            if (byAddress === true) {
+                headers['cache-control'] = 'private';
+            }
+            req.headers = headers;
+        }
+        req.log.debug(`${args.key} => (geotargeted ${cc || 'unknown'}) ${location}${qString} ${route.code}`);
+        req.redirect(route.code, location + qString);
+    } else if (route.geoTarget !== null) {
         let pageConts = '',
             pageRegs = '',
             pageString;
 
         req.log.debug(`${args.key} => (geotargeted) default is ${route.redirect}${qString} (${route.code})`);
-        pageString = `<!DOCTYPE html><html><head><noscript><meta http-equiv="refresh" content="0;url=${route.redirect}></noscript><script>(function (d,w) {\ntry{\nvar a=d.cookie.match(/(^|;)\\s*countryCode\\s*=\\s*([^;]*)/), cc=(a?a[2]:""), rc=${route.code}, l="${route.redirect}";\nfunction isin(v,x) { for(var i=0;i<x.length;i++) { if(x[i]===v) { return true; } } return false; }\nif(cc==="") {}\n`;
+        pageString = `<!DOCTYPE html><html><head><noscript><meta http-equiv="refresh" content="0;url=${route.redirect}></noscript><script>(function (d,w) {\ntry{\nvar a=d.cookie.match(/(^|;)\\s*${req.settings.geoCookie || 'countryCode'}\\s*=\\s*([^;]*)/), cc=(a?a[2]:""), rc=${route.code}, l="${route.redirect}";\nfunction isin(v,x) { for(var i=0;i<x.length;i++) { if(x[i]===v) { return true; } } return false; }\nif(cc==="") {}\n`;
         for (let geo in route.geoTarget) {
             if (route.geoTarget.hasOwnProperty(geo)) {
                 if (geo.length === 2) {
@@ -583,7 +1228,7 @@ RouteTable.prototype.handleMatchedRedirect = function (req, route, args) {
                 } else if (typeof continents[geo] !== 'undefined') {
                     pageConts += `else if(isin(cc,["${continents[geo].join('","')}"])) { l="${route.geoTarget[geo]}${qString}"; }\n`;
                 } else {
-                    this.log.warn(`Bad geotargeting value for "${args.key}": ${geo}`);
+                    req.log.warn(`Bad geotargeting value for "${args.key}": ${geo}`);
                 }
             }
         }
@@ -597,6 +1242,159 @@ RouteTable.prototype.handleMatchedRedirect = function (req, route, args) {
 };
 
 
+/**
+ * Handle matched split route, passing the request on to the chosen variant.  The variant named
+ * by the split cookie is used if set, otherwise one is picked using the split key.
+ *
+ * @memberof RouteTable
+ * @private
+ * @param {object} req - The request object (RomRequest)
+ * @param {object} route - The route object
+ * @param {object} args - Arguments from the route match
+ * @returns {boolean} - true if handled, false if not
+ */
+RouteTable.prototype.handleMatchedSplit = function (req, route, args) {
+    let split = route.split,
+        cookies = utils.parseCookies(req.serverRequest.headers.cookie),
+        keyVal = null,
+        variant = null;
+
+    if (split.cookie.length !== 0 && typeof cookies[split.cookie] === 'string') {
+        // A drained variant (weight 0) is picked again, so its clients move off it
+        variant = split.variants.filter((v) => v.variant === cookies[split.cookie] && v.weight > 0)[0] || null;
+    }
+    if (variant === null) {
+        if (split.keyType === 'ip') {
+            keyVal = req.serverRequest.ip || null;
+        } else if (split.keyType === 'header') {
+            keyVal = req.serverRequest.headers[split.keyName] || null;
+        } else if (split.keyName.length !== 0) {
+            keyVal = cookies[split.keyName] || null;
+        }
+        variant = pickVariant(split, keyVal);
+    }
+    if (split.cookie.length !== 0 && cookies[split.cookie] !== variant.variant) {
+        req.setCookie(split.cookie, variant.variant, {maxAge: split.maxAge});
+    }
+
+    req.variants[split.name] = variant.variant;
+    req.log.debug(`${args.key} => split "${split.name}" variant "${variant.variant}"`);
+    req.emitEvent('split', {split: split.name, variant: variant.variant});
+    return variant.action(req, variant, args);
+};
+
+
+/**
+ * Find the geotargeted redirect destination for a country.  An exact country match wins, then
+ * the first matching region, then the first matching continent.
+ *
+ * @memberof RouteTable
+ * @public
+ * @static
+ * @param {object} geoTarget - The route's geoTarget destinations, by country, region or continent code
+ * @param {string|null} cc - The (upper case) country code, null if unknown
+ * @returns {string|null} - The destination, null if none match
+ */
+RouteTable.geoTargetUrl = function (geoTarget, cc) {
+    let geo;
+
+    if (typeof cc !== 'string' || cc.length !== 2) {
+        return null;
+    }
+    if (geoTarget.hasOwnProperty(cc)) {
+        return geoTarget[cc];
+    }
+    for (geo in geoTarget) {
+        if (geoTarget.hasOwnProperty(geo) && Array.isArray(regions[geo]) && regions[geo].indexOf(cc) !== -1) {
+            return geoTarget[geo];
+        }
+    }
+    for (geo in geoTarget) {
+        if (geoTarget.hasOwnProperty(geo) && Array.isArray(continents[geo]) && continents[geo].indexOf(cc) !== -1) {
+            return geoTarget[geo];
+        }
+    }
+    return null;
+};
+
+
+/**
+ * Work out the rewritten URL for a matched rewrite route.  Static, since route actions are not
+ * called with the route table as "this".
+ *
+ * @memberof RouteTable
+ * @public
+ * @static
+ * @param {object} req - The request object (RomRequest)
+ * @param {object} route - The route object
+ * @returns {object} - The rewritten "url" and its query "params", plus the "origParams"
+ */
+RouteTable.rewriteUrl = function (req, route) {
+    let origParams,
+        params,
+        path = req.path,
+        qpos = req.url.indexOf('?'),
+        url = req.url;
+
+    origParams = (qpos !== -1 ? req.url.substring(qpos + 1) : '');
+    params = origParams;
+
+    if (route.matchParams) {
+        url = url.replace(route.pattern, route.replace);
+        qpos = url.indexOf('?');
+        params = qpos !== -1 ? url.substr(qpos + 1) : '';
+    } else {
+        url = path.replace(route.pattern, route.replace);
+        qpos = url.indexOf('?');
+
+        if (qpos !== -1) {
+            if (params !== '') {
+                url += '&' + params;
+            }
+            params = url.substr(qpos + 1);
+        } else if (params !== '') {
+            url += '?' + params;
+        }
+    }
+
+    return {
+        origParams: origParams,
+        params: params,
+        url: url
+    };
+};
+
+
+/**
+ * Handle matched static file route, serving the file at the part of the path after the match.  A
+ * regex route with capture groups serves the file at its "path" named group, else its first group.
+ *
+ * @memberof RouteTable
+ * @private
+ * @param {object} req - The request object (RomRequest)
+ * @param {object} route - The route object
+ * @param {object} args - Arguments from the route match
+ * @returns {boolean} - true if handled, false if not
+ */
+RouteTable.prototype.handleMatchedStatic = function (req, route, args) {
+    let at,
+        m = (route.regex instanceof RegExp) ? route.regex.exec(req.path) : null,  // Matched again to keep the path's case
+        rel;
+
+    if (m !== null && m.length > 1) {
+        rel = (m.groups && 'path' in m.groups) ? m.groups.path : m[1];
+        rel = rel || '';
+    } else {
+        at = args.key.indexOf(args[0]);
+        rel = (at === -1) ? '' : req.path.slice(at + args[0].length);
+    }
+
+    req.log.debug(`${args.key} => static file "${rel}" in ${route.static.root}`);
+    req.sendStatic(route.static, rel);
+    return true;  // Handled
+};
+
+
 /**
  * Handle matched rewrite
  *
@@ -610,17 +1408,11 @@ RouteTable.prototype.handleMatchedRedirect = function (req, route, args) {
 RouteTable.prototype.handleMatchedRewrite = function (req, route, _args) {
     try {
         let matchOn = (route && route.on) || '???',
-            origParams,
-            origPath = req.path,
             origUrl = req.url,
             params,
-            path = origPath,
-            qpos = req.url.indexOf('?'),
+            rewritten,
             url = origUrl;
 
-        origParams = (qpos !== -1 ? req.url.substring(qpos + 1) : '');
-        params = origParams;
-
         // We match and have acceptable host/port/proto
         if (route.status !== 0) {
             // No actual rewrite needed, just return status code and finish up
@@ -629,31 +1421,9 @@ RouteTable.prototype.handleMatchedRewrite = function (req, route, _args) {
             return true;  // Handled
         }
 
-        if (route.matchParams) {
-            url = url.replace(route.pattern, route.replace);
-            qpos = url.indexOf('?');
-            path = qpos !== -1 ? url.substr(0, qpos) : url;
-            params = qpos !== -1 ? url.substr(qpos + 1) : '';
-        } else {
-            url = path.replace(route.pattern, route.replace);
-            qpos = url.indexOf('?');
-
-            if (qpos !== -1) {
-                path = url.substr(0, qpos);
-
-                if (params !== '') {
-                    url += '&' + params;
-                }
-                params = url.substr(qpos + 1);
-            } else {
-                path = url;
-
-                if (params !== '') {
-                    qpos = path.length;
-                    url += '?' + params;
-                }
-            }
-        }
+        rewritten = RouteTable.rewriteUrl(req, route);
+        url = rewritten.url;
+        params = rewritten.params;
 
         if (route.redirectCode !== 0) {
             req.log.debug(`rule "${matchOn}" matched: ${req.url} => ${url} [${route.redirectCode}]`);
@@ -667,7 +1437,7 @@ RouteTable.prototype.handleMatchedRewrite = function (req, route, _args) {
             // Update the request object with rewritten details
             req.url = url;
 
-            if (params !== origParams) {
+            if (params !== rewritten.origParams) {
                 // Update query parameters
                 req.query = {};
                 params.split('&').forEach(function handleParam(param) {
@@ -680,6 +1450,7 @@ RouteTable.prototype.handleMatchedRewrite = function (req, route, _args) {
                     }
                 });
             }
+            req.emitEvent('rewrite', {from: origUrl, to: url});
             req.rewrite(url);
             return true;
         }
@@ -694,102 +1465,252 @@ RouteTable.prototype.handleMatchedRewrite = function (req, route, _args) {
 
 
 /**
- * Check regex routes
+ * Find the regex route matching a path key, without handling it
  *
  * @memberof RouteTable
  * @private
  * @param {object} req - The request object
- * @returns {boolean} - True if route matched, false if not
+ * @param {string} key - The normalized path key
+ * @param {array} [misses] - If set, routes whose path matched but were rejected are added here ({route, reasons})
+ * @returns {object|null} - The matched route and args, or null if no match
  */
-RouteTable.prototype.checkRegexRoutes = function (req) {
-    let key;
-
-    // First, verify the hostname matches and the request path matches the base path, getting the path key
-    key = this.checkBasicsAndNormalizePath(req);
-    if (key === false) {
-        return false;
-    }
+RouteTable.prototype.findRegexRoute = function (req, key, misses) {
+    let routes = this.getRegexCandidates(key);
 
-    for (let i = 0, rl = this.routes.length; i < rl; i++) {
-        let r = this.routes[i],
+    for (let i = 0, rl = routes.length; i < rl; i++) {
+        let r = routes[i],
             m = key.match(r.regex);
 
         if (m !== null && utils.doRuntimeChecks(req, r) === true) {
-            let args = {};
+            let args = {
+                params: {}
+            };
 
             for (let j = 0, ml = m.length; j < ml; j++) {
                 args[j] = m[j];
             }
             args.key = key;
 
-            try {
-                req.log.debug(`Request matched route for "${r.on}" in route-table ${this.id}`);
-                if (r.forceProto.length !== 0 && req.proto !== r.forceProto) {
-                    // Force proto is set to not what we are using, so we need to redirect...
-                    return this.handleProtocolRedirect(req, r, args);
+            // Copy the named groups, if any, and validate them against the route params schema
+            if (typeof m.groups === 'object' && m.groups !== null) {
+                Object.assign(args.params, m.groups);
+            }
+            if (r.paramChecks !== null && this.checkParams(r, args.params) === false) {
+                if (misses) {
+                    misses.push({route: r, reasons: ['params']});
                 }
-                return r.action(req, r, args);
-            } catch (err) {
-                req.log.error(`Error in handler for route matching "${r.on}" with URL ${req.href}: ${err.message}`);
-                req.error(500);
-                return true;
+                continue;
             }
+            return {
+                args: args,
+                route: r
+            };
+        } else if (m !== null && misses) {
+            misses.push({route: r, reasons: utils.runtimeCheckFailures(req, r)});
         }
     }
 
-    return false;
+    return null;
 };
 
 
 /**
- * Check Trie routes
+ * Find the Trie route matching a path key, without handling it
  *
  * @memberof RouteTable
  * @private
  * @param {object} req - The request object
- * @returns {object} - null if no match, status and page data otherwise
+ * @param {string} key - The normalized path key
+ * @param {array} [misses] - If set, routes whose path matched but were rejected are added here ({route, reasons})
+ * @returns {object|null} - The matched route and args, or null if no match
  */
-RouteTable.prototype.checkTrieRoutes = function (req) {
-    let key,
-        result;
+RouteTable.prototype.findTrieRoute = function (req, key, misses) {
+    let result;
 
-    // First, verify the request path matches the base path, getting the path key
-    key = this.checkBasicsAndNormalizePath(req);
-    if (key === false || key.length === 0) {
-        return false;
+    if (key.length === 0) {
+        return null;
     }
 
-    // Check the Trie for a match
-    result = this.trie.find(key, req);
-    if (result !== null) {
-        let args = {
+    // Check the Trie for a match, trying the next route for the path if the postMatch or params fail
+    result = this.trie.find(key, req, misses ? (r, reason) => {
+        misses.push({route: r, reasons: (reason !== null) ? [reason] : utils.runtimeCheckFailures(req, r)});
+    } : null, (match) => {
+        let r = match.data;
+
+        if (typeof r.postMatchRE === 'object' && r.postMatchRE !== null &&
+            r.postMatchRE instanceof RegExp && key.slice(match.match.length).search(r.postMatchRE) === -1) {
+
+            return 'postMatch';
+        }
+        if (r.paramChecks !== null && this.checkParams(r, match.params) === false) {
+            return 'params';
+        }
+        return null;
+    });
+    if (result === null) {
+        return null;
+    }
+    return {
+        args: {
             0: result.match,
             1: key.slice(result.match.length),
-            key: key
-        };
+            key: key,
+            params: result.params
+        },
+        route: result.data
+    };
+};
 
-        if (typeof result.data.postMatchRE === 'object' && result.data.postMatchRE !== null &&
-            result.data.postMatchRE instanceof RegExp && args[1].search(result.data.postMatchRE) === -1) {
 
-            // The postMatch option was set and it did not match, so fail this
+/**
+ * Find the routes left out of this table by their conds that would otherwise have matched a path key.
+ * Trie routes are compared on their literal pattern only.
+ *
+ * @memberof RouteTable
+ * @private
+ * @param {string} key - The normalized path key
+ * @returns {array} - The matching routes
+ */
+RouteTable.prototype.findCondRoutes = function (key) {
+    return this.condRoutes.filter((r) => {
+        if (typeof r.on !== 'string' || r.on.length === 0) {
             return false;
         }
-
-        try {
-            req.log.debug(`Request matched route for "${result.data.on}" in route-table ${this.id}`);
-            if (result.data.forceProto.length !== 0 && req.proto !== result.data.forceProto) {
-                // Force proto is set to not what we are using, so we need to redirect...
-                this.handleProtocolRedirect(req, result.data, args);
-            } else {
-                result.data.action(req, result.data, args);
+        if (this.isRegexMatch === true) {
+            try {
+                return new RegExp(r.on, (this.isCaseSpecific === false ? 'i' : '')).test(key);
+            } catch (e) {
+                return false;
             }
-        } catch (err) {
-            req.log.error(`Error in handler for route matching "${result.data.on}" with URL ${req.href}: ${err.message}`);
-            req.error(500);
+        } else {
+            let em = r.on.lastIndexOf('#'),
+                on = (this.isCaseSpecific === true) ? r.on : r.on.toLowerCase();
+
+            return (em !== -1) ? key === on.slice(0, em) : key.indexOf(on) === 0;
+        }
+    });
+};
+
+
+/**
+ * Find the route matching a request, without handling it
+ *
+ * @memberof RouteTable
+ * @public
+ * @param {object} req - The request object (RomRequest or any object with the same path, method, and host values)
+ * @param {array} [misses] - If set, routes whose path matched but were rejected are added here ({route, reasons})
+ * @returns {object|null} - The matched route and args, or null if no match
+ */
+RouteTable.prototype.findRoute = function (req, misses) {
+    // First, verify the request path matches the base path, getting the path key
+    let key = this.checkBasicsAndNormalizePath(req),
+        match;
+
+    if (key === false) {
+        return null;
+    }
+    match = (this.isRegexMatch === true) ? this.findRegexRoute(req, key, misses) : this.findTrieRoute(req, key, misses);
+    if (misses && this.condRoutes.length !== 0) {
+        this.findCondRoutes(key).forEach((r) => misses.push({route: r, reasons: ['conds']}));
+    }
+    return match;
+};
+
+
+/**
+ * Work out an example request URL that a route's path pattern matches, for config checks.  Trie
+ * route params are filled in with "x", and regex routes use the literal prefix of the RegExp.
+ *
+ * @memberof RouteTable
+ * @public
+ * @param {object} route - The route object
+ * @returns {string|null} - The example URL, or null if one cannot be worked out
+ */
+RouteTable.prototype.sampleUrl = function (route) {
+    let sample;
+
+    if (this.isTrieMatch === true) {
+        let em = route.on.indexOf('#');
+
+        sample = ((em !== -1) ? route.on.slice(0, em) : route.on).replace(/(^|\/)[:*]\w+/g, '$1x');
+    } else {
+        sample = regexLiteralPrefix(route.on);
+        if (!route.regex.test(sample)) {
+            return null;
         }
+    }
+    return (sample.charAt(0) === '/') ? sample : null;
+};
+
+
+/**
+ * Check regex routes
+ *
+ * @memberof RouteTable
+ * @private
+ * @param {object} req - The request object
+ * @returns {boolean} - True if route matched, false if not
+ */
+RouteTable.prototype.checkRegexRoutes = function (req) {
+    let match = this.findRoute(req),
+        r;
+
+    if (match === null) {
+        return false;
+    }
+    r = match.route;
+    req.route = r;
+    req.routeArgs = match.args;
+    req.emitEvent('route:matched', {tableId: this.id});
+
+    try {
+        req.log.debug(`Request matched route for "${r.on}" in route-table ${this.id}`);
+        if (r.forceProto.length !== 0 && req.proto !== r.forceProto) {
+            // Force proto is set to not what we are using, so we need to redirect...
+            return this.handleProtocolRedirect(req, r, match.args);
+        }
+        return r.action(req, r, match.args);
+    } catch (err) {
+        req.log.error(`Error in handler for route matching "${r.on}" with URL ${req.href}: ${err.message}`);
+        req.error(500);
         return true;
     }
-    return false;
+};
+
+
+/**
+ * Check Trie routes
+ *
+ * @memberof RouteTable
+ * @private
+ * @param {object} req - The request object
+ * @returns {boolean} - True if route matched, false if not
+ */
+RouteTable.prototype.checkTrieRoutes = function (req) {
+    let match = this.findRoute(req),
+        r;
+
+    if (match === null) {
+        return false;
+    }
+    r = match.route;
+    req.route = r;
+    req.routeArgs = match.args;
+    req.emitEvent('route:matched', {tableId: this.id});
+
+    try {
+        req.log.debug(`Request matched route for "${r.on}" in route-table ${this.id}`);
+        if (r.forceProto.length !== 0 && req.proto !== r.forceProto) {
+            // Force proto is set to not what we are using, so we need to redirect...
+            this.handleProtocolRedirect(req, r, match.args);
+        } else {
+            r.action(req, r, match.args);
+        }
+    } catch (err) {
+        req.log.error(`Error in handler for route matching "${r.on}" with URL ${req.href}: ${err.message}`);
+        req.error(500);
+    }
+    return true;
 };
 
 
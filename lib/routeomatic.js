@@ -7,21 +7,61 @@
 const
     defaultAllowUndefinedHandler = false,
     defaultAllowWrite = false,
+    defaultBodyLimit = 204800,  // 200kb
+    defaultCheckRedirectLoops = true,
+    defaultGeoCookie = 'countryCode',
+    defaultGeoMode = 'script',
+    defaultMaxRedirectHops = 5,
     defaultNormalizeUrls = false,
     defaultRedirectCode = 302,
     defaultReduceRedirectCode = 301,
     defaultRetryLimit = 20,
     defaultRemoveDoubleSlashes = false,
     defaultTimeout = 20000,
+    geoModes = ['script', 'server'],
+    ConfigLoader = require('./config-loader'),
+    EventEmitter = require('events'),
+    explainer = require('./explainer'),
+    Forwarding = require('./forwarding'),
+    GeoIp = require('./geoip'),
     HostTable = require('./host-table'),
+    Http2Client = require('./http2-client'),
+    Metrics = require('./metrics'),
+    ProxyCache = require('./proxy-cache'),
     RomRequest = require('./rom-request'),
     RouteTable = require('./route-table'),
-    utils = require('./utils');
+    UpstreamPool = require('./upstream-pool'),
+    Util = require('util'),
+    utils = require('./utils'),
+    validator = require('./validator');
+
+
+/**
+ * Throw a setup error, or collect it if an errors list is given
+ *
+ * @function
+ * @private
+ * @param {array|null} errors - List to collect errors in, or null to throw
+ * @param {string} path - Path of the failing config value
+ * @param {string} message - The error message
+ * @throws {Error} - Throws error if not collecting errors
+ */
+function setupError(errors, path, message) {
+    if (!Array.isArray(errors)) {
+        throw new Error(message);
+    }
+    errors.push({path: path, message: message});
+}
 
 
 /**
  * RouteOMatic object constructor
  *
+ * Emits routing events for each request, with the RomRequest ("req"), matched "route" and "args",
+ * and "elapsed" milliseconds since the request started: "request:start", "host:resolved",
+ * "route:matched", "split", "rewrite", "redirect", "cache", "proxy:start", "proxy:retry",
+ * "proxy:response", "proxy:error", "error" and "sent".
+ *
  * @constructor
  * @param {object} envConf - Environment configuration object
  * @param {object} [envConf.env] - Environment configuration current settings object, optional
@@ -31,7 +71,15 @@ const
  * @param {object} [envConf.logger] - Shared logger object, optional
  * @param {object} [envConf.requestLogger] - Shared logger object for use in request logging, optional
  * @param {object} [envConf.onSent] - Post response sent function, optional
+ * @param {object} [envConf.hooks] - Routing event listener functions, by event name, optional
  * @param {mixed} [envConf.proxyAgent] - Proxy Agent to use, or false for no agent/default, optional
+ * @param {function} [envConf.geoLookup] - Function returning the country code for a RomRequest, for server-side geotargeting, optional
+ * @param {string} [envConf.geoDatabase] - Path of a MaxMind-format (mmdb) GeoIP country database, optional
+ * @param {number} [envConf.geoTrustedHops] - Number of trusted proxies adding X-Forwarded-For entries, for GeoIP lookups, optional
+ * @param {object} [envConf.upstreams] - Upstream pool configurations for proxy routes, by name, optional
+ * @param {object} [envConf.proxyCache] - ProxyCache for the proxy routes with the "cache" option, optional
+ * @param {object} [envConf.http2] - HTTP/2 proxy client options ({idleTimeout, connect}), optional
+ * @param {object} [envConf.forwarding] - Proxy forwarding header options ({trustedProxies, forwarded, via}), optional
  * @param {object} hostConf - Host configuration object
  * @param {object} hostConf.defaults - Default host settings object
  * @param {object} [hostConf.defaults.headers] - Default header values, optional
@@ -40,10 +88,17 @@ const
  * @param {object|function} server - Server object (top-level Express object or function)
  */
 function RouteOMatic(envConf, hostConf, server) {
+    EventEmitter.call(this);
+
     // Initialize object values
+    this.config = null;
+    this.hostConf = null;
     this.hostTable = {};
     this.log = envConf.logger || utils.baseLogger;
     this.logReq = envConf.requestLogger || this.log;
+    this.redirectWarnings = [];
+    this.routeSources = {};
+    this.routeTables = {};
     this.valid = false;
 
     // Verify server and name parameters
@@ -54,14 +109,29 @@ function RouteOMatic(envConf, hostConf, server) {
         throw new Error('Invalid server object!' + typeof server);
     }
 
+    // Listen to the routing events with any hooks
+    if (typeof envConf.hooks === 'object' && envConf.hooks !== null) {
+        for (let event in envConf.hooks) {
+            if (envConf.hooks.hasOwnProperty(event)) {
+                if (typeof envConf.hooks[event] !== 'function') {
+                    throw new Error(`Invalid hook for event "${event}"!`);
+                }
+                this.on(event, envConf.hooks[event]);
+            }
+        }
+    }
+
     // Process the hosts, routes, and config
     this.hostTable = this.setupAllTheThings(envConf, hostConf);
+    this.startUpstreams(null);
 
     // We have something, so attach it the server
     this.valid = true;
     server.all('*', this.handleRouting.bind(this));
 }
 
+Util.inherits(RouteOMatic, EventEmitter);
+
 
 /**
  * Check to see if this RouteOMatic instance is "valid".
@@ -87,6 +157,21 @@ RouteOMatic.prototype.getHostTable = function () {
 };
 
 
+/**
+ * Explain how a request would be routed, without handling it.  Reports the host entry and route
+ * table used, the matched route and its captured params, any rewrite hops, the final action, and
+ * why each route checked before the match was rejected.
+ *
+ * @memberof RouteOMatic
+ * @public
+ * @param {object} input - The request to explain ({method, url, host, proto, port, headers, geo})
+ * @returns {object} - The explanation
+ */
+RouteOMatic.prototype.explain = function (input) {
+    return explainer.explain(this.hostTable, this.reqSettings, input);
+};
+
+
 /**
  * Setup all the things!
  *
@@ -94,13 +179,17 @@ RouteOMatic.prototype.getHostTable = function () {
  * @private
  * @param {object} envConf - Environment configuration object
  * @param {object} hostConf - Host configuration object
- * @returns {object} - New host table object
+ * @param {array} [errors] - If set, collect every error here ({path, message}) instead of throwing on the first
+ * @returns {object} - New host table object, or null if collecting errors and the config could not be processed
  * @throws {Error} - Throws error on failure
  */
-RouteOMatic.prototype.setupAllTheThings = function (envConf, hostConf) {
+RouteOMatic.prototype.setupAllTheThings = function (envConf, hostConf, errors) {
     let config,
+        hostErrors = Array.isArray(errors) ? [] : null,
         hostTable = {},
+        redirectWarnings,
         reqSettings = {},
+        routeSources = {},
         routeTables = {};
 
     // Process the environment config object
@@ -138,11 +227,46 @@ RouteOMatic.prototype.setupAllTheThings = function (envConf, hostConf) {
             }
             config.dnsLookup = envConf.dnsLookup;
         }
+        if (typeof envConf.geoLookup !== 'undefined') {
+            if (envConf.geoLookup === null || typeof envConf.geoLookup !== 'function') {
+                throw new Error('Invalid geo lookup function');
+            }
+            config.geoLookup = envConf.geoLookup;
+        }
+        if (typeof envConf.geoDatabase !== 'undefined') {
+            config.geoIp = new GeoIp(envConf.geoDatabase, envConf.geoTrustedHops);
+        }
+        if (typeof envConf.upstreams !== 'undefined') {
+            if (envConf.upstreams === null || typeof envConf.upstreams !== 'object') {
+                throw new Error('Invalid upstream pools object');
+            }
+            config.upstreams = {};
+            for (let up in envConf.upstreams) {
+                if (envConf.upstreams.hasOwnProperty(up)) {
+                    config.upstreams[up] = new UpstreamPool(up, envConf.upstreams[up], this.log);
+                }
+            }
+        }
+        if (typeof envConf.proxyCache !== 'undefined') {
+            if (!(envConf.proxyCache instanceof ProxyCache)) {
+                throw new Error('Invalid proxy cache object');
+            }
+            config.proxyCache = envConf.proxyCache;
+        }
+        if (typeof envConf.http2 !== 'undefined' && (typeof envConf.http2 !== 'object' || envConf.http2 === null)) {
+            throw new Error('Invalid HTTP/2 client options object');
+        }
+        config.http2Client = new Http2Client(Object.assign({log: this.log}, envConf.http2));
+        if (typeof envConf.forwarding !== 'undefined' && (typeof envConf.forwarding !== 'object' || envConf.forwarding === null)) {
+            throw new Error('Invalid forwarding options object');
+        }
+        config.forwarding = new Forwarding(envConf.forwarding);
         if (typeof envConf.onSent === 'function') {
             reqSettings.onSent = envConf.onSent;
         } else {
             reqSettings.onSent = null;
         }
+        reqSettings.events = this;
         if (typeof envConf.proxyAgent === 'object' && envConf.proxyAgent !== null) {
             reqSettings.proxyAgent = envConf.proxyAgent;
         } else {
@@ -187,7 +311,8 @@ RouteOMatic.prototype.setupAllTheThings = function (envConf, hostConf) {
             }
         }
     } catch (err) {
-        throw new Error(`Error processing Route-O-Matic environment configuration: ${err.message}`);
+        setupError(errors, 'envConf', `Error processing Route-O-Matic environment configuration: ${err.message}`);
+        return null;
     }
 
     // Process the host config object
@@ -209,9 +334,33 @@ RouteOMatic.prototype.setupAllTheThings = function (envConf, hostConf) {
         if (typeof config.defaults.allowWrite !== 'boolean') {
             config.defaults.allowWrite = defaultAllowWrite;
         }
+        if (typeof config.defaults.bodyLimit === 'undefined') {
+            config.defaults.bodyLimit = defaultBodyLimit;
+        } else if (utils.parseSize(config.defaults.bodyLimit) === null) {
+            throw new Error(`Invalid default bodyLimit "${config.defaults.bodyLimit}", must be a number of bytes or a size such as "10mb"`);
+        }
         if (typeof config.defaults.allowUndefinedHandler !== 'boolean') {
             config.defaults.allowUndefinedHandler = defaultAllowUndefinedHandler;
         }
+        if (typeof config.defaults.checkRedirectLoops !== 'boolean') {
+            config.defaults.checkRedirectLoops = defaultCheckRedirectLoops;
+        }
+        if (typeof config.defaults.geoMode === 'undefined') {
+            config.defaults.geoMode = defaultGeoMode;
+        } else if (geoModes.indexOf(config.defaults.geoMode) === -1) {
+            throw new Error(`Invalid default geoMode "${config.defaults.geoMode}", must be one of: ${geoModes.join(', ')}`);
+        }
+        if (typeof config.defaults.geoHeader !== 'string') {
+            config.defaults.geoHeader = '';
+        }
+        if (typeof config.defaults.geoCookie !== 'string') {
+            config.defaults.geoCookie = defaultGeoCookie;
+        } else if (!/^[\w\-]*$/.test(config.defaults.geoCookie)) {
+            throw new Error(`Invalid default geoCookie name "${config.defaults.geoCookie}"`);
+        }
+        if (typeof config.defaults.maxRedirectHops !== 'number') {
+            config.defaults.maxRedirectHops = defaultMaxRedirectHops;
+        }
         if (typeof config.defaults.normalizeUrls !== 'boolean') {
             config.defaults.normalizeUrls = defaultNormalizeUrls;
         }
@@ -231,48 +380,88 @@ RouteOMatic.prototype.setupAllTheThings = function (envConf, hostConf) {
             config.defaults.timeout = defaultTimeout;
         }
     } catch (err) {
-        throw new Error(`Error processing Route-O-Matic configuration: ${err.message}`);
+        setupError(errors, 'hostConf', `Error processing Route-O-Matic configuration: ${err.message}`);
+        return null;
     }
     reqSettings.allowUndefinedHandler = config.defaults.allowUndefinedHandler;
     reqSettings.allowWrite = config.defaults.allowWrite;
     reqSettings.dnsLookup = config.dnsLookup || null;
+    reqSettings.forwarding = config.forwarding;
+    reqSettings.geoCookie = config.defaults.geoCookie;
+    reqSettings.geoHeader = config.defaults.geoHeader.toLowerCase();
+    reqSettings.geoIp = config.geoIp || null;
+    reqSettings.geoLookup = config.geoLookup || null;
+    reqSettings.geoMode = config.defaults.geoMode;
+    reqSettings.http2Client = config.http2Client;
     reqSettings.normalizeUrls = config.defaults.normalizeUrls;
+    reqSettings.proxyCache = config.proxyCache || null;
     reqSettings.redirectCode = config.defaults.redirectCode;
     reqSettings.reduceRedirectCode = config.defaults.reduceRedirectCode;
     reqSettings.removeDoubleSlashes = config.defaults.removeDoubleSlashes;
     reqSettings.requestLogger = this.logReq;
     reqSettings.retryLimit = config.defaults.retryLimit;
     reqSettings.timeout = config.defaults.timeout;
+    reqSettings.upstreams = config.upstreams || {};
 
     // Process the route table objects
-    try {
-        for (let rt in hostConf.routeTables) {
-            if (hostConf.routeTables.hasOwnProperty(rt)) {
+    for (let rt in hostConf.routeTables) {
+        if (hostConf.routeTables.hasOwnProperty(rt)) {
+            let routeErrors = Array.isArray(errors) ? [] : null;
+
+            try {
                 if (typeof hostConf.routeTables[rt] !== 'object' || hostConf.routeTables[rt] === null) {
                     throw new Error(`Bad route table configuration (${rt})`);
                 }
                 hostConf.routeTables[rt].id = rt;
 
+                // Route tables mutate their route objects, so keep the definitions for later changes
+                routeSources[rt] = utils.copyDefinition(hostConf.routeTables[rt]);
                 try {
-                    routeTables[rt] = new RouteTable(hostConf.routeTables[rt], config);
+                    routeTables[rt] = new RouteTable(hostConf.routeTables[rt], Object.assign({}, config, {routeErrors: routeErrors}));
                 } catch (e) {
                     throw new Error(`Failure processing route table "${rt}": ${e.message}`);
                 }
+            } catch (err) {
+                setupError(errors, `routeTables.${rt}`, `Error processing Route-O-Matic route tables: ${err.message}`);
+            }
+            if (routeErrors !== null) {
+                routeErrors.forEach((re) => {
+                    errors.push({
+                        path: `routeTables.${rt}.routes[${re.index}]`,
+                        message: `Error processing Route-O-Matic route tables: Failure processing route table "${rt}": ${re.message}`
+                    });
+                });
             }
         }
-    } catch (err) {
-        throw new Error(`Error processing Route-O-Matic route tables: ${err.message}`);
     }
     config.routeTables = routeTables;
 
     // Process the host objects
     try {
-        hostTable = new HostTable(hostConf.hosts, config);
+        hostTable = new HostTable(hostConf.hosts, Object.assign({}, config, {hostErrors: hostErrors}));
     } catch (err) {
-        throw new Error(`Error processing Route-O-Matic host table: ${err.message}`);
+        setupError(errors, 'hosts', `Error processing Route-O-Matic host table: ${err.message}`);
+        return null;
     }
+    if (hostErrors !== null) {
+        hostErrors.forEach((he) => {
+            errors.push({
+                path: `hosts[${he.index}]`,
+                message: `Error processing Route-O-Matic host table: Error in host table entry #${he.index}: ${he.message}`
+            });
+        });
+    }
+
+    // Look for redirect and rewrite loops
+    reqSettings.hostTable = hostTable;
+    redirectWarnings = this.checkRedirectChains(hostTable, config, hostConf, reqSettings, errors, null);
 
     // Successfully setup new routes and hosts
+    this.config = config;
+    this.hostConf = hostConf;
+    this.redirectWarnings = redirectWarnings;
+    this.routeSources = routeSources;
+    this.routeTables = routeTables;
     this.reqSettings = reqSettings;
     this.reqSettings.hostTable = hostTable;
     this.log.debug('Successfully updated hosts and route tables.');
@@ -280,6 +469,94 @@ RouteOMatic.prototype.setupAllTheThings = function (envConf, hostConf) {
 };
 
 
+/**
+ * Check a new host table for redirect and rewrite loops, which are errors, and for chains with
+ * more hops than the "maxRedirectHops" setting, which are logged as warnings.  If a changed route
+ * table is given, only chains passing through it are reported, as the others are already known.
+ *
+ * @memberof RouteOMatic
+ * @private
+ * @param {object} hostTable - The new host table
+ * @param {object} config - The processed config object
+ * @param {object} hostConf - The host configuration object
+ * @param {object} reqSettings - The request settings
+ * @param {array|null} errors - List to collect errors in, or null to throw
+ * @param {string|null} tableId - The changed route table, or null to report every chain
+ * @returns {array} - The warnings ({path, message}), for every chain
+ * @throws {Error} - Throws error on a loop if not collecting errors
+ */
+RouteOMatic.prototype.checkRedirectChains = function (hostTable, config, hostConf, reqSettings, errors, tableId) {
+    let warnings = [];
+
+    if (config.defaults.checkRedirectLoops !== true) {
+        return warnings;
+    }
+    explainer.findRedirectChains(hostTable, reqSettings, config.defaults.maxRedirectHops).forEach((c) => {
+        let id = c.table.id,
+            changed = tableId === null || id === tableId || c.hops.some((h) => h.tableId === tableId),
+            maxTrailHops = Math.max(config.defaults.maxRedirectHops, 2) + 1,
+            path = `routeTables.${id}.routes[${hostConf.routeTables[id].routes.indexOf(c.route)}]`,
+            trail = [c.start].concat(c.hops.slice(0, maxTrailHops).map((h) => `${h.to} (${h.code !== 0 ? h.code : h.type}, "${h.on}")`));
+
+        if (c.hops.length > maxTrailHops) {
+            trail.push('...');
+        }
+        trail = trail.join(' -> ');
+
+        if (c.loop === true) {
+            setupError(errors, path, `Error processing Route-O-Matic route tables: Redirect/rewrite loop from route "${c.route.on}" in route table "${id}": ${trail}`);
+        } else {
+            warnings.push({
+                path: path,
+                message: `Route "${c.route.on}" starts a chain of ${c.hops.length} redirects/rewrites (more than ${config.defaults.maxRedirectHops}): ${trail}`
+            });
+            if (changed === true) {
+                this.log.warn(`Route-O-Matic route table "${id}": ${warnings[warnings.length - 1].message}`);
+            }
+        }
+    });
+    return warnings;
+};
+
+
+/**
+ * Validate environment and host configuration without applying it, collecting every error
+ * rather than stopping at the first, plus warnings for likely mistakes.
+ *
+ * @memberof RouteOMatic
+ * @public
+ * @static
+ * @param {object} envConf - Environment configuration object
+ * @param {object} hostConf - Host configuration object (not modified)
+ * @returns {object} - Result object with "valid" (boolean), "errors" and "warnings" (arrays of {path, message})
+ */
+RouteOMatic.validate = function (envConf, hostConf) {
+    let checker = Object.create(RouteOMatic.prototype),
+        errors = [],
+        warnings = [];
+
+    checker.log = utils.baseLogger;
+    checker.logReq = utils.baseLogger;
+    try {
+        // Processing modifies the config, so work on a copy
+        if (typeof hostConf === 'object' && hostConf !== null) {
+            hostConf = JSON.parse(JSON.stringify(hostConf));
+        }
+        if (checker.setupAllTheThings(envConf, hostConf, errors) !== null) {
+            warnings = validator.findWarnings(hostConf, checker.routeTables, checker.config).concat(checker.redirectWarnings);
+        }
+    } catch (err) {
+        errors.push({path: '', message: err.message});
+    }
+
+    return {
+        errors: errors,
+        valid: errors.length === 0,
+        warnings: warnings
+    };
+};
+
+
 /**
  * Re-configure with new hosts/routes/settings
  *
@@ -291,23 +568,255 @@ RouteOMatic.prototype.setupAllTheThings = function (envConf, hostConf) {
  */
 RouteOMatic.prototype.reconfigure = function (newEnvConf, newHostConf) {
     try {
-        let newHostTable;
+        return this.applyConfig(newEnvConf, newHostConf);
+    } catch (err) {
+        this.log.error(`Failed to reconfigure the routes: ${err.message}`);
+    }
+
+    return false;
+};
+
+
+/**
+ * Re-configure with new hosts/routes/settings, throwing on failure.  Same as reconfigure(), for
+ * callers that need to know why a new configuration was rejected.
+ *
+ * @memberof RouteOMatic
+ * @public
+ * @param {object} newEnvConf - New environment configuration object
+ * @param {object} newHostConf - New host configuration object
+ * @returns {boolean} - true if successful
+ * @throws {Error} - Throws error on failure, leaving the current configuration active
+ */
+RouteOMatic.prototype.applyConfig = function (newEnvConf, newHostConf) {
+    let newHostTable,
+        oldConfig = this.config;
+
+    if (typeof newEnvConf !== 'object' || newEnvConf === null) {
+        throw new Error('Invalid environment config object!');
+    }
+
+    // Try to re-configure with the new settings
+    newHostTable = this.setupAllTheThings(newEnvConf, newHostConf);
+
+    if (!newHostTable) {
+        throw new Error('No host table created');
+    }
+    delete this.hostTable;
+    this.hostTable = newHostTable;
+    this.valid = true;
+    this.startUpstreams(oldConfig);
+    return true;
+};
+
+
+/**
+ * Start the upstream pool health checks of the current config, stopping those of the old one,
+ * and close the old config's HTTP/2 sessions
+ *
+ * @memberof RouteOMatic
+ * @private
+ * @param {object|null} oldConfig - The replaced config object, if any
+ */
+RouteOMatic.prototype.startUpstreams = function (oldConfig) {
+    let pools = (this.config && this.config.upstreams) || {},
+        oldPools = (oldConfig && oldConfig.upstreams) || {};
+
+    for (let up in oldPools) {
+        if (oldPools.hasOwnProperty(up) && pools[up] !== oldPools[up]) {
+            oldPools[up].stop();
+        }
+    }
+    if (oldConfig && oldConfig.http2Client) {
+        oldConfig.http2Client.close();
+    }
+    for (let up in pools) {
+        if (pools.hasOwnProperty(up)) {
+            pools[up].start();
+        }
+    }
+};
+
+
+/**
+ * Stop background work, i.e. the upstream pool health checks, and close the HTTP/2 sessions
+ *
+ * @memberof RouteOMatic
+ * @public
+ */
+RouteOMatic.prototype.close = function () {
+    let pools = (this.config && this.config.upstreams) || {};
+
+    for (let up in pools) {
+        if (pools.hasOwnProperty(up)) {
+            pools[up].stop();
+        }
+    }
+    if (this.config && this.config.http2Client) {
+        this.config.http2Client.close();
+    }
+};
+
+
+/**
+ * Build a replacement route table and a new host table using it, then swap both in.  The
+ * current tables stay active if anything fails.  Only redirect chains passing through the
+ * replaced table are logged.
+ *
+ * @memberof RouteOMatic
+ * @private
+ * @param {string} tableId - The route table ID
+ * @param {object} src - The new route table source data
+ * @throws {Error} - Throws error on failure
+ */
+RouteOMatic.prototype.swapRouteTable = function (tableId, src) {
+    let config,
+        hostConf,
+        hostTable,
+        redirectWarnings,
+        routeTables = Object.assign({}, this.routeTables),
+        table;
+
+    if (this.config === null) {
+        throw new Error('Not configured');
+    }
+
+    // Route tables mutate their route objects, so build from a copy and keep the definitions
+    src = utils.copyDefinition(Object.assign({}, src, {id: tableId}));
+    table = utils.copyDefinition(src);
+    try {
+        routeTables[tableId] = new RouteTable(table, this.config);
+    } catch (e) {
+        throw new Error(`Failure processing route table "${tableId}": ${e.message}`);
+    }
+
+    config = Object.assign({}, this.config, {routeTables: routeTables});
+    try {
+        hostTable = new HostTable(this.hostConf.hosts, config);
+    } catch (e) {
+        throw new Error(`Error processing Route-O-Matic host table: ${e.message}`);
+    }
+    hostConf = Object.assign({}, this.hostConf, {
+        routeTables: Object.assign({}, this.hostConf.routeTables, {[tableId]: table})
+    });
+    redirectWarnings = this.checkRedirectChains(hostTable, config, hostConf, Object.assign({}, this.reqSettings, {hostTable: hostTable}), null, tableId);
+
+    // Everything checks out, swap in the new tables
+    this.config = config;
+    this.hostConf = hostConf;
+    this.redirectWarnings = redirectWarnings;
+    this.routeSources = Object.assign({}, this.routeSources, {[tableId]: src});
+    this.routeTables = routeTables;
+    this.hostTable = hostTable;
+    this.reqSettings.hostTable = hostTable;
+};
+
+
+/**
+ * Get the source data for an existing route table, as defined rather than as processed
+ *
+ * @memberof RouteOMatic
+ * @private
+ * @param {string} tableId - The route table ID
+ * @returns {object} - The route table source data
+ * @throws {Error} - Throws error if the route table does not exist
+ */
+RouteOMatic.prototype.getRouteTableSource = function (tableId) {
+    if (this.hostConf === null || typeof tableId !== 'string' ||
+        typeof this.routeTables[tableId] !== 'object' || this.routeTables[tableId] === null) {
+
+        throw new Error(`Unknown route table "${tableId}"`);
+    }
+    return this.routeSources[tableId];
+};
+
+
+/**
+ * Add a single route to an existing route table
+ *
+ * @memberof RouteOMatic
+ * @public
+ * @param {string} tableId - The route table ID
+ * @param {object} routeDef - The route definition, as used in the route table config
+ * @param {number} [index] - Position to insert the route at, appended if not set
+ * @returns {boolean} - true if successful, false if not
+ */
+RouteOMatic.prototype.addRoute = function (tableId, routeDef, index) {
+    try {
+        let src = this.getRouteTableSource(tableId),
+            routes = src.routes.slice();
 
-        if (typeof newEnvConf !== 'object' || newEnvConf === null) {
-            throw new Error('Invalid environment config object!');
+        if (typeof routeDef !== 'object' || routeDef === null) {
+            throw new Error('Invalid route definition');
+        }
+        if (typeof index === 'number' && index >= 0 && index < routes.length) {
+            routes.splice(index, 0, routeDef);
+        } else {
+            routes.push(routeDef);
         }
+        this.swapRouteTable(tableId, Object.assign({}, src, {routes: routes}));
+        this.log.debug(`Added route "${routeDef.on}" to route table ${tableId}.`);
+        return true;
+    } catch (err) {
+        this.log.error(`Failed to add route to route table "${tableId}": ${err.message}`);
+    }
+
+    return false;
+};
 
-        // Try to re-configure with the new settings
-        newHostTable = this.setupAllTheThings(newEnvConf, newHostConf);
 
-        if (newHostTable) {
-            delete this.hostTable;
-            this.hostTable = newHostTable;
-            this.valid = true;
-            return true;
+/**
+ * Remove every route matching on the given value from an existing route table
+ *
+ * @memberof RouteOMatic
+ * @public
+ * @param {string} tableId - The route table ID
+ * @param {string} on - The "on" value of the route(s) to remove
+ * @returns {boolean} - true if successful, false if not
+ */
+RouteOMatic.prototype.removeRoute = function (tableId, on) {
+    try {
+        let src = this.getRouteTableSource(tableId),
+            subs = (this.config.env && this.config.env.subs) || null,
+            subOn = (subs !== null) ? utils.substitute(on, subs) : on,
+            routes = src.routes.filter((r) => r.on !== on && r.on !== subOn);
+
+        if (routes.length === src.routes.length) {
+            throw new Error(`No route matching "${on}"`);
         }
+        this.swapRouteTable(tableId, Object.assign({}, src, {routes: routes}));
+        this.log.debug(`Removed route "${on}" from route table ${tableId}.`);
+        return true;
     } catch (err) {
-        this.log.error(`Failed to reconfigure the routes: ${err.message}`);
+        this.log.error(`Failed to remove route from route table "${tableId}": ${err.message}`);
+    }
+
+    return false;
+};
+
+
+/**
+ * Replace an entire route table, or add a new one
+ *
+ * @memberof RouteOMatic
+ * @public
+ * @param {string} tableId - The route table ID
+ * @param {object} def - The route table definition, as used in the host config
+ * @returns {boolean} - true if successful, false if not
+ */
+RouteOMatic.prototype.replaceRouteTable = function (tableId, def) {
+    try {
+        if (typeof tableId !== 'string' || tableId.length === 0) {
+            throw new Error('Invalid route table ID');
+        }
+        if (typeof def !== 'object' || def === null) {
+            throw new Error('Invalid route table definition');
+        }
+        this.swapRouteTable(tableId, def);
+        this.log.debug(`Replaced route table ${tableId}.`);
+        return true;
+    } catch (err) {
+        this.log.error(`Failed to replace route table "${tableId}": ${err.message}`);
     }
 
     return false;
@@ -330,5 +839,43 @@ RouteOMatic.prototype.handleRouting = function (req, res, next) {
 };
 
 
+/**
+ * Handle an HTTP Upgrade request (e.g. a WebSocket) with the Route-O-Matic
+ *
+ * @memberof RouteOMatic
+ * @public
+ * @param {object} req - Request object (HTTP)
+ * @param {object} socket - The client connection
+ * @param {object} head - The first packet of the upgraded stream, if any
+ */
+RouteOMatic.prototype.handleUpgrade = function (req, socket, head) {
+    let romReq = new RomRequest(this.reqSettings);
+
+    romReq.processUpgrade(req, socket, head);
+};
+
+
+/**
+ * Route the Upgrade requests (e.g. WebSockets) of an HTTP or HTTPS server, which Express does not
+ * see, e.g. rom.attachServer(app.listen(80))
+ *
+ * @memberof RouteOMatic
+ * @public
+ * @param {object} httpServer - The HTTP or HTTPS server
+ * @returns {object} - The server
+ */
+RouteOMatic.prototype.attachServer = function (httpServer) {
+    if (httpServer === null || typeof httpServer !== 'object' || typeof httpServer.on !== 'function') {
+        throw new Error('Invalid HTTP server object!');
+    }
+    httpServer.on('upgrade', this.handleUpgrade.bind(this));
+    return httpServer;
+};
+
+
+RouteOMatic.ConfigLoader = ConfigLoader;
+RouteOMatic.Metrics = Metrics;
+RouteOMatic.ProxyCache = ProxyCache;
+
 module.exports = RouteOMatic;
 
@@ -0,0 +1,512 @@
+/**
+ * Route-o-matic test harness
+ *
+ * Drives a RouteOMatic instance with fake Express requests and responses, recording the outcome
+ * of each request, so hosts and route tables can be tested without a running server.
+ *
+ * @module test-harness
+ */
+
+'use strict';
+
+const
+    defaultTimeout = 2000,
+    Fs = require('fs'),
+    Mime = require('mime'),
+    Path = require('path'),
+    RomRequest = require('./rom-request'),
+    RouteOMatic = require('./routeomatic'),
+    Stream = require('stream'),
+    Url = require('url'),
+    utils = require('./utils'),
+    Yaml = require('js-yaml');
+
+
+/**
+ * Check whether a route proxies its requests, to a host or an upstream pool
+ *
+ * @function
+ * @private
+ * @param {object} route - The route object
+ * @returns {boolean} - true if the route has proxy options
+ */
+function isProxyRoute(route) {
+    let proxy = route && route.options && route.options.proxy;
+
+    return typeof proxy === 'object' && proxy !== null && (typeof proxy.hostname === 'string' || typeof proxy.upstream === 'string');
+}
+
+
+/**
+ * Wrap a route handler to record that it was called, and to call it only if asked to
+ *
+ * @function
+ * @private
+ * @param {string} name - The handler name
+ * @param {function} handler - The route handler
+ * @param {boolean} callHandlers - true to call the handler, false to just record the outcome
+ * @returns {function} - The wrapped route handler
+ */
+function wrapHandler(name, handler, callHandlers) {
+    return function (req, route, args) {
+        let rec = req.serverResponse.harness;
+
+        rec.handler = name;
+        rec.params = (args && args.params) || {};
+        if (callHandlers === true) {
+            return handler.call(this, req, route, args);
+        }
+        if (isProxyRoute(route)) {
+            req.proxy(route.options);
+        } else {
+            rec.finish({type: 'handled'});
+        }
+        return true;
+    };
+}
+
+
+/**
+ * Wrap every route handler in a route handlers namespace object
+ *
+ * @function
+ * @private
+ * @param {object} handlers - Route handlers namespace object
+ * @param {boolean} callHandlers - true to call the handlers, false to just record the outcome
+ * @returns {object} - The wrapped route handlers namespace object
+ */
+function wrapHandlers(handlers, callHandlers) {
+    let wrapped = {};
+
+    if (typeof handlers !== 'object' || handlers === null) {
+        return handlers;
+    }
+    for (let k in handlers) {
+        if (handlers.hasOwnProperty(k)) {
+            if (typeof handlers[k] === 'function') {
+                wrapped[k] = wrapHandler(k, handlers[k], callHandlers);
+            } else if (typeof handlers[k] === 'object' && handlers[k] !== null) {
+                wrapped[k] = wrapHandlers(handlers[k], callHandlers);  // Route namespace
+            } else {
+                wrapped[k] = handlers[k];
+            }
+        }
+    }
+    return wrapped;
+}
+
+
+/**
+ * Record the URL a request is routed with again after a rewrite, from the "host:resolved" event
+ *
+ * @function
+ * @private
+ * @param {object} e - The event object
+ */
+function recordRewrite(e) {
+    let rec = e.req.serverResponse.harness;
+
+    if (typeof rec !== 'object' || rec === null) {
+        return;
+    }
+    if (e.pass > 1 && e.req.skippedRoutes.length === rec.skipped) {
+        rec.chain.push(e.req.url);  // Rewritten, not fallen through
+    }
+    rec.skipped = e.req.skippedRoutes.length;
+}
+
+
+/**
+ * Request object that records the proxy request a route would make, instead of making it
+ *
+ * @constructor
+ * @param {object} settings - RouteOMatic settings object
+ */
+function HarnessRequest(settings) {
+    RomRequest.call(this, settings);
+}
+HarnessRequest.prototype = Object.create(RomRequest.prototype);
+HarnessRequest.prototype.constructor = HarnessRequest;
+
+
+/**
+ * Record the proxy request for the route options, picking an upstream pool target if needed
+ *
+ * @memberof HarnessRequest
+ * @public
+ * @param {object} options - The route options
+ */
+HarnessRequest.prototype.proxy = function (options) {
+    let proxy = (options && options.proxy) || null;
+
+    if (!isProxyRoute({options: options})) {
+        RomRequest.prototype.proxy.call(this, options);  // Refused without a request
+        return;
+    }
+    try {
+        let dest = this.proxyTarget(proxy, []);
+
+        if (dest === null) {
+            this.error(503, `No target available in upstream pool "${proxy.upstream}"`);
+            return;
+        }
+        options = Object.assign({}, options);
+        this.prepProxyRequest(options, dest.proxy);
+        this.emitEvent('proxy:start', {options: options, url: options.fullUrl.href});
+        this.serverResponse.harness.finish({
+            type: 'proxy',
+            url: options.fullUrl.href,
+            method: options.httpOpts.method,
+            headers: options.httpOpts.headers
+        });
+    } catch (err) {
+        this.log.error(`Error proxying request: ${err.message}`);
+        this.error(500);
+    }
+};
+
+
+/**
+ * Build a fake Express request
+ *
+ * @function
+ * @private
+ * @param {object} input - The request values
+ * @returns {object} - The fake request, a readable stream of the request body
+ */
+function fakeRequest(input) {
+    let body = input.body,
+        headers = utils.mergeHeaders({}, input.headers),
+        req = new Stream.PassThrough(),
+        url = Url.parse(input.url || '/'),
+        host = url.host || input.host || headers.host || '',
+        proto = (url.protocol || input.proto || 'http:').replace(/:$/, '').toLowerCase(),
+        port = (typeof input.port === 'number') ? input.port : utils.extractPortFromHost(host || 'x', proto);
+
+    if (host.length !== 0) {
+        headers.host = host;
+    }
+    if (typeof body === 'object' && body !== null && !Buffer.isBuffer(body)) {
+        body = JSON.stringify(body);
+        headers['content-type'] = headers['content-type'] || 'application/json';
+    }
+    if (typeof body === 'string' || Buffer.isBuffer(body)) {
+        headers['content-length'] = String(Buffer.byteLength(body));
+    }
+
+    req.connection = req.socket = {
+        address: () => ({port: port}),
+        localAddress: '127.0.0.1',
+        remoteAddress: input.ip || '127.0.0.1'
+    };
+    req.get = (name) => headers[name.toLowerCase()];
+    req.headers = headers;
+    req.hostname = host.replace(/:\d+$/, '');
+    req.httpVersion = '1.1';
+    req.ip = input.ip || '127.0.0.1';
+    req.method = (input.method || 'GET').toUpperCase();
+    req.originalUrl = url.path || '/';
+    req.protocol = proto;
+    req.url = url.path || '/';
+    req.xhr = (headers['x-requested-with'] || '').toLowerCase() === 'xmlhttprequest';
+    Object.defineProperty(req, 'path', {
+        get: () => Url.parse(req.url).pathname
+    });
+
+    req.end(body);
+    return req;
+}
+
+
+/**
+ * Build a fake Express response that records the outcome
+ *
+ * @function
+ * @private
+ * @param {function} finish - Called with the outcome when the response is sent
+ * @returns {object} - The fake response
+ */
+function fakeResponse(finish) {
+    let res = Object.assign(new Stream.Writable(), {
+        harness: {
+            chain: [],
+            finish: finish,
+            handler: null,
+            params: null,
+            skipped: 0
+        },
+        headers: {},
+        headersSent: false,
+        locals: {},
+        statusCode: 200
+    });
+
+    res.getHeader = (name) => res.headers[name.toLowerCase()];
+    res.setHeader = (name, val) => {
+        res.headers[name.toLowerCase()] = val;
+    };
+    res.set = (name, val) => {
+        if (typeof name === 'object' && name !== null) {
+            Object.keys(name).forEach((h) => res.setHeader(h, name[h]));
+        } else {
+            res.setHeader(name, val);
+        }
+        return res;
+    };
+    res.type = (type) => res.set('content-type', (type.indexOf('/') !== -1) ? type : (Mime.getType(type) || type));
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.send = (content) => {
+        res.headersSent = true;
+        finish({type: 'handled', status: res.statusCode, headers: res.headers, body: Buffer.isBuffer(content) ? content.toString() : content});
+        return res;
+    };
+    res.end = () => {
+        res.headersSent = true;
+        finish({type: 'handled', status: res.statusCode, headers: res.headers});
+        return res;
+    };
+    res.redirect = (code, location) => {
+        res.headersSent = true;
+        finish({type: 'redirect', code: code, location: location, headers: res.headers});
+        return res;
+    };
+    res.on('pipe', (src) => {
+        // A static file stream, record it rather than reading it
+        src.unpipe(res);
+        src.destroy();
+        res.headersSent = true;
+        finish({type: 'file', path: src.path, status: res.statusCode, headers: res.headers});
+    });
+    res.sendFile = (file, options, callback) => {
+        res.headersSent = true;
+        finish({type: 'file', path: file, headers: Object.assign({}, res.headers, (options && options.headers) || {})});
+        if (typeof callback === 'function') {
+            callback(null);
+        }
+    };
+    return res;
+}
+
+
+/**
+ * Find where an outcome differs from the expected values.  Only values set in the expectation
+ * are compared, and objects are compared the same way, so an expectation can be partial.
+ *
+ * @function
+ * @private
+ * @param {mixed} expected - The expected value
+ * @param {mixed} actual - The actual value
+ * @param {string} path - The path of the value, for messages
+ * @param {array} mismatches - List to add mismatch messages to
+ * @returns {array} - The mismatch messages
+ */
+function findMismatches(expected, actual, path, mismatches) {
+    if (typeof expected === 'object' && expected !== null && !Array.isArray(expected)) {
+        for (let k in expected) {
+            if (expected.hasOwnProperty(k)) {
+                findMismatches(expected[k], (typeof actual === 'object' && actual !== null) ? actual[k] : undefined,
+                    path.length !== 0 ? `${path}.${k}` : k, mismatches);
+            }
+        }
+    } else if (JSON.stringify(expected) !== JSON.stringify(actual)) {
+        mismatches.push(`${path}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+    return mismatches;
+}
+
+
+/**
+ * Read a test fixture file (JSON or YAML)
+ *
+ * @function
+ * @private
+ * @param {string} file - The file path
+ * @returns {object|array} - The fixture
+ * @throws {Error} - Throws error if the file cannot be read or parsed
+ */
+function readFixture(file) {
+    let ext = Path.extname(file).toLowerCase();
+
+    try {
+        let text = Fs.readFileSync(file, 'utf8');
+
+        return (ext === '.yaml' || ext === '.yml') ? Yaml.safeLoad(text, {filename: file}) : JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Failed to load test fixture "${file}": ${err.message}`);
+    }
+}
+
+
+/**
+ * TestHarness object constructor
+ *
+ * @constructor
+ * @param {object} envConf - Environment configuration object, as for RouteOMatic
+ * @param {object} hostConf - Host configuration object, as for RouteOMatic
+ * @param {object} [options] - Harness options
+ * @param {boolean} [options.callHandlers] - Call the route handlers, instead of just recording which would be called
+ * @param {string} [options.host] - Host header for requests that do not set one
+ * @param {string} [options.proto] - Protocol for requests that do not set one (default is http)
+ * @param {number} [options.timeout] - Milliseconds to wait for a handler to respond (default is 2000)
+ */
+function TestHarness(envConf, hostConf, options) {
+    options = options || {};
+    if (typeof envConf !== 'object' || envConf === null) {
+        throw new Error('Invalid environment config object!');
+    }
+
+    this.callHandlers = options.callHandlers === true;
+    this.host = options.host || '';
+    this.proto = options.proto || 'http';
+    this.timeout = (typeof options.timeout === 'number') ? options.timeout : defaultTimeout;
+    this.rom = new RouteOMatic(
+        Object.assign({}, envConf, {routeHandlers: wrapHandlers(envConf.routeHandlers, this.callHandlers)}),
+        hostConf,
+        {all: () => null}
+    );
+    this.rom.on('host:resolved', recordRewrite);
+}
+
+
+/**
+ * Stop the upstream pool health checks and close the HTTP/2 sessions of the RouteOMatic
+ * instance, once the harness is no longer needed
+ *
+ * @memberof TestHarness
+ * @public
+ */
+TestHarness.prototype.close = function () {
+    this.rom.close();
+};
+
+
+/**
+ * Send a fake request through the routing and record the outcome.  The outcome "type" is one of:
+ *
+ * - "redirect" with "code" and "location"
+ * - "handled" with "handler" and "params" (plus "status", "headers" and "body" if the handler was called)
+ * - "proxy" with "url", "method" and "headers" of the proxy request, which is not made, for routes
+ *   with proxy options (plus "handler" and "params" if the route has one)
+ * - "file" with the "path" of the file that would be sent (plus "status" and "headers" for static routes)
+ * - "error" with "status" and "message"
+ * - "timeout" if a called handler did not respond
+ *
+ * A rewrite is not an outcome itself: every outcome has the "chain" of URLs the request was
+ * rewritten to, if any, before it was handled.
+ *
+ * @memberof TestHarness
+ * @public
+ * @param {object} input - The request ({method, url, host, proto, port, headers, body, ip})
+ * @returns {Promise} - Resolves with the outcome
+ */
+TestHarness.prototype.request = function (input) {
+    return new Promise((resolve) => {
+        let done = false,
+            req,
+            res,
+            romReq,
+            timer = null;
+
+        input = Object.assign({host: this.host, proto: this.proto}, input);
+        res = fakeResponse((outcome) => {
+            if (done === true) {
+                return;
+            }
+            done = true;
+            if (timer !== null) {
+                clearTimeout(timer);
+            }
+            outcome.chain = res.harness.chain.slice();
+            if (res.harness.handler !== null) {
+                outcome.handler = res.harness.handler;
+                outcome.params = res.harness.params;
+            }
+            resolve(outcome);
+        });
+        req = fakeRequest(input);
+
+        romReq = new HarnessRequest(Object.assign({}, this.rom.reqSettings, {proxyCache: null}));  // Proxy requests are not made
+
+        timer = setTimeout(() => {
+            timer = null;
+            res.harness.finish({type: 'timeout'});
+        }, this.timeout);
+        romReq.process(req, res, (err) => {
+            err = err || {};
+            res.harness.finish({type: 'error', status: err.statusCode || 500, message: err.message || ''});
+        });
+    });
+};
+
+
+/**
+ * Run a table of tests.  The fixture is a list of tests, or an object with "tests" and optional
+ * "defaults" (request values used by every test), or the path of a JSON or YAML file with either.
+ * Each test has the request values ({name, method, url, host, proto, port, headers, body}) and
+ * "expect", the outcome values to check.  An expected "type" of "rewrite" passes for any outcome
+ * with a rewrite chain, so the "chain" can be checked on its own.
+ *
+ * @memberof TestHarness
+ * @public
+ * @param {object|array|string} fixture - The tests, or the fixture file path
+ * @returns {Promise} - Resolves with {passed, failed, results: [{name, input, expect, outcome, pass, mismatches}]}
+ */
+TestHarness.prototype.run = function (fixture) {
+    let defaults = {},
+        summary = {
+            failed: 0,
+            passed: 0,
+            results: []
+        },
+        tests;
+
+    try {
+        if (typeof fixture === 'string') {
+            fixture = readFixture(fixture);
+        }
+        if (Array.isArray(fixture)) {
+            tests = fixture;
+        } else if (typeof fixture === 'object' && fixture !== null && Array.isArray(fixture.tests)) {
+            defaults = fixture.defaults || {};
+            tests = fixture.tests;
+        } else {
+            throw new Error('Test fixture has no list of tests');
+        }
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    return tests.reduce((prev, test) => prev.then(() => {
+        let expect = Object.assign({}, test.expect),
+            input = Object.assign({}, defaults, test);
+
+        delete input.expect;
+        delete input.name;
+        return this.request(input).then((outcome) => {
+            let mismatches = [];
+
+            if (expect.type === 'rewrite') {
+                if (outcome.chain.length === 0) {
+                    mismatches.push(`type: expected a rewrite, got "${outcome.type}" with no rewrites`);
+                }
+                delete expect.type;
+            }
+            findMismatches(expect, outcome, '', mismatches);
+            summary.results.push({
+                expect: test.expect,
+                input: input,
+                mismatches: mismatches,
+                name: test.name || `${(input.method || 'GET').toUpperCase()} ${input.url}`,
+                outcome: outcome,
+                pass: mismatches.length === 0
+            });
+            summary[mismatches.length === 0 ? 'passed' : 'failed']++;
+        });
+    }), Promise.resolve()).then(() => summary);
+};
+
+
+module.exports = TestHarness;
@@ -3,6 +3,63 @@
 var doRuntimeChecks = require('./utils').doRuntimeChecks;
 
 
+/**
+ * Read a parameter name from a route pattern
+ *
+ * @function
+ * @private
+ * @param {string} word - The route pattern
+ * @param {number} start - The index of the first character of the name
+ * @returns {string} - The parameter name, or an empty string if there is none
+ */
+function readParamName(word, start) {
+    let end = start;
+
+    while (end < word.length && /\w/.test(word.charAt(end))) {
+        end++;
+    }
+    return word.slice(start, end);
+}
+
+
+/**
+ * Check whether the pattern has a parameter (":name") or glob ("*name") marker at this position.
+ * Markers are only recognized at the start of a path segment, so existing routes using literal
+ * colons or asterisks elsewhere keep working.
+ *
+ * @function
+ * @private
+ * @param {string} word - The route pattern
+ * @param {number} depth - The current index in the pattern
+ * @returns {boolean} - true if a parameter or glob starts here
+ */
+function isParamMarker(word, depth) {
+    let ch = word.charAt(depth);
+
+    return (ch === ':' || ch === '*') && (depth === 0 || word.charAt(depth - 1) === '/') &&
+        /\w/.test(word.charAt(depth + 1));
+}
+
+
+/**
+ * Build the named parameters object for a match
+ *
+ * @function
+ * @private
+ * @param {array} names - The parameter names, in pattern order
+ * @param {array} values - The captured values, in pattern order
+ * @returns {object} - The parameters object
+ */
+function buildParams(names, values) {
+    let params = {};
+
+    for (let i = 0; i < names.length; i++) {
+        params[names[i]] = values[i];
+    }
+    return params;
+}
+
+
 /**
  * TrieRoute Object constructor
  *
@@ -14,81 +71,221 @@ function TrieRoute() {
 }
 
 
+/**
+ * Lower-case a route pattern for case-insensitive matching, leaving parameter names untouched
+ *
+ * @memberof TrieRoute
+ * @public
+ * @static
+ * @param {string} path - The route pattern
+ * @returns {string} - The lower-cased pattern
+ */
+TrieRoute.normalizeCase = function (path) {
+    return path.split(/((?:^|\/)[:*]\w+)/).map((part, i) => (i % 2 === 1 ? part : part.toLowerCase())).join('');
+};
+
+
 /**
  * Add a path/controller to a trie
+ *
+ * Patterns may contain named segment parameters (":name"), which match one non-empty path
+ * segment, and a trailing glob ("*name"), which matches the rest of the path.  The captured
+ * values are returned by find() in the "params" object.
+ *
+ * Several values can share a pattern if all but the last are conditional, i.e. only match some
+ * requests; find() tries them in the order they were added.
+ *
  * @memberof TrieRoute
  * @public
  * @param {string} path - The path to add to the trie, matched as a substring unless it ends with '#'
  * @param {varies} data - The object or function to return when this pattern is matched
+ * @param {boolean} [conditional] - true if the value has runtime match conditions, so values added later for the same pattern can still match
  * @throws Error on failure
  */
-TrieRoute.prototype.add = function (path, data) {
-    function inject(word, node, depth) {
+TrieRoute.prototype.add = function (path, data, conditional) {
+    function setValue(node, val, names, depth) {
+        if (!(val in node)) {
+            node[val] = [];
+        }
+        if (node[val].some((entry) => entry.conditional !== true)) {
+            throw new Error(`Duplicate or overlapping route!  Failed to add "${path}" because another route resolves the same path or a substring of it (at char ${depth}).`);
+        }
+        node[val].push({
+            conditional: conditional === true,
+            names: names.slice(),
+            val: data
+        });
+    }
+
+    function inject(word, node, depth, names) {
         let first = word.charAt(depth);
 
         // If at end of pattern
         if (first === '#' || word.length === depth) {
-            let val = (first === '#') ? '|X' : '|W';  // |W = substring match, |X = full string
+            setValue(node, (first === '#') ? '|X' : '|W', names, depth);  // |W = substring match, |X = full string
+        } else if (isParamMarker(word, depth)) {
+            let name = readParamName(word, depth + 1),
+                next = depth + 1 + name.length;
 
-            if (!(val in node)) {
-                node[val] = {};
+            if (names.indexOf(name) !== -1) {
+                throw new Error(`Duplicate parameter name "${name}" in route "${path}".`);
             }
-            if (typeof node[val].val !== 'undefined') {
-                throw new Error(`Duplicate or overlapping route!  Failed to add "${path}" because another route resolves the same path or a substring of it (at char ${depth}).`);
+            if (first === '*') {
+                // Glob, which must be the last part of the pattern
+                if (next !== word.length && word.charAt(next) !== '#') {
+                    throw new Error(`Glob parameter "*${name}" must be at the end of route "${path}".`);
+                }
+                setValue(node, '|G', names.concat(name), depth);
             } else {
-                node[val].val = data;
+                if (!('|P' in node)) {
+                    node['|P'] = {};
+                }
+                inject(word, node['|P'], next, names.concat(name));
             }
         } else {
             if (!(first in node)) {
                 node[first] = {};
             }
-            inject(word, node[first], depth + 1);
+            inject(word, node[first], depth + 1, names);
         }
     }
 
     if (typeof path === 'undefined' || path === null || path === '') {
         throw new Error('Invalid blank/empty route.  Failed to add.');
     }
-    inject(path, this.trie, 0);
+    inject(path, this.trie, 0, []);
 };
 
 
 /**
  * Search the trie to see if a match for the given path is found.
+ *
+ * Literal characters are tried first, then segment parameters, then globs.  The values sharing a
+ * pattern are tried in order, and the first one passing the request checks is returned.
+ *
  * @memberof TrieRoute
  * @public
  * @param {string} path - The path to find in the trie
  * @param {object} req - The request object to use to compare hostname/protocol, if necessary
+ * @param {function} [onReject] - Called with each value whose path matched but failed the request checks,
+ *   and the reason returned by the check function (null if the runtime checks failed), optional
+ * @param {function} [check] - Called with each match object passing the request checks, returning
+ *   null to accept it or the reason it fails, optional
  * @returns {object} - The match object on match or null if no match
  */
-TrieRoute.prototype.find = function (path, req) {
-    function parseWord(word, node, depth) {
-        let idx;
+TrieRoute.prototype.find = function (path, req, onReject, check) {
+    function pick(entries, word, depth, values) {
+        for (let i = 0; i < entries.length; i++) {
+            let match = {
+                    data: entries[i].val,
+                    match: word.slice(0, depth),
+                    params: buildParams(entries[i].names, values)
+                },
+                reason = null;
+
+            if (doRuntimeChecks(req, entries[i].val) === true) {
+                reason = (typeof check === 'function') ? check(match) : null;
+                if (reason === null) {
+                    return match;
+                }
+            }
+            if (typeof onReject === 'function') {
+                onReject(entries[i].val, reason);
+            }
+        }
+        return null;
+    }
+
+    function parseWord(word, node, depth, values) {
+        let found = null,
+            idx;
 
-        if ('|W' in node && doRuntimeChecks(req, node['|W'].val) === true) {
+        if ('|W' in node && (found = pick(node['|W'], word, depth, values)) !== null) {
             // Substring match, we don't need to look any farther
-            return {
-                data: node['|W'].val,
-                match: word.slice(0, depth)
-            };
+            return found;
         }
         idx = word.charAt(depth);
         if (idx === '') {
             // Complete word match or not
-            if ('|X' in node && doRuntimeChecks(req, node['|X'].val) === true) {
-                return {
-                    data: node['|X'].val,
-                    match: word.slice(0, depth)
-                };
+            if ('|X' in node) {
+                found = pick(node['|X'], word, depth, values);
+            }
+        } else if (idx in node) {
+            found = parseWord(word, node[idx], depth + 1, values);
+        }
+
+        // No literal match, so try the segment parameter branch
+        if (found === null && '|P' in node) {
+            let end = depth;
+
+            while (end < word.length && word.charAt(end) !== '/' && word.charAt(end) !== '?') {
+                end++;
+            }
+            if (end !== depth) {
+                found = parseWord(word, node['|P'], end, values.concat(word.slice(depth, end)));
             }
-            return null;
         }
-        return (idx in node) ? parseWord(word, node[idx], depth + 1) : null;
+
+        // Still nothing, so try a glob
+        if (found === null && '|G' in node) {
+            found = pick(node['|G'], word, word.length, values.concat(word.slice(depth)));
+        }
+        return found;
     }
 
-    return (typeof path === 'string' && path.length !== 0) ? parseWord(path, this.trie, 0) : null;
+    return (typeof path === 'string' && path.length !== 0) ? parseWord(path, this.trie, 0, []) : null;
 };
 
 
-module.exports = TrieRoute;
+/**
+ * Append a value to the list kept at a literal path.  Unlike add(), any number of values may
+ * share a path and no parameter or end markers are recognized.
+ *
+ * @memberof TrieRoute
+ * @public
+ * @param {string} path - The literal path prefix to store the value under (empty for the root)
+ * @param {varies} data - The value to append
+ */
+TrieRoute.prototype.append = function (path, data) {
+    let node = this.trie;
 
+    for (let ch, i = 0; i < path.length; i++) {
+        ch = path.charAt(i);
+        if (!(ch in node)) {
+            node[ch] = {};
+        }
+        node = node[ch];
+    }
+    if (!('|L' in node)) {
+        node['|L'] = [];
+    }
+    node['|L'].push(data);
+};
+
+
+/**
+ * Collect every appended value stored under a prefix of the given path, shortest prefix first.
+ *
+ * @memberof TrieRoute
+ * @public
+ * @param {string} path - The path to search with
+ * @returns {array} - The values found, empty if none
+ */
+TrieRoute.prototype.findAll = function (path) {
+    let found = [],
+        node = this.trie;
+
+    for (let i = 0; typeof node === 'object'; i++) {
+        if ('|L' in node) {
+            found = found.concat(node['|L']);
+        }
+        if (i >= path.length) {
+            break;
+        }
+        node = node[path.charAt(i)];
+    }
+    return found;
+};
+
+
+module.exports = TrieRoute;
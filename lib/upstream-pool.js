@@ -0,0 +1,395 @@
+/**
+ * Route-o-matic upstream pools
+ *
+ * A named group of proxy targets, picked by (weighted) round-robin, least-connections or a
+ * consistent hash of the request.  Targets are taken out of use when an active health check
+ * fails, or for a while after too many proxy failures in a row, and the whole pool when its
+ * circuit breaker is open.
+ *
+ * @module upstream-pool
+ */
+
+'use strict';
+
+const
+    balanceTypes = ['round-robin', 'least-connections', 'hash'],
+    CircuitBreaker = require('./circuit-breaker'),
+    Crypto = require('crypto'),
+    defaultEjectTime = 30000,
+    defaultHealthInterval = 10000,
+    defaultHealthTimeout = 2000,
+    defaultMaxFails = 3,
+    defaultRetries = 1,
+    Http = require('http'),
+    Https = require('https'),
+    ringPoints = 40,
+    utils = require('./utils');
+
+
+/**
+ * Hash a string to an unsigned 32 bit number
+ *
+ * @function
+ * @private
+ * @param {string} str - The string to hash
+ * @returns {number} - The hash
+ */
+function hash32(str) {
+    return Crypto.createHash('md5').update(str).digest().readUInt32BE(0);
+}
+
+
+/**
+ * Check for a positive whole number
+ *
+ * @function
+ * @private
+ * @param {mixed} val - Value to check
+ * @returns {boolean} - true if valid
+ */
+function isCount(val) {
+    return typeof val === 'number' && val >= 0 && val % 1 === 0;
+}
+
+
+/**
+ * UpstreamPool object constructor.  Health checks are not started until start() is called.
+ *
+ * @constructor
+ * @param {string} name - The pool name
+ * @param {object} conf - The pool configuration
+ * @param {array} conf.targets - The targets ({hostname, port, proto, weight})
+ * @param {string} [conf.balance] - "round-robin" (default), "least-connections" or "hash"
+ * @param {string} [conf.hashKey] - Request value to hash, "ip" (default), "url", "header:<name>" or "cookie:<name>"
+ * @param {string} [conf.proto] - Default target protocol, "http" or "https"
+ * @param {number} [conf.retries] - Other targets to retry after a failure, for idempotent requests (1 if not set)
+ * @param {number} [conf.maxFails] - Failures in a row that eject a target (3 if not set, 0 to never eject)
+ * @param {number} [conf.ejectTime] - Milliseconds an ejected target is out of use (30000 if not set)
+ * @param {object} [conf.healthCheck] - Active health check ({path, interval, timeout, host}), optional
+ * @param {object} [conf.circuitBreaker] - Circuit breaker configuration, optional (see CircuitBreaker)
+ * @param {number} [conf.timeout] - Proxy request timeout in milliseconds, for routes that do not set one
+ * @param {object} [log] - Logger, optional
+ * @throws {Error} - If the configuration is invalid
+ */
+function UpstreamPool(name, conf, log) {
+    let hashKey;
+
+    if (typeof conf !== 'object' || conf === null) {
+        throw new Error(`Invalid upstream pool "${name}" configuration!`);
+    }
+    if (!Array.isArray(conf.targets) || conf.targets.length === 0) {
+        throw new Error(`Missing targets for upstream pool "${name}"!`);
+    }
+    if (typeof conf.balance !== 'undefined' && balanceTypes.indexOf(conf.balance) === -1) {
+        throw new Error(`Invalid balance "${conf.balance}" for upstream pool "${name}", must be one of: ${balanceTypes.join(', ')}`);
+    }
+    hashKey = (typeof conf.hashKey === 'string') ? conf.hashKey : 'ip';
+    if (!/^(ip|url|header:.+|cookie:.+)$/.test(hashKey)) {
+        throw new Error(`Invalid hashKey "${hashKey}" for upstream pool "${name}", must be "ip", "url", "header:<name>" or "cookie:<name>".`);
+    }
+    ['retries', 'maxFails', 'ejectTime', 'timeout'].forEach((k) => {
+        if (typeof conf[k] !== 'undefined' && !isCount(conf[k])) {
+            throw new Error(`Invalid ${k} value for upstream pool "${name}"!`);
+        }
+    });
+
+    this.balance = conf.balance || 'round-robin';
+    this.breaker = null;
+    this.ejectTime = isCount(conf.ejectTime) ? conf.ejectTime : defaultEjectTime;
+    this.hashKeyType = hashKey.replace(/:.*$/, '');
+    this.hashKeyName = (hashKey.indexOf(':') !== -1) ? hashKey.slice(hashKey.indexOf(':') + 1) : '';
+    this.healthCheck = null;
+    this.log = log || utils.baseLogger;
+    this.maxFails = isCount(conf.maxFails) ? conf.maxFails : defaultMaxFails;
+    this.name = name;
+    this.retries = isCount(conf.retries) ? conf.retries : defaultRetries;
+    this.ring = null;
+    this.timeout = isCount(conf.timeout) ? conf.timeout : null;
+    this.timer = null;
+
+    if (this.hashKeyType === 'header') {
+        this.hashKeyName = this.hashKeyName.toLowerCase();
+    }
+
+    this.targets = conf.targets.map((t, i) => {
+        let proto = (t && t.proto) || conf.proto || null;
+
+        if (typeof t !== 'object' || t === null || !utils.isHostnameValid(t.hostname)) {
+            throw new Error(`Invalid hostname for target #${i} of upstream pool "${name}"!`);
+        }
+        if (typeof t.port !== 'undefined' && (!isCount(t.port) || t.port === 0 || t.port > 65535)) {
+            throw new Error(`Invalid port for target #${i} of upstream pool "${name}"!`);
+        }
+        if (proto !== null && proto !== 'http' && proto !== 'https') {
+            throw new Error(`Invalid proto "${proto}" for target #${i} of upstream pool "${name}"!`);
+        }
+        if (typeof t.weight !== 'undefined' && (typeof t.weight !== 'number' || !(t.weight > 0))) {
+            throw new Error(`Invalid weight for target #${i} of upstream pool "${name}"!`);
+        }
+        return {
+            active: 0,
+            currentWeight: 0,
+            ejectedUntil: 0,
+            fails: 0,
+            healthy: true,
+            hostname: t.hostname,
+            id: `${t.hostname}:${t.port || ''}`,
+            port: t.port || null,
+            proto: proto,
+            weight: t.weight || 1
+        };
+    });
+
+    if (typeof conf.healthCheck !== 'undefined') {
+        let hc = conf.healthCheck;
+
+        if (typeof hc !== 'object' || hc === null || (typeof hc.path !== 'undefined' && (typeof hc.path !== 'string' || hc.path.charAt(0) !== '/')) ||
+            (typeof hc.interval !== 'undefined' && !(isCount(hc.interval) && hc.interval > 0)) ||
+            (typeof hc.timeout !== 'undefined' && !(isCount(hc.timeout) && hc.timeout > 0))) {
+
+            throw new Error(`Invalid healthCheck for upstream pool "${name}"!`);
+        }
+        this.healthCheck = {
+            host: (typeof hc.host === 'string') ? hc.host : null,
+            interval: hc.interval || defaultHealthInterval,
+            path: hc.path || '/',
+            timeout: hc.timeout || defaultHealthTimeout
+        };
+    }
+
+    if (typeof conf.circuitBreaker !== 'undefined') {
+        this.breaker = new CircuitBreaker(`upstream pool ${name}`, conf.circuitBreaker, this.log);
+    }
+
+    // Consistent hash ring, with points for each target by weight
+    if (this.balance === 'hash') {
+        this.ring = [];
+        this.targets.forEach((t) => {
+            for (let p = 0, n = Math.max(1, Math.round(t.weight * ringPoints)); p < n; p++) {
+                this.ring.push({point: hash32(`${t.id}#${p}`), target: t});
+            }
+        });
+        this.ring.sort((a, b) => a.point - b.point);
+    }
+}
+
+
+/**
+ * Check if a target can be used
+ *
+ * @memberof UpstreamPool
+ * @private
+ * @param {object} t - The target
+ * @param {number} now - The current time
+ * @returns {boolean} - true if healthy and not ejected
+ */
+UpstreamPool.prototype.isAvailable = function (t, now) {
+    return t.healthy === true && t.ejectedUntil <= now;
+};
+
+
+/**
+ * Get the hash key value of a request
+ *
+ * @memberof UpstreamPool
+ * @private
+ * @param {object} req - The request object (RomRequest)
+ * @returns {string|null} - The key value, null if not set
+ */
+UpstreamPool.prototype.hashKeyValue = function (req) {
+    let headers = req.serverRequest.headers;
+
+    if (this.hashKeyType === 'ip') {
+        return req.serverRequest.ip || null;
+    }
+    if (this.hashKeyType === 'url') {
+        return req.url;
+    }
+    if (this.hashKeyType === 'header') {
+        return headers[this.hashKeyName] || null;
+    }
+    return utils.parseCookies(headers.cookie)[this.hashKeyName] || null;
+};
+
+
+/**
+ * Pick a target for a request
+ *
+ * @memberof UpstreamPool
+ * @public
+ * @param {object} req - The request object (RomRequest)
+ * @param {array} [exclude] - Targets already tried
+ * @returns {object|null} - The target, null if none are available or the circuit breaker is open
+ */
+UpstreamPool.prototype.pick = function (req, exclude) {
+    let now = Date.now(),
+        tried = exclude || [],
+        avail = this.targets.filter((t) => this.isAvailable(t, now) && tried.indexOf(t) === -1),
+        keyVal,
+        best = null,
+        total = 0;
+
+    if (avail.length === 0 || (this.breaker !== null && !this.breaker.allow())) {
+        return null;
+    }
+
+    if (this.balance === 'hash' && (keyVal = this.hashKeyValue(req)) !== null) {
+        let point = hash32(String(keyVal)),
+            lo = 0,
+            hi = this.ring.length;
+
+        // Find the first ring point at or after the key, then the first usable target from there
+        while (lo < hi) {
+            let mid = (lo + hi) >>> 1;
+
+            if (this.ring[mid].point < point) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+        for (let n = 0; n < this.ring.length; n++) {
+            let t = this.ring[(lo + n) % this.ring.length].target;
+
+            if (avail.indexOf(t) !== -1) {
+                return t;
+            }
+        }
+    }
+
+    if (this.balance === 'least-connections') {
+        avail.forEach((t) => {
+            if (best === null || t.active / t.weight < best.active / best.weight) {
+                best = t;
+            }
+        });
+        return best;
+    }
+
+    // Smooth weighted round-robin, also used for hashing without a key value
+    avail.forEach((t) => {
+        t.currentWeight += t.weight;
+        total += t.weight;
+        if (best === null || t.currentWeight > best.currentWeight) {
+            best = t;
+        }
+    });
+    best.currentWeight -= total;
+    return best;
+};
+
+
+/**
+ * Record the start of a proxy request to a target
+ *
+ * @memberof UpstreamPool
+ * @public
+ * @param {object} t - The target
+ */
+UpstreamPool.prototype.acquire = function (t) {
+    t.active++;
+};
+
+
+/**
+ * Record the end of a proxy request to a target, ejecting it after too many failures in a row
+ *
+ * @memberof UpstreamPool
+ * @public
+ * @param {object} t - The target
+ * @param {boolean} ok - false if the request failed (connection error, timeout or 5xx)
+ */
+UpstreamPool.prototype.release = function (t, ok) {
+    t.active = Math.max(t.active - 1, 0);
+    if (this.breaker !== null) {
+        this.breaker.record(ok === true);
+    }
+    if (ok === true) {
+        t.fails = 0;
+    } else if (this.maxFails !== 0 && ++t.fails >= this.maxFails) {
+        t.fails = 0;
+        t.ejectedUntil = Date.now() + this.ejectTime;
+        this.log.warn(`Upstream pool "${this.name}" target ${t.id} ejected for ${this.ejectTime}ms after ${this.maxFails} failures`);
+    }
+};
+
+
+/**
+ * Run the health check of a target
+ *
+ * @memberof UpstreamPool
+ * @private
+ * @param {object} t - The target
+ */
+UpstreamPool.prototype.probe = function (t) {
+    let hc = this.healthCheck,
+        done = false,
+        finish,
+        req;
+
+    finish = (ok) => {
+        if (done === true) {
+            return;
+        }
+        done = true;
+        if (ok !== t.healthy) {
+            this.log.warn(`Upstream pool "${this.name}" target ${t.id} is ${ok ? 'healthy' : 'unhealthy'}`);
+        }
+        t.healthy = ok;
+    };
+
+    req = ((t.proto === 'https') ? Https : Http).request({
+        agent: false,
+        headers: {host: hc.host || t.hostname},
+        hostname: t.hostname,
+        method: 'GET',
+        path: hc.path,
+        port: t.port,
+        timeout: hc.timeout
+    }, (res) => {
+        res.resume();
+        finish(res.statusCode >= 200 && res.statusCode < 400);
+    });
+    req.on('timeout', () => {
+        req.destroy(new Error('Health check timed out'));
+    });
+    req.on('error', () => {
+        finish(false);
+    });
+    req.end();
+};
+
+
+/**
+ * Start the active health checks, if configured
+ *
+ * @memberof UpstreamPool
+ * @public
+ */
+UpstreamPool.prototype.start = function () {
+    if (this.healthCheck === null || this.timer !== null) {
+        return;
+    }
+    this.targets.forEach((t) => this.probe(t));
+    this.timer = setInterval(() => {
+        this.targets.forEach((t) => this.probe(t));
+    }, this.healthCheck.interval);
+    this.timer.unref();
+};
+
+
+/**
+ * Stop the active health checks
+ *
+ * @memberof UpstreamPool
+ * @public
+ */
+UpstreamPool.prototype.stop = function () {
+    if (this.timer !== null) {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+};
+
+
+module.exports = UpstreamPool;
@@ -1,10 +1,15 @@
 'use strict';
 
 const
+    // Connection-specific (hop-by-hop) headers, not passed on by proxies
+    hopHeaders = ['connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'proxy-connection',
+        'te', 'trailer', 'transfer-encoding', 'upgrade'],
     methods = ['GET', 'HEAD', 'POST', 'PUT', 'CHECKOUT', 'COPY', 'DELETE',
         'LOCK', 'MERGE', 'MKACTIVITY', 'MKCOL', 'MOVE', 'M-SEARCH', 'NOTIFY',
         'OPTIONS', 'PATCH', 'PURGE', 'REPORT', 'SEARCH', 'SUBSCRIBE',
         'TRACE', 'UNLOCK', 'UNSUBSCRIBE'],
+    Query = require('querystring'),
+    sizeUnits = {b: 1, gb: 1073741824, kb: 1024, mb: 1048576},
     writeMethods = ['POST', 'PUT', 'DELETE', 'LOCK', 'MERGE', 'MKACTIVITY',
         'MKCOL', 'MOVE', 'PATCH', 'PURGE', 'UNLOCK', 'UNSUBSCRIBE'];
 
@@ -22,6 +27,47 @@ function emptyFunc(_msg) {
 }
 
 
+/**
+ * Get the request values for a header, cookie, or query parameter match
+ *
+ * @function
+ * @private
+ * @param {object} req - The request object
+ * @param {string} source - The value source (header, cookie, or query)
+ * @param {string} name - The header (lower case), cookie, or query parameter name
+ * @returns {array} - The values, empty if not set
+ */
+function requestValues(req, source, name) {
+    let headers = (req.serverRequest && req.serverRequest.headers) || {},
+        val;
+
+    if (source === 'header') {
+        val = headers[name];
+    } else if (source === 'cookie') {
+        val = utils.parseCookies(headers.cookie)[name];
+    } else {
+        val = (req.queryParams || Query.parse(req.query || ''))[name];
+    }
+    return (typeof val === 'undefined') ? [] : [].concat(val);
+}
+
+
+/**
+ * Check a compiled header, cookie, or query parameter match against a request
+ *
+ * @function
+ * @private
+ * @param {object} req - The request object
+ * @param {object} m - The compiled match ({field, source, name, re, negate})
+ * @returns {boolean} - true if the request passes
+ */
+function requestMatchPasses(req, m) {
+    let matched = requestValues(req, m.source, m.name).some((v) => m.re.test(String(v)));
+
+    return (m.negate === true) ? !matched : matched;
+}
+
+
 /**
  * Utils module
  *
@@ -138,7 +184,97 @@ utils = {
             (r.allowWrite !== true && r.methodMatch.length === 0 && writeMethods.indexOf(req.method) !== -1) ||
             (r.portMatch !== 0 && r.portMatch !== req.port) ||
             (r.hostMatch.length !== 0 && r.hostMatch !== req.hostname) ||
-            (r.protoMatch.length !== 0 && r.protoMatch !== req.protocol)) ? false : true;
+            (r.protoMatch.length !== 0 && r.protoMatch !== req.protocol) ||
+            (r.geoMatch !== null && r.geoMatch.indexOf(req.geo) === -1) ||
+            (r.requestMatches !== null && !r.requestMatches.every((m) => requestMatchPasses(req, m))) ||
+            (Array.isArray(req.skippedRoutes) && req.skippedRoutes.indexOf(r) !== -1)) ? false : true;
+    },
+
+    /**
+     * Check whether a route only depends on its path to match
+     *
+     * @function
+     * @public
+     * @param {object} r - The (processed) route object
+     * @returns {boolean} - true if the route has no runtime match conditions
+     */
+    isUnconditionalRoute: function (r) {
+        return r.methodMatch === '' && r.hostMatch === '' && r.portMatch === 0 && r.protoMatch === '' &&
+            r.geoMatch === null && r.requestMatches === null && r.paramChecks === null && !(r.postMatchRE instanceof RegExp);
+    },
+
+    /**
+     * List the runtime match values of a route that a request fails, for explaining near-misses.
+     *
+     * @function
+     * @public
+     * @param {object} req - The request object
+     * @param {object} r - The route object
+     * @returns {array} - Names of the failing route values, empty if the request passes
+     */
+    runtimeCheckFailures: function (req, r) {
+        let failed = [];
+
+        if (r.methodMatch.length !== 0 && r.methodMatch !== req.method) {
+            failed.push('methodMatch');
+        }
+        if (r.allowWrite !== true && r.methodMatch.length === 0 && writeMethods.indexOf(req.method) !== -1) {
+            failed.push('allowWrite');
+        }
+        if (r.portMatch !== 0 && r.portMatch !== req.port) {
+            failed.push('portMatch');
+        }
+        if (r.hostMatch.length !== 0 && r.hostMatch !== req.hostname) {
+            failed.push('hostMatch');
+        }
+        if (r.protoMatch.length !== 0 && r.protoMatch !== req.protocol) {
+            failed.push('protoMatch');
+        }
+        if (r.geoMatch !== null && r.geoMatch.indexOf(req.geo) === -1) {
+            failed.push('geoMatch');
+        }
+        if (r.requestMatches !== null) {
+            r.requestMatches.forEach((m) => {
+                if (failed.indexOf(m.field) === -1 && !requestMatchPasses(req, m)) {
+                    failed.push(m.field);
+                }
+            });
+        }
+        if (Array.isArray(req.skippedRoutes) && req.skippedRoutes.indexOf(r) !== -1) {
+            failed.push('fallthrough');
+        }
+        return failed;
+    },
+
+    /**
+     * Parse a Cookie header.  The first value of a repeated cookie is used.
+     *
+     * @function
+     * @public
+     * @param {string} [header] - The Cookie header value
+     * @returns {object} - The cookie values, by name
+     */
+    parseCookies: function (header) {
+        let cookies = {};
+
+        if (typeof header === 'string') {
+            header.split(';').forEach((c) => {
+                let epos = c.indexOf('='),
+                    name = (epos !== -1 ? c.substr(0, epos) : '').trim(),
+                    val;
+
+                if (name.length === 0 || cookies.hasOwnProperty(name)) {
+                    return;
+                }
+                val = c.substr(epos + 1).trim().replace(/^"(.*)"$/, '$1');
+                try {
+                    cookies[name] = decodeURIComponent(val);
+                } catch (err) {
+                    cookies[name] = val;
+                }
+            });
+        }
+        return cookies;
     },
 
     /**
@@ -175,6 +311,33 @@ utils = {
         return ns;
     },
 
+    /**
+     * Deep copy a configuration value, such as a route definition.  Plain objects and arrays are
+     * copied, anything else (regexes, functions, other objects) is shared.
+     *
+     * @function
+     * @public
+     * @param {*} val - The value to copy
+     * @returns {*} - The copy
+     */
+    copyDefinition: function (val) {
+        let copy;
+
+        if (Array.isArray(val)) {
+            return val.map((v) => utils.copyDefinition(v));
+        }
+        if (typeof val !== 'object' || val === null || Object.getPrototypeOf(val) !== Object.prototype) {
+            return val;
+        }
+        copy = {};
+        for (let key in val) {
+            if (val.hasOwnProperty(key)) {
+                copy[key] = utils.copyDefinition(val[key]);
+            }
+        }
+        return copy;
+    },
+
     /**
      * Shallow copy headers from one response object to another
      *
@@ -186,7 +349,10 @@ utils = {
     cloneResponseHeaders: function (copyTo, copyFrom) {
         for (let key in copyFrom) {
             if (copyFrom.hasOwnProperty(key)) {
-                copyTo.setHeader(key, copyFrom[key]);
+                let prev = (key.toLowerCase() === 'set-cookie') ? copyTo.getHeader(key) : undefined;
+
+                // Keep any cookies already set, e.g. by a split route
+                copyTo.setHeader(key, (typeof prev === 'undefined') ? copyFrom[key] : [].concat(prev, copyFrom[key]));
             }
         }
     },
@@ -226,6 +392,87 @@ utils = {
             }
         }
         return mh;
+    },
+
+    /**
+     * Copy headers without the hop-by-hop headers, including any named in the Connection header
+     *
+     * @function
+     * @public
+     * @param {object} headers - The headers object (lower case names)
+     * @returns {object} - The copied headers
+     */
+    stripHopHeaders: function (headers) {
+        let conn = [].concat(headers.connection || []).join(',').toLowerCase().split(/\s*,\s*/),
+            copy = {};
+
+        for (let h in headers) {
+            if (headers.hasOwnProperty(h) && hopHeaders.indexOf(h) === -1 && conn.indexOf(h) === -1) {
+                copy[h] = headers[h];
+            }
+        }
+        return copy;
+    },
+
+    /**
+     * Parse a size in bytes, e.g. 1024 or "200kb"
+     *
+     * @function
+     * @public
+     * @param {number|string} val - The size, a number of bytes or a string with a b, kb, mb or gb unit
+     * @returns {number|null} - The number of bytes, null if not valid
+     */
+    parseSize: function (val) {
+        let m;
+
+        if (typeof val === 'number') {
+            return (val >= 0 && val % 1 === 0) ? val : null;
+        }
+        if (typeof val !== 'string' || (m = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(val.trim())) === null) {
+            return null;
+        }
+        return Math.floor(parseFloat(m[1]) * sizeUnits[(m[2] || 'b').toLowerCase()]);
+    },
+
+    /**
+     * Check if a media type is in a list of types, which can use wildcards, e.g. "image/*"
+     *
+     * @function
+     * @public
+     * @param {string} type - The media type, without parameters
+     * @param {array} types - The type list
+     * @returns {boolean} - true if listed, false if not
+     */
+    isTypeListed: function (type, types) {
+        let t = type.toLowerCase();
+
+        return types.some((lt) => {
+            let l = lt.toLowerCase();
+
+            return l === t || l === '*/*' || (l.slice(-2) === '/*' && t.indexOf(l.slice(0, -1)) === 0);
+        });
+    },
+
+    /**
+     * Check if an Accept-Encoding header accepts a content coding, i.e. lists it (or "*") without q=0
+     *
+     * @function
+     * @public
+     * @param {string} [header] - The Accept-Encoding header value
+     * @param {string} coding - The content coding, e.g. "gzip"
+     * @returns {boolean} - true if accepted, false if not
+     */
+    acceptsEncoding: function (header, coding) {
+        let q = null;
+
+        String(header || '').split(',').forEach((part) => {
+            let m = /^\s*([\w*\-]+)\s*(?:;\s*q\s*=\s*([\d.]+))?/i.exec(part);
+
+            if (m !== null && (m[1].toLowerCase() === coding || (m[1] === '*' && q === null))) {
+                q = (typeof m[2] === 'string') ? parseFloat(m[2]) : 1;
+            }
+        });
+        return q !== null && q > 0;
     }
 };
 
@@ -0,0 +1,235 @@
+'use strict';
+
+const
+    // Regex routes that match every request path
+    catchAllRE = /^\^?\/?(\.\*\$?|\(\.\*\)\$?)?$/,
+    parseUrl = require('url').parse,
+    TrieRoute = require('./trie-route'),
+    utils = require('./utils');
+
+var validator;
+
+
+/**
+ * Check whether route "first" will always be chosen over route "second" when both match
+ *
+ * @function
+ * @private
+ * @param {object} first - The route checked first
+ * @param {object} second - The route checked second
+ * @returns {boolean} - true if the second route can never be reached through the first
+ */
+function dominates(first, second) {
+    return utils.isUnconditionalRoute(first) && (first.allowWrite === true || second.allowWrite !== true);
+}
+
+
+/**
+ * Get the hostnames served by each route table
+ *
+ * @function
+ * @private
+ * @param {array} hosts - The host config entries
+ * @param {object} subs - Substitutions, if any
+ * @returns {object} - Map of route table ID to list of hostnames
+ */
+function tableHostnames(hosts, subs) {
+    let map = {};
+
+    hosts.forEach((h) => {
+        if (typeof h !== 'object' || h === null || !Array.isArray(h.routeTables) || !Array.isArray(h.hostnames)) {
+            return;
+        }
+        h.routeTables.forEach((rt) => {
+            map[rt] = (map[rt] || []).concat(h.hostnames.map((n) => (subs !== null ? utils.substitute(n, subs) : n).toLowerCase()));
+        });
+    });
+    return map;
+}
+
+
+/**
+ * Validator module, config checks that are not errors but are probably mistakes
+ *
+ * @module validator
+ */
+validator = {
+    /**
+     * Find warnings for a processed configuration
+     *
+     * @function
+     * @public
+     * @param {object} hostConf - The processed host configuration
+     * @param {object} routeTables - The route table objects, by ID
+     * @param {object} config - The processed config object
+     * @returns {array} - The warnings ({path, message})
+     */
+    findWarnings: function (hostConf, routeTables, config) {
+        let hostnames = tableHostnames(hostConf.hosts, (config.env && config.env.subs) || null),
+            warnings = [];
+
+        for (let id in routeTables) {
+            if (routeTables.hasOwnProperty(id)) {
+                let table = routeTables[id],
+                    srcRoutes = hostConf.routeTables[id].routes,
+                    path = (r) => `routeTables.${id}.routes[${srcRoutes.indexOf(r)}]`;
+
+                // Unused route tables
+                if (!Array.isArray(hostnames[id])) {
+                    warnings.push({
+                        path: `routeTables.${id}`,
+                        message: `Route table "${id}" is not used by any host.`
+                    });
+                }
+
+                // Shadowed or unreachable routes
+                if (table.isTrieMatch === true) {
+                    validator.findShadowedTrieRoutes(table).forEach((w) => {
+                        warnings.push({
+                            path: path(w.route),
+                            message: `Route "${w.route.on}" is shadowed by substring route "${w.by.on}" and will never match.`
+                        });
+                    });
+                } else {
+                    validator.findUnreachableRegexRoutes(table).forEach((w) => {
+                        warnings.push({
+                            path: path(w.route),
+                            message: `Route "${w.route.on}" is unreachable because earlier route "${w.by.on}" always matches first.`
+                        });
+                    });
+                }
+
+                // Redirects back into this same table
+                validator.findSelfRedirects(table, hostnames[id] || []).forEach((w) => {
+                    warnings.push({
+                        path: path(w.route),
+                        message: (w.by === w.route) ?
+                            `Redirect route "${w.route.on}" redirects to itself (${w.target}).` :
+                            `Redirect route "${w.route.on}" points to "${w.target}", which is redirected or rewritten again by route "${w.by.on}" in the same route table.`
+                    });
+                });
+            }
+        }
+        return warnings;
+    },
+
+    /**
+     * Find trie routes that can never match because a substring route on a prefix of them always matches first
+     *
+     * @function
+     * @public
+     * @param {object} table - The route table
+     * @returns {array} - List of {route, by} objects
+     */
+    findShadowedTrieRoutes: function (table) {
+        let norm = (on) => (table.isCaseSpecific === true ? on : TrieRoute.normalizeCase(on)),
+            found = [],
+            prefixes = table.routes.filter((r) => r.on.indexOf('#') === -1 && !/(^|\/)[:*]\w/.test(r.on) && utils.isUnconditionalRoute(r));
+
+        table.routes.forEach((r) => {
+            let on = norm(r.on);
+
+            for (let i = 0; i < prefixes.length; i++) {
+                if (prefixes[i] !== r && on.indexOf(norm(prefixes[i].on)) === 0 && dominates(prefixes[i], r)) {
+                    found.push({by: prefixes[i], route: r});
+                    break;
+                }
+            }
+        });
+        return found;
+    },
+
+    /**
+     * Find regex routes that can never match because an earlier route matches the same or every path
+     *
+     * @function
+     * @public
+     * @param {object} table - The route table
+     * @returns {array} - List of {route, by} objects
+     */
+    findUnreachableRegexRoutes: function (table) {
+        let catchAll = null,
+            found = [],
+            seen = {};
+
+        table.routes.forEach((r) => {
+            let by = (catchAll !== null && dominates(catchAll, r)) ? catchAll : null;
+
+            if (by === null && seen.hasOwnProperty(r.on) && dominates(seen[r.on], r)) {
+                by = seen[r.on];
+            }
+            if (by !== null) {
+                found.push({by: by, route: r});
+                return;
+            }
+            if (!seen.hasOwnProperty(r.on) && utils.isUnconditionalRoute(r)) {
+                seen[r.on] = r;
+            }
+            if (catchAll === null && utils.isUnconditionalRoute(r) && catchAllRE.test(r.on)) {
+                catchAll = r;
+            }
+        });
+        return found;
+    },
+
+    /**
+     * Find redirect routes whose target is redirected or rewritten again by the same route table
+     *
+     * @function
+     * @public
+     * @param {object} table - The route table
+     * @param {array} hostnames - The hostnames served by the route table
+     * @returns {array} - List of {route, by, target} objects
+     */
+    findSelfRedirects: function (table, hostnames) {
+        let found = [];
+
+        table.routes.forEach((r) => {
+            let match,
+                url;
+
+            if (typeof r.redirect !== 'string' || typeof r.rewrite === 'string') {
+                return;
+            }
+            url = parseUrl(r.redirect);
+            if (typeof url.pathname !== 'string' ||
+                (url.hostname !== null && hostnames.indexOf(url.hostname.toLowerCase()) === -1)) {
+
+                return;  // Not a path on a host this table serves
+            }
+            match = table.findRoute(validator.syntheticRequest(url, hostnames[0] || ''));
+            if (match !== null && (typeof match.route.redirect === 'string' || typeof match.route.rewrite === 'string')) {
+                found.push({by: match.route, route: r, target: r.redirect});
+            }
+        });
+        return found;
+    },
+
+    /**
+     * Create a request-like object for matching a URL against route tables
+     *
+     * @function
+     * @public
+     * @param {object} url - The parsed URL object
+     * @param {string} defaultHost - Hostname to use if the URL has none
+     * @param {string} [method] - Request method, GET if not set
+     * @returns {object} - The request-like object
+     */
+    syntheticRequest: function (url, defaultHost, method) {
+        let proto = (url.protocol || 'http:').replace(/:$/, '');
+
+        return {
+            hostname: (url.hostname || defaultHost).toLowerCase(),
+            method: method || 'GET',
+            normalizedPath: (url.pathname || '/').toLowerCase(),
+            path: url.pathname || '/',
+            port: url.port ? parseInt(url.port, 10) : (proto === 'https' ? 443 : 80),
+            proto: proto,
+            protocol: proto,
+            query: url.query || ''
+        };
+    }
+};
+
+
+module.exports = validator;
@@ -0,0 +1,139 @@
+'use strict';
+
+const
+    assert = require('assert'),
+    bodyTransform = require('../lib/body-transform'),
+    Zlib = require('zlib');
+
+
+/**
+ * Send a body through the stages for a list of transforms
+ *
+ * @param {array} list - The transforms
+ * @param {object} headers - The origin response headers
+ * @param {array} chunks - The body chunks (strings or buffers)
+ * @returns {Promise} - Resolves with the new body ({body, length}), or null if it is not transformed
+ */
+function transform(list, headers, chunks) {
+    let length,
+        stages = bodyTransform.createStages(list, headers, (len) => {
+            length = len;
+        });
+
+    if (stages === null) {
+        return Promise.resolve(null);
+    }
+    return new Promise((resolve, reject) => {
+        let out = [],
+            last = stages.reduce((src, stage) => src.pipe(stage));
+
+        stages.forEach((s) => s.on('error', reject));
+        last.on('data', (chunk) => out.push(chunk));
+        last.on('end', () => resolve({body: Buffer.concat(out), length: length}));
+        chunks.forEach((c) => stages[0].write(c));
+        stages[0].end();
+    });
+}
+
+
+describe('body-transform', function () {
+    const html = {'content-type': 'text/html; charset=utf-8'};
+
+    describe('checkTransforms', function () {
+        it('accepts valid transforms', function () {
+            assert.strictEqual(bodyTransform.checkTransforms([
+                {replace: [{from: 'a', to: 'b'}, {from: 'c+', to: 'd', regex: true, flags: 'g'}]},
+                {injectHead: '<script></script>', contentTypes: ['text/html']},
+                {json: {set: {'meta.source': 'x'}, remove: ['internal'], replace: [{from: 'a', to: 'b'}]}}
+            ]), null);
+        });
+
+        it('rejects invalid transforms', function () {
+            assert.match(bodyTransform.checkTransforms({}), /must be a list/);
+            assert.match(bodyTransform.checkTransforms([{}]), /#0 must have/);
+            assert.match(bodyTransform.checkTransforms([{replace: [{from: '', to: 'b'}]}]), /#0 "replace"/);
+            assert.match(bodyTransform.checkTransforms([{replace: [{from: '(', to: 'b', regex: true}]}]), /invalid regular expression/);
+            assert.match(bodyTransform.checkTransforms([{injectHead: ''}]), /#0 "injectHead"/);
+            assert.match(bodyTransform.checkTransforms([{contentTypes: 'text/html', injectHead: 'x'}]), /#0 "contentTypes"/);
+            assert.match(bodyTransform.checkTransforms([{json: {remove: ['a.__proto__']}}]), /#0 "json"/);
+            assert.match(bodyTransform.checkTransforms([{json: {replace: [{from: 'a', to: 'b', regex: true}]}}]), /#0 "json"/);
+        });
+    });
+
+    describe('createStages', function () {
+        it('leaves bodies of other types, charsets or encodings alone', function () {
+            let list = [{replace: [{from: 'a', to: 'b'}]}];
+
+            assert.strictEqual(bodyTransform.createStages(list, {'content-type': 'image/png'}, () => {}), null);
+            assert.strictEqual(bodyTransform.createStages(list, {'content-type': 'text/html; charset=iso-8859-1'}, () => {}), null);
+            assert.strictEqual(bodyTransform.createStages(list, {'content-type': 'text/html', 'content-encoding': 'compress'}, () => {}), null);
+            assert.strictEqual(bodyTransform.createStages(list, {}, () => {}), null);
+        });
+
+        it('replaces strings split across chunks and sets the new length', function () {
+            return transform([{replace: [{from: 'internal.example', to: 'www.example.com'}]}], html,
+                ['<a href="http://intern', 'al.example/">internal.', 'example</a>']).then((res) => {
+
+                assert.strictEqual(res.body.toString(), '<a href="http://www.example.com/">www.example.com</a>');
+                assert.strictEqual(res.length, res.body.length);
+            });
+        });
+
+        it('injects a snippet before the first </head> only', function () {
+            return transform([{injectHead: '<script src="/a.js"></script>'}], html,
+                ['<html><head><title>x</title></he', 'ad><body></head></body></html>']).then((res) => {
+
+                assert.strictEqual(res.body.toString(), '<html><head><title>x</title><script src="/a.js"></script></head><body></head></body></html>');
+            });
+        });
+
+        it('applies regex replacements to the whole body', function () {
+            return transform([{replace: [{from: 'v(\\d+)', to: 'version $1', regex: true, flags: 'g'}]}], html,
+                ['v1 and v', '2']).then((res) => {
+
+                assert.strictEqual(res.body.toString(), 'version 1 and version 2');
+            });
+        });
+
+        it('rewrites JSON fields', function () {
+            let list = [{json: {set: {'meta.source': 'proxy'}, remove: ['secret', 'meta.debug'], replace: [{from: 'internal', to: 'public'}]}}],
+                body = JSON.stringify({secret: 1, url: 'http://internal/a', list: ['internal'], meta: {debug: true}});
+
+            return transform(list, {'content-type': 'application/json'}, [body]).then((res) => {
+                assert.deepStrictEqual(JSON.parse(res.body.toString()), {url: 'http://public/a', list: ['public'], meta: {source: 'proxy'}});
+            });
+        });
+
+        it('sends bodies that are not valid JSON as they are', function () {
+            return transform([{json: {remove: ['a']}}], {'content-type': 'application/json'}, ['{"a": ']).then((res) => {
+                assert.strictEqual(res.body.toString(), '{"a": ');
+            });
+        });
+
+        it('only applies transforms to their content types', function () {
+            let list = [{replace: [{from: 'a', to: 'b'}]}, {replace: [{from: 'x', to: 'y'}], contentTypes: ['text/plain']}];
+
+            return transform(list, {'content-type': 'text/plain'}, ['ax']).then((res) => {
+                assert.strictEqual(res.body.toString(), 'ay');
+            });
+        });
+
+        it('decompresses and compresses again', function () {
+            return transform([{replace: [{from: 'old', to: 'new'}]}], {'content-type': 'text/html', 'content-encoding': 'gzip'},
+                [Zlib.gzipSync('the old text')]).then((res) => {
+
+                assert.strictEqual(Zlib.gunzipSync(res.body).toString(), 'the new text');
+                assert.strictEqual(res.length, res.body.length);
+            });
+        });
+
+        it('sends large bodies without a length', function () {
+            let chunk = 'a'.repeat(16384);
+
+            return transform([{replace: [{from: 'a', to: 'b'}]}], html, [chunk, chunk, chunk, chunk, chunk]).then((res) => {
+                assert.strictEqual(res.body.toString(), 'b'.repeat(5 * 16384));
+                assert.strictEqual(res.length, null);
+            });
+        });
+    });
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+const
+    assert = require('assert'),
+    CircuitBreaker = require('../lib/circuit-breaker'),
+    quiet = {warn() {}};
+
+
+describe('CircuitBreaker', function () {
+    let now,
+        realNow = Date.now;
+
+    beforeEach(function () {
+        now = 1000000;
+        Date.now = () => now;
+    });
+
+    afterEach(function () {
+        Date.now = realNow;
+    });
+
+    function record(breaker, oks) {
+        oks.forEach((ok) => {
+            assert.strictEqual(breaker.allow(), true);
+            breaker.record(ok);
+        });
+    }
+
+    it('rejects invalid settings', function () {
+        assert.throws(() => new CircuitBreaker('x', null, quiet), /Invalid circuit breaker configuration/);
+        assert.throws(() => new CircuitBreaker('x', {errorRate: 0}, quiet), /errorRate/);
+        assert.throws(() => new CircuitBreaker('x', {errorRate: 1.5}, quiet), /errorRate/);
+        assert.throws(() => new CircuitBreaker('x', {minRequests: 2.5}, quiet), /minRequests/);
+        assert.throws(() => new CircuitBreaker('x', {cooldown: -1}, quiet), /cooldown/);
+    });
+
+    it('stays closed until there are enough requests', function () {
+        let breaker = new CircuitBreaker('x', {minRequests: 4}, quiet);
+
+        record(breaker, [false, false, false]);
+        assert.strictEqual(breaker.state, 'closed');
+        record(breaker, [false]);
+        assert.strictEqual(breaker.state, 'open');
+    });
+
+    it('opens at the error rate and refuses requests for the cooldown', function () {
+        let breaker = new CircuitBreaker('x', {minRequests: 4, errorRate: 0.5, cooldown: 5000}, quiet);
+
+        record(breaker, [true, true, true, false, false]);
+        assert.strictEqual(breaker.state, 'closed');
+        record(breaker, [false]);
+        assert.strictEqual(breaker.state, 'open');
+        assert.strictEqual(breaker.allow(), false);
+        now += 4999;
+        assert.strictEqual(breaker.allow(), false);
+    });
+
+    it('only counts requests in the window', function () {
+        let breaker = new CircuitBreaker('x', {minRequests: 4, window: 1000}, quiet);
+
+        record(breaker, [false, false, false]);
+        now += 2000;
+        record(breaker, [false, true, true]);
+        assert.strictEqual(breaker.state, 'closed');
+    });
+
+    it('lets the trial requests through after the cooldown and closes if they succeed', function () {
+        let breaker = new CircuitBreaker('x', {minRequests: 1, cooldown: 1000, halfOpenRequests: 2}, quiet);
+
+        record(breaker, [false]);
+        now += 1000;
+        assert.strictEqual(breaker.allow(), true);
+        assert.strictEqual(breaker.state, 'half-open');
+        assert.strictEqual(breaker.allow(), true);
+        assert.strictEqual(breaker.allow(), false);
+        breaker.record(true);
+        assert.strictEqual(breaker.state, 'half-open');
+        breaker.record(true);
+        assert.strictEqual(breaker.state, 'closed');
+        assert.strictEqual(breaker.allow(), true);
+    });
+
+    it('opens again if a trial request fails', function () {
+        let breaker = new CircuitBreaker('x', {minRequests: 1, cooldown: 1000}, quiet);
+
+        record(breaker, [false]);
+        now += 1000;
+        record(breaker, [false]);
+        assert.strictEqual(breaker.state, 'open');
+        assert.strictEqual(breaker.allow(), false);
+    });
+
+    it('ignores requests sent before it opened', function () {
+        let breaker = new CircuitBreaker('x', {minRequests: 1}, quiet);
+
+        assert.strictEqual(breaker.allow(), true);
+        record(breaker, [false]);
+        breaker.record(true);
+        assert.strictEqual(breaker.state, 'open');
+    });
+});
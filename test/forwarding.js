@@ -0,0 +1,76 @@
+'use strict';
+
+const
+    assert = require('assert'),
+    Forwarding = require('../lib/forwarding');
+
+
+describe('Forwarding', function () {
+    function spoofed() {
+        return {
+            forwarded: 'for=1.2.3.4',
+            host: 'www.example.com',
+            'x-forwarded-for': '1.2.3.4',
+            'x-forwarded-host': 'evil.example.com',
+            'x-forwarded-proto': 'https'
+        };
+    }
+
+    it('rejects invalid settings', function () {
+        assert.throws(() => new Forwarding({trustedProxies: '10.0.0.1'}), /trustedProxies/);
+        assert.throws(() => new Forwarding({trustedProxies: ['10.0.0.0/33']}), /Invalid trusted proxy address/);
+        assert.throws(() => new Forwarding({trustedProxies: ['nope']}), /Invalid trusted proxy address/);
+        assert.throws(() => new Forwarding({forwarded: 'yes'}), /forwarded/);
+        assert.throws(() => new Forwarding({via: 'a b'}), /via/);
+    });
+
+    it('trusts no client by default', function () {
+        let fwd = new Forwarding(),
+            headers = spoofed();
+
+        assert.strictEqual(fwd.trusts('127.0.0.1'), false);
+        fwd.requestHeaders(headers, {addr: '10.1.2.3', host: 'www.example.com', proto: 'http', version: '1.1'});
+        assert.deepStrictEqual(headers, {
+            forwarded: 'for=10.1.2.3;host=www.example.com;proto=http',
+            host: 'www.example.com',
+            via: '1.1 routeomatic',
+            'x-forwarded-for': '10.1.2.3'
+        });
+    });
+
+    it('keeps and extends the headers of trusted proxies', function () {
+        let fwd = new Forwarding({trustedProxies: ['10.0.0.0/8', '::1']}),
+            headers = spoofed();
+
+        assert.strictEqual(fwd.trusts('::ffff:10.9.9.9'), true);
+        assert.strictEqual(fwd.trusts('::1'), true);
+        assert.strictEqual(fwd.trusts('11.0.0.1'), false);
+        fwd.requestHeaders(headers, {addr: '::ffff:10.1.2.3', host: 'www.example.com', proto: 'https', version: '2.0'});
+        assert.strictEqual(headers['x-forwarded-for'], '1.2.3.4, 10.1.2.3');
+        assert.strictEqual(headers['x-forwarded-host'], 'evil.example.com');
+        assert.strictEqual(headers['x-forwarded-proto'], 'https');
+        assert.strictEqual(headers.forwarded, 'for=1.2.3.4, for=10.1.2.3;host=www.example.com;proto=https');
+        assert.strictEqual(headers.via, '2 routeomatic');
+    });
+
+    it('quotes IPv6 addresses in the Forwarded header', function () {
+        let headers = {};
+
+        new Forwarding().requestHeaders(headers, {addr: '2001:db8::1', host: 'www.example.com:8080', proto: 'http', version: '1.1'});
+        assert.strictEqual(headers.forwarded, 'for="[2001:db8::1]";host="www.example.com:8080";proto=http');
+    });
+
+    it('can leave out the Forwarded and Via headers', function () {
+        let headers = {};
+
+        new Forwarding({forwarded: false, via: false}).requestHeaders(headers, {addr: '10.1.2.3', host: 'a', proto: 'http', version: '1.1'});
+        assert.deepStrictEqual(headers, {'x-forwarded-for': '10.1.2.3'});
+    });
+
+    it('adds to the Via header of a response', function () {
+        let headers = {via: ['1.0 cache']};
+
+        new Forwarding({via: 'edge'}).addVia(headers, '1.1');
+        assert.strictEqual(headers.via, '1.0 cache, 1.1 edge');
+    });
+});
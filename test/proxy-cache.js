@@ -0,0 +1,238 @@
+'use strict';
+
+const
+    assert = require('assert'),
+    ProxyCache = require('../lib/proxy-cache'),
+    proxy = {hostname: 'app.internal', port: 8080};
+
+
+/**
+ * Build a fake request with the values the cache keys use
+ *
+ * @param {string} url - The request URL
+ * @param {object} [headers] - The request headers
+ * @returns {object} - The request
+ */
+function fakeReq(url, headers) {
+    return {
+        headerHost: 'WWW.example.com',
+        proto: 'https',
+        serverRequest: {headers: headers || {}},
+        url: url
+    };
+}
+
+
+/**
+ * Cache a response for a request
+ *
+ * @param {object} cache - The proxy cache
+ * @param {object} req - The request
+ * @param {object} headers - The response headers
+ * @param {string} [body] - The response body
+ * @param {object} [opts] - The route cache options
+ * @returns {Promise} - Resolves with the request keys once stored
+ */
+function store(cache, req, headers, body, opts) {
+    let keys = cache.keyFor(req, proxy);
+
+    return cache.save(req, keys, cache.policy(200, headers, opts || {}), 200, headers, Buffer.from(body || 'body')).then(() => keys);
+}
+
+
+/**
+ * Look up the cached response for a request
+ *
+ * @param {object} cache - The proxy cache
+ * @param {object} req - The request
+ * @returns {Promise} - Resolves with the entry, or null if not cached
+ */
+function fetch(cache, req) {
+    return cache.lookup(cache.keyFor(req, proxy).key);
+}
+
+
+describe('ProxyCache', function () {
+    let now,
+        realNow = Date.now;
+
+    beforeEach(function () {
+        now = 1000000;
+        Date.now = () => now;
+    });
+
+    afterEach(function () {
+        Date.now = realNow;
+    });
+
+    it('rejects invalid options', function () {
+        assert.throws(() => new ProxyCache({maxSize: 0}), /Invalid proxy cache maxSize/);
+        assert.throws(() => new ProxyCache({maxEntrySize: '1mb'}), /Invalid proxy cache maxEntrySize/);
+        assert.throws(() => new ProxyCache({store: {get() {}}}), /Invalid proxy cache store/);
+    });
+
+    describe('policy', function () {
+        let cache = new ProxyCache();
+
+        it('uses s-maxage, max-age or Expires, less the Age', function () {
+            assert.strictEqual(cache.policy(200, {'cache-control': 'max-age=60, s-maxage=120'}, {}).ttl, 120);
+            assert.strictEqual(cache.policy(200, {'cache-control': 'public, max-age=60'}, {}).ttl, 60);
+            assert.strictEqual(cache.policy(200, {'cache-control': 'max-age=60', age: '20'}, {}).ttl, 40);
+            assert.strictEqual(cache.policy(200, {
+                date: 'Mon, 19 Oct 2026 10:00:00 GMT',
+                expires: 'Mon, 19 Oct 2026 10:05:00 GMT'
+            }, {}).ttl, 300);
+        });
+
+        it('lets the route ttl override the headers', function () {
+            assert.strictEqual(cache.policy(200, {'cache-control': 'no-cache', age: '20'}, {ttl: 30}).ttl, 30);
+        });
+
+        it('does not cache responses that can not be shared or have no lifetime', function () {
+            assert.strictEqual(cache.policy(500, {'cache-control': 'max-age=60'}, {}), null);
+            assert.strictEqual(cache.policy(200, {'cache-control': 'private, max-age=60'}, {}), null);
+            assert.strictEqual(cache.policy(200, {'cache-control': 'no-store'}, {ttl: 60}), null);
+            assert.strictEqual(cache.policy(200, {'cache-control': 'max-age=60', 'set-cookie': ['a=1']}, {}), null);
+            assert.strictEqual(cache.policy(200, {'cache-control': 'max-age=60', vary: '*'}, {}), null);
+            assert.strictEqual(cache.policy(200, {'cache-control': 'no-cache, max-age=60'}, {}), null);
+            assert.strictEqual(cache.policy(200, {}, {}), null);
+        });
+
+        it('collects the stale times, surrogate keys and vary headers', function () {
+            assert.deepStrictEqual(cache.policy(200, {
+                'cache-control': 'max-age=60, stale-while-revalidate=30, stale-if-error=600',
+                'surrogate-key': 'news  story-1',
+                vary: 'Accept-Encoding, X-Device'
+            }, {staleWhileRevalidate: 10, surrogateKeys: ['site']}), {
+                staleIfError: 600,
+                staleWhileRevalidate: 10,
+                tags: ['news', 'story-1', 'site'],
+                ttl: 60,
+                vary: ['accept-encoding', 'x-device']
+            });
+        });
+    });
+
+    it('stores responses without hop-by-hop headers, and ages them', function () {
+        let cache = new ProxyCache(),
+            req = fakeReq('/a?b=1');
+
+        return store(cache, req, {
+            'cache-control': 'max-age=60, stale-while-revalidate=30, stale-if-error=300',
+            connection: 'keep-alive',
+            'content-type': 'text/plain'
+        }, 'hello').then(() => fetch(cache, req)).then((entry) => {
+            assert.strictEqual(entry.body.toString(), 'hello');
+            assert.deepStrictEqual(Object.keys(entry.headers).sort(), ['cache-control', 'content-type']);
+            assert.strictEqual(entry.url, 'https://www.example.com/a?b=1');
+            assert.strictEqual(cache.entryState(entry), 'fresh');
+            now += 60000;
+            assert.strictEqual(cache.entryState(entry), 'stale');
+            now += 30000;
+            assert.strictEqual(cache.entryState(entry), 'error');
+            now += 270000;
+            assert.strictEqual(cache.entryState(entry), 'expired');
+            return fetch(cache, fakeReq('/a?b=2'));
+        }).then((entry) => {
+            assert.strictEqual(entry, null);
+        });
+    });
+
+    it('keys responses on the headers the origin varies on', function () {
+        let cache = new ProxyCache(),
+            headers = {'cache-control': 'max-age=60', vary: 'X-Device'};
+
+        return store(cache, fakeReq('/a', {'x-device': 'app'}), headers, 'app').then(() => {
+            return store(cache, fakeReq('/a', {'x-device': 'web'}), headers, 'web');
+        }).then(() => Promise.all([
+            fetch(cache, fakeReq('/a', {'x-device': 'app'})),
+            fetch(cache, fakeReq('/a', {'x-device': 'web'})),
+            fetch(cache, fakeReq('/a'))
+        ])).then((entries) => {
+            assert.strictEqual(entries[0].body.toString(), 'app');
+            assert.strictEqual(entries[1].body.toString(), 'web');
+            assert.strictEqual(entries[2], null);
+        });
+    });
+
+    it('keeps the responses of different proxy destinations apart', function () {
+        let cache = new ProxyCache(),
+            req = fakeReq('/a');
+
+        return store(cache, req, {'cache-control': 'max-age=60'}).then(() => {
+            return cache.lookup(cache.keyFor(req, {upstream: 'pool'}).key);
+        }).then((entry) => {
+            assert.strictEqual(entry, null);
+        });
+    });
+
+    it('does not store bodies over the entry size limit', function () {
+        let cache = new ProxyCache({maxEntrySize: 4}),
+            req = fakeReq('/a');
+
+        return store(cache, req, {'cache-control': 'max-age=60'}, 'hello').then(() => fetch(cache, req)).then((entry) => {
+            assert.strictEqual(entry, null);
+        });
+    });
+
+    it('evicts the least recently used entries, and forgets their purge index', function () {
+        let cache = new ProxyCache({maxSize: 150}),
+            headers = {'cache-control': 'max-age=60'},
+            body = 'x'.repeat(30);
+
+        return store(cache, fakeReq('/a'), headers, body).then(() => store(cache, fakeReq('/b'), headers, body))
+            .then(() => fetch(cache, fakeReq('/a')))
+            .then(() => store(cache, fakeReq('/c'), headers, body))
+            .then(() => Promise.all(['/a', '/b', '/c'].map((u) => fetch(cache, fakeReq(u)))))
+            .then((entries) => {
+                assert.deepStrictEqual(entries.map((e) => e !== null), [true, false, true]);
+                assert.strictEqual(cache.urlIndex.has('https://www.example.com/b'), false);
+            });
+    });
+
+    it('purges by URL, with every variant, and by surrogate key', function () {
+        let cache = new ProxyCache(),
+            headers = {'cache-control': 'max-age=60', 'surrogate-key': 'news', vary: 'X-Device'};
+
+        return store(cache, fakeReq('/a', {'x-device': 'app'}), headers)
+            .then(() => store(cache, fakeReq('/a', {'x-device': 'web'}), headers))
+            .then(() => store(cache, fakeReq('/b'), headers))
+            .then(() => store(cache, fakeReq('/c'), {'cache-control': 'max-age=60'}))
+            .then(() => cache.purgeUrl('https://WWW.example.com/a'))
+            .then((count) => {
+                assert.strictEqual(count, 2);
+                return cache.purgeKey('news');
+            })
+            .then((count) => {
+                assert.strictEqual(count, 1);
+                return Promise.all(['/b', '/c'].map((u) => fetch(cache, fakeReq(u))));
+            })
+            .then((entries) => {
+                assert.strictEqual(entries[0], null);
+                assert.notStrictEqual(entries[1], null);
+                return cache.purgeKey('news');
+            })
+            .then((count) => {
+                assert.strictEqual(count, 0);
+            });
+    });
+
+    it('lets one request claim a key while the others wait for it', function () {
+        let cache = new ProxyCache(),
+            woken = 0,
+            waits;
+
+        assert.strictEqual(cache.claim('k'), true);
+        assert.strictEqual(cache.claim('k'), false);
+        waits = [cache.wait('k'), cache.wait('k')].map((p) => p.then(() => woken++));
+        return Promise.resolve().then(() => {
+            assert.strictEqual(woken, 0);
+            cache.release('k');
+            return Promise.all(waits);
+        }).then(() => {
+            assert.strictEqual(woken, 2);
+            assert.strictEqual(cache.claim('k'), true);
+            return cache.wait('other');
+        });
+    });
+});
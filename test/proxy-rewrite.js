@@ -0,0 +1,92 @@
+'use strict';
+
+const
+    assert = require('assert'),
+    proxyRewrite = require('../lib/proxy-rewrite'),
+    base = 'https://www.example.com',
+    origin = {host: 'www.example.com', hostname: 'app.internal', port: 8080, protocol: 'http:'};
+
+
+/**
+ * Rewrite a set of response headers
+ *
+ * @param {object} headers - The response headers
+ * @param {object} [proxy] - The proxy options
+ * @returns {object} - The rewritten headers
+ */
+function rewrite(headers, proxy) {
+    proxyRewrite.rewriteHeaders(headers, proxy || {}, origin, base);
+    return headers;
+}
+
+
+describe('proxy-rewrite', function () {
+    describe('checkOptions', function () {
+        it('accepts valid options', function () {
+            assert.strictEqual(proxyRewrite.checkOptions({}), null);
+            assert.strictEqual(proxyRewrite.checkOptions({rewriteLocation: false, cookieDomain: {'app.internal': ''}, cookiePath: {'/app/': '/'}}), null);
+            assert.strictEqual(proxyRewrite.checkOptions({rewriteLocation: {'http://a/': 'https://b/'}}), null);
+        });
+
+        it('rejects invalid options', function () {
+            assert.match(proxyRewrite.checkOptions({rewriteLocation: 'yes'}), /rewriteLocation/);
+            assert.match(proxyRewrite.checkOptions({rewriteLocation: {x: 1}}), /rewriteLocation/);
+            assert.match(proxyRewrite.checkOptions({cookieDomain: ['a']}), /cookieDomain/);
+            assert.match(proxyRewrite.checkOptions({cookiePath: {'': '/'}}), /cookiePath/);
+        });
+    });
+
+    describe('Location', function () {
+        it('rewrites URLs of the origin address or Host header to the public base', function () {
+            assert.strictEqual(rewrite({location: 'http://app.internal:8080/a?b=1#c'}).location, 'https://www.example.com/a?b=1#c');
+            assert.strictEqual(rewrite({location: 'http://www.example.com/a'}).location, 'https://www.example.com/a');
+            assert.strictEqual(rewrite({'content-location': 'http://APP.internal:8080/x'})['content-location'], 'https://www.example.com/x');
+        });
+
+        it('leaves other hosts, other ports and relative paths alone', function () {
+            assert.strictEqual(rewrite({location: 'http://other.example.com/a'}).location, 'http://other.example.com/a');
+            assert.strictEqual(rewrite({location: 'http://app.internal/a'}).location, 'http://app.internal/a');
+            assert.strictEqual(rewrite({location: 'next/page'}).location, 'next/page');
+            assert.strictEqual(rewrite({location: '/a'}).location, '/a');
+        });
+
+        it('maps the proxy path back to the public one', function () {
+            let proxy = {pathMatch: '/news/', pathReplace: '/app/news/'};
+
+            assert.strictEqual(rewrite({location: 'http://app.internal:8080/app/news/1'}, proxy).location, 'https://www.example.com/news/1');
+            assert.strictEqual(rewrite({location: '/app/news/2'}, proxy).location, '/news/2');
+            assert.strictEqual(rewrite({location: '/other'}, proxy).location, '/other');
+            proxy = {pathMatch: /^\/news\//, pathReplace: '/app/news/'};
+            assert.strictEqual(rewrite({location: '/app/news/3'}, proxy).location, '/news/3');
+            proxy = {pathMatch: /^\/news\/(\d+)/, pathReplace: '/app/$1'};
+            assert.strictEqual(rewrite({location: '/app/4'}, proxy).location, '/app/4');
+        });
+
+        it('uses the rewriteLocation prefixes if set, or leaves the headers alone if false', function () {
+            let proxy = {rewriteLocation: {'http://app.internal:8080/': 'https://cdn.example.com/'}};
+
+            assert.strictEqual(rewrite({location: 'http://app.internal:8080/a'}, proxy).location, 'https://cdn.example.com/a');
+            assert.strictEqual(rewrite({location: 'http://www.example.com/a'}, proxy).location, 'http://www.example.com/a');
+            assert.strictEqual(rewrite({location: 'http://app.internal:8080/a'}, {rewriteLocation: false}).location, 'http://app.internal:8080/a');
+        });
+    });
+
+    describe('Set-Cookie', function () {
+        it('maps cookie domains, ignoring case and a leading dot, and drops those mapped to ""', function () {
+            let headers = rewrite({'set-cookie': ['a=1; Domain=.App.Internal; Path=/', 'b=2; domain=api.internal', 'c=3; Domain=other.com']},
+                {cookieDomain: {'app.internal': 'www.example.com', 'api.internal': ''}});
+
+            assert.deepStrictEqual(headers['set-cookie'], ['a=1; Domain=www.example.com; Path=/', 'b=2', 'c=3; Domain=other.com']);
+        });
+
+        it('maps cookie path prefixes', function () {
+            let headers = rewrite({'set-cookie': 'a=1; Path=/app/news; HttpOnly'}, {cookiePath: {'/app/': '/'}});
+
+            assert.deepStrictEqual(headers['set-cookie'], ['a=1; Path=/news; HttpOnly']);
+        });
+
+        it('leaves cookies alone without mappings', function () {
+            assert.strictEqual(rewrite({'set-cookie': 'a=1; Domain=app.internal'})['set-cookie'], 'a=1; Domain=app.internal');
+        });
+    });
+});
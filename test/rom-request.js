@@ -0,0 +1,37 @@
+'use strict';
+
+const
+    assert = require('assert'),
+    RomRequest = require('../lib/rom-request'),
+    UpstreamPool = require('../lib/upstream-pool'),
+    quiet = {silly() {}, debug() {}, verbose() {}, info() {}, warn() {}, error() {}, fatal() {}, important() {}};
+
+
+describe('RomRequest', function () {
+    describe('refreshCache', function () {
+        it('records a refresh that fails to start with the upstream pool', function () {
+            let pool = new UpstreamPool('articles', {targets: [{hostname: '10.0.0.1'}], circuitBreaker: {minRequests: 1, cooldown: 1}}, quiet),
+                released = [],
+                req = new RomRequest({
+                    proxyCache: {release: (key) => released.push(key)},
+                    requestLogger: quiet,
+                    upstreams: {articles: pool}
+                }),
+                realNow = Date.now;
+
+            // Trip the breaker and let its cooldown pass, so the refresh is its one trial request
+            pool.breaker.allow();
+            pool.breaker.record(false);
+            Date.now = () => realNow() + 10;
+            try {
+                // No request is set, so preparing the proxy request throws
+                req.refreshCache({}, {upstream: 'articles'}, {keys: {key: 'k'}});
+            } finally {
+                Date.now = realNow;
+            }
+            assert.deepStrictEqual(released, ['k']);
+            assert.strictEqual(pool.targets[0].active, 0);
+            assert.strictEqual(pool.breaker.state, 'open');
+        });
+    });
+});
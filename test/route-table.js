@@ -0,0 +1,57 @@
+'use strict';
+
+const
+    assert = require('assert'),
+    quiet = {silly() {}, debug() {}, verbose() {}, info() {}, warn() {}, error() {}, fatal() {}, important() {}},
+    TestHarness = require('../lib/test-harness');
+
+
+describe('RouteTable', function () {
+    describe('server geotargeted redirects', function () {
+        let harness;
+
+        before(function () {
+            harness = new TestHarness({
+                geoLookup: (req) => (req.serverRequest.ip === '10.0.0.1' ? 'FR' : null),
+                logger: quiet,
+                requestLogger: quiet,
+                routeHandlers: {}
+            }, {
+                defaults: {geoHeader: 'cf-ipcountry', geoMode: 'server'},
+                hosts: [{hostnames: ['www.example.com'], routeTables: ['main']}],
+                routeTables: {
+                    main: {
+                        matchType: 'trie',
+                        routes: [{on: '/', redirect: 'https://intl.example.com/', geoTarget: {FR: 'https://fr.example.com/', US: 'https://us.example.com/'}}]
+                    }
+                }
+            }, {host: 'www.example.com'});
+        });
+
+        after(function () {
+            harness.close();
+        });
+
+        it('can be cached by the country header when it gives the country', function () {
+            return harness.request({url: '/', headers: {'cf-ipcountry': 'us'}, ip: '10.0.0.1'}).then((outcome) => {
+                assert.strictEqual(outcome.location, 'https://us.example.com/');
+                assert.strictEqual(outcome.headers.vary, 'cf-ipcountry, Cookie');
+                assert.strictEqual(outcome.headers['cache-control'], undefined);
+            });
+        });
+
+        it('are private when the country comes from the client address', function () {
+            return harness.request({url: '/', ip: '10.0.0.1'}).then((outcome) => {
+                assert.strictEqual(outcome.location, 'https://fr.example.com/');
+                assert.strictEqual(outcome.headers['cache-control'], 'private');
+            });
+        });
+
+        it('are private when the client address gives no country', function () {
+            return harness.request({url: '/', ip: '10.0.0.2'}).then((outcome) => {
+                assert.strictEqual(outcome.location, 'https://intl.example.com/');
+                assert.strictEqual(outcome.headers['cache-control'], 'private');
+            });
+        });
+    });
+});
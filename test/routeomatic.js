@@ -0,0 +1,92 @@
+'use strict';
+
+const
+    assert = require('assert'),
+    RouteOMatic = require('../lib/routeomatic');
+
+
+describe('RouteOMatic', function () {
+    describe('route table changes', function () {
+        let errors,
+            rom,
+            warnings;
+
+        beforeEach(function () {
+            errors = [];
+            warnings = [];
+            rom = new RouteOMatic({
+                env: {subs: {ROOT: '/srv'}},
+                logger: {
+                    debug() {},
+                    info() {},
+                    warn: (msg) => warnings.push(msg),
+                    error: (msg) => errors.push(msg)
+                },
+                routeHandlers: {page: () => true}
+            }, {
+                defaults: {checkRedirectLoops: true, maxRedirectHops: 2},
+                hosts: [
+                    {hostnames: ['a.example.com'], routeTables: ['a']},
+                    {hostnames: ['b.example.com'], routeTables: ['b']},
+                    {hostnames: ['c.example.com'], routeTables: ['c']}
+                ],
+                routeTables: {
+                    a: {matchType: 'regex', routes: [
+                        {on: '^/files/', static: {root: '%ROOT%/files'}},
+                        {on: '^/go$', redirect: 'http://b.example.com/x'}
+                    ]},
+                    b: {matchType: 'regex', routes: [
+                        {on: '^/x$', do: 'page'},
+                        {on: '^/y$', do: 'page'}
+                    ]},
+                    c: {matchType: 'trie', routes: [{on: '/', do: 'page'}]}
+                }
+            }, {all() {}});
+        });
+
+        afterEach(function () {
+            rom.close();
+        });
+
+        it('keeps the route definitions as they were given', function () {
+            assert.strictEqual(rom.addRoute('a', {on: '^/new$', do: 'page'}, 0), true);
+            assert.deepStrictEqual(rom.getRouteTableSource('a').routes, [
+                {on: '^/new$', do: 'page'},
+                {on: '^/files/', static: {root: '%ROOT%/files'}},
+                {on: '^/go$', redirect: 'http://b.example.com/x'}
+            ]);
+            assert.strictEqual(rom.routeTables.a.routes[1].static.root, '/srv/files');
+            assert.notStrictEqual(rom.routeTables.a.routes[1].static, rom.getRouteTableSource('a').routes[1].static);
+        });
+
+        it('removes routes by their substituted or unsubstituted "on"', function () {
+            assert.strictEqual(rom.removeRoute('b', '^/y$'), true);
+            assert.deepStrictEqual(rom.routeTables.b.routes.map((r) => r.on), ['^/x$']);
+            assert.strictEqual(rom.removeRoute('b', '^/y$'), false);
+        });
+
+        it('rejects a loop passing through the changed table from another one', function () {
+            assert.strictEqual(rom.addRoute('b', {on: '^/x$', redirect: 'http://a.example.com/go'}, 0), false);
+            assert.ok(/Redirect\/rewrite loop from route "\^\/go\$" in route table "a"/.test(errors[0]), errors[0]);
+            assert.deepStrictEqual(rom.routeTables.b.routes.map((r) => r.on), ['^/x$', '^/y$']);
+        });
+
+        it('warns of long chains passing through the changed table', function () {
+            assert.strictEqual(rom.addRoute('b', {on: '^/x$', redirect: 'http://b.example.com/y1'}, 0), true);
+            assert.strictEqual(rom.addRoute('b', {on: '^/y1$', redirect: 'http://b.example.com/y'}, 0), true);
+            assert.deepStrictEqual(rom.redirectWarnings.map((w) => w.path), ['routeTables.a.routes[1]']);
+            assert.strictEqual(warnings.length, 1);
+
+            // Changing a table the chain does not pass through does not log it again, but keeps the warning
+            assert.strictEqual(rom.addRoute('c', {on: '/z', do: 'page'}), true);
+            assert.strictEqual(warnings.length, 1);
+            assert.deepStrictEqual(rom.redirectWarnings.map((w) => w.path), ['routeTables.a.routes[1]']);
+        });
+
+        it('replaces a whole route table', function () {
+            assert.strictEqual(rom.replaceRouteTable('b', {matchType: 'trie', routes: [{on: '/x', do: 'page'}]}), true);
+            assert.strictEqual(rom.routeTables.b.matchType, 'trie');
+            assert.strictEqual(rom.replaceRouteTable('nope', {matchType: 'trie', routes: []}), false);
+        });
+    });
+});
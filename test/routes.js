@@ -0,0 +1,123 @@
+/**
+ * Route table fixtures
+ *
+ * Runs the fixture tables in each directory of test/fixtures through the test harness: the
+ * "hosts.yaml" config with every "*.test.yaml" table of requests and expected outcomes, both with
+ * "%FIXTURES%" replaced by the directory path.  Each fixture is run with the regex route tables
+ * both linear and compiled, which must agree.
+ */
+
+'use strict';
+
+const
+    assert = require('assert'),
+    ConfigLoader = require('../lib/config-loader'),
+    Fs = require('fs'),
+    Path = require('path'),
+    fixturesDir = Path.join(__dirname, 'fixtures'),
+    quiet = {silly() {}, debug() {}, verbose() {}, info() {}, warn() {}, error() {}, fatal() {}, important() {}},
+    TestHarness = require('../lib/test-harness'),
+    Yaml = require('js-yaml');
+
+
+/**
+ * Build a stub for every handler name the route tables and split variants use, the harness only records them
+ *
+ * @param {object} hostConf - The host configuration
+ * @returns {object} - The route handlers
+ */
+function stubHandlers(hostConf) {
+    let handlers = {};
+
+    Object.keys(hostConf.routeTables).forEach((id) => {
+        (hostConf.routeTables[id].routes || []).forEach((r) => {
+            [r].concat((r.split && r.split.variants) || []).forEach((action) => {
+                if (typeof action.do === 'string') {
+                    handlers[action.do] = () => true;
+                }
+            });
+        });
+    });
+    return handlers;
+}
+
+
+/**
+ * Run a fixture directory's tables with the regex route tables compiled or not
+ *
+ * @param {string} dir - The fixture directory
+ * @param {boolean} compile - true to compile the regex route tables
+ * @returns {Promise} - Resolves with the summaries, by table file name
+ */
+function runFixture(dir, compile) {
+    let conf = new ConfigLoader({
+            envConf: {env: {subs: {FIXTURES: dir}}, logger: quiet, requestLogger: quiet},
+            hostFile: Path.join(dir, 'hosts.yaml')
+        }).load(),
+        harness,
+        summaries = {};
+
+    conf.hostConf.defaults = Object.assign({}, conf.hostConf.defaults, {compileRegex: compile});
+    Object.keys(conf.hostConf.routeTables).forEach((id) => delete conf.hostConf.routeTables[id].compile);
+    conf.envConf.routeHandlers = stubHandlers(conf.hostConf);
+    harness = new TestHarness(conf.envConf, conf.hostConf);
+
+    return Fs.readdirSync(dir).filter((f) => /\.test\.yaml$/.test(f)).sort().reduce((prev, file) => prev.then(() => {
+        let text = Fs.readFileSync(Path.join(dir, file), 'utf8').split('%FIXTURES%').join(dir);
+
+        return harness.run(Yaml.safeLoad(text)).then((summary) => {
+            summaries[file] = summary;
+        });
+    }), Promise.resolve()).then(() => {
+        harness.close();
+        return summaries;
+    });
+}
+
+
+/**
+ * Describe the failures of a summary
+ *
+ * @param {object} summary - The harness run summary
+ * @returns {string} - The failed tests and their mismatches
+ */
+function failures(summary) {
+    return summary.results.filter((r) => !r.pass).map((r) => `${r.name}: ${r.mismatches.join('; ')}`).join('\n');
+}
+
+
+describe('route fixtures', function () {
+    Fs.readdirSync(fixturesDir).sort().forEach((name) => {
+        let dir = Path.join(fixturesDir, name);
+
+        describe(name, function () {
+            let compiled,
+                linear;
+
+            before(function () {
+                return runFixture(dir, false).then((s) => {
+                    linear = s;
+                    return runFixture(dir, true);
+                }).then((s) => {
+                    compiled = s;
+                });
+            });
+
+            it('passes with linear regex tables', function () {
+                Object.keys(linear).forEach((file) => assert.strictEqual(linear[file].failed, 0, failures(linear[file])));
+            });
+
+            it('passes with compiled regex tables', function () {
+                Object.keys(compiled).forEach((file) => assert.strictEqual(compiled[file].failed, 0, failures(compiled[file])));
+            });
+
+            it('gives the same outcomes either way', function () {
+                Object.keys(linear).forEach((file) => {
+                    linear[file].results.forEach((r, i) => {
+                        assert.deepStrictEqual(compiled[file].results[i].outcome, r.outcome, r.name);
+                    });
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,210 @@
+'use strict';
+
+const
+    assert = require('assert'),
+    Http = require('http'),
+    quiet = {warn() {}},
+    UpstreamPool = require('../lib/upstream-pool');
+
+
+/**
+ * Build a fake request with the values the pool hashes
+ *
+ * @param {object} [headers] - The request headers
+ * @param {string} [ip] - The client address
+ * @returns {object} - The request
+ */
+function fakeReq(headers, ip) {
+    return {
+        serverRequest: {headers: headers || {}, ip: ip || '10.0.0.1'},
+        url: '/path'
+    };
+}
+
+
+/**
+ * Pick a number of targets, returning their hostnames
+ *
+ * @param {object} pool - The upstream pool
+ * @param {number} n - The number of picks
+ * @param {object} [req] - The request
+ * @returns {array} - The picked hostnames
+ */
+function picks(pool, n, req) {
+    let names = [];
+
+    for (let i = 0; i < n; i++) {
+        let t = pool.pick(req || fakeReq());
+
+        names.push(t === null ? null : t.hostname);
+    }
+    return names;
+}
+
+
+describe('UpstreamPool', function () {
+    let now,
+        realNow = Date.now;
+
+    beforeEach(function () {
+        now = 1000000;
+        Date.now = () => now;
+    });
+
+    afterEach(function () {
+        Date.now = realNow;
+    });
+
+    it('rejects invalid settings', function () {
+        assert.throws(() => new UpstreamPool('p', null, quiet), /Invalid upstream pool "p" configuration/);
+        assert.throws(() => new UpstreamPool('p', {targets: []}, quiet), /Missing targets/);
+        assert.throws(() => new UpstreamPool('p', {targets: [{hostname: 'a'}], balance: 'random'}, quiet), /Invalid balance/);
+        assert.throws(() => new UpstreamPool('p', {targets: [{hostname: 'a'}], hashKey: 'query:x'}, quiet), /Invalid hashKey/);
+        assert.throws(() => new UpstreamPool('p', {targets: [{hostname: 'a'}], retries: -1}, quiet), /Invalid retries/);
+        assert.throws(() => new UpstreamPool('p', {targets: [{hostname: 'a', port: 70000}]}, quiet), /Invalid port for target #0/);
+        assert.throws(() => new UpstreamPool('p', {targets: [{hostname: 'a', weight: 0}]}, quiet), /Invalid weight for target #0/);
+        assert.throws(() => new UpstreamPool('p', {targets: [{hostname: 'a', proto: 'ftp'}]}, quiet), /Invalid proto/);
+        assert.throws(() => new UpstreamPool('p', {targets: [{hostname: 'a'}], healthCheck: {path: 'x'}}, quiet), /Invalid healthCheck/);
+    });
+
+    it('spreads round-robin picks by weight', function () {
+        let pool = new UpstreamPool('p', {targets: [{hostname: 'a', weight: 2}, {hostname: 'b'}]}, quiet);
+
+        assert.deepStrictEqual(picks(pool, 6), ['a', 'b', 'a', 'a', 'b', 'a']);
+    });
+
+    it('skips excluded targets', function () {
+        let pool = new UpstreamPool('p', {targets: [{hostname: 'a'}, {hostname: 'b'}]}, quiet),
+            first = pool.pick(fakeReq());
+
+        assert.notStrictEqual(pool.pick(fakeReq(), [first]), first);
+        assert.strictEqual(pool.pick(fakeReq(), pool.targets), null);
+    });
+
+    it('picks the target with the fewest active requests for its weight', function () {
+        let pool = new UpstreamPool('p', {balance: 'least-connections', targets: [{hostname: 'a'}, {hostname: 'b', weight: 2}]}, quiet),
+            a = pool.targets[0],
+            b = pool.targets[1];
+
+        pool.acquire(b);
+        assert.strictEqual(pool.pick(fakeReq()), a);
+        pool.acquire(a);
+        assert.strictEqual(pool.pick(fakeReq()), b);
+        pool.acquire(b);
+        assert.strictEqual(pool.pick(fakeReq()), a);
+        pool.release(b, true);
+        assert.strictEqual(b.active, 1);
+    });
+
+    it('hashes the same key to the same target, and on to another if it is unavailable', function () {
+        let pool = new UpstreamPool('p', {
+                balance: 'hash',
+                hashKey: 'header:X-User',
+                maxFails: 1,
+                targets: [{hostname: 'a'}, {hostname: 'b'}, {hostname: 'c'}]
+            }, quiet),
+            req = fakeReq({'x-user': 'user-42'}),
+            t = pool.pick(req);
+
+        assert.deepStrictEqual(picks(pool, 5, req), [t.hostname, t.hostname, t.hostname, t.hostname, t.hostname]);
+        pool.release(t, false);
+        assert.notStrictEqual(pool.pick(req), t);
+        assert.strictEqual(pool.pick(req), pool.pick(req));
+    });
+
+    it('hashes cookie values', function () {
+        let pool = new UpstreamPool('p', {balance: 'hash', hashKey: 'cookie:sid', targets: [{hostname: 'a'}, {hostname: 'b'}]}, quiet),
+            targets = {};
+
+        for (let i = 0; i < 20; i++) {
+            let t = pool.pick(fakeReq({cookie: `sid=s${i}`}));
+
+            assert.strictEqual(pool.pick(fakeReq({cookie: `theme=dark; sid=s${i}`})), t);
+            targets[t.hostname] = true;
+        }
+        assert.deepStrictEqual(Object.keys(targets).sort(), ['a', 'b']);
+    });
+
+    it('ejects a target after too many failures in a row, until the eject time is over', function () {
+        let pool = new UpstreamPool('p', {maxFails: 2, ejectTime: 5000, targets: [{hostname: 'a'}, {hostname: 'b'}]}, quiet),
+            a = pool.targets[0];
+
+        pool.release(a, false);
+        pool.release(a, true);
+        pool.release(a, false);
+        assert.deepStrictEqual(picks(pool, 2), ['a', 'b']);
+        pool.release(a, false);
+        assert.deepStrictEqual(picks(pool, 3), ['b', 'b', 'b']);
+        now += 5000;
+        assert.notStrictEqual(picks(pool, 2).indexOf('a'), -1);
+    });
+
+    it('never ejects targets with maxFails set to 0', function () {
+        let pool = new UpstreamPool('p', {maxFails: 0, targets: [{hostname: 'a'}]}, quiet);
+
+        for (let i = 0; i < 10; i++) {
+            pool.release(pool.targets[0], false);
+        }
+        assert.strictEqual(pool.pick(fakeReq()), pool.targets[0]);
+    });
+
+    it('picks nothing while the circuit breaker is open', function () {
+        let pool = new UpstreamPool('p', {
+            maxFails: 0,
+            circuitBreaker: {minRequests: 2, errorRate: 0.5, cooldown: 1000},
+            targets: [{hostname: 'a'}]
+        }, quiet);
+
+        pool.release(pool.pick(fakeReq()), false);
+        pool.release(pool.pick(fakeReq()), false);
+        assert.strictEqual(pool.pick(fakeReq()), null);
+        now += 1000;
+        assert.strictEqual(pool.pick(fakeReq()), pool.targets[0]);
+    });
+
+    describe('health checks', function () {
+        let server,
+            status;
+
+        before(function (done) {
+            server = Http.createServer((req, res) => {
+                res.statusCode = (req.url === '/health') ? status : 404;
+                res.end();
+            }).listen(0, '127.0.0.1', done);
+        });
+
+        after(function (done) {
+            server.close(done);
+        });
+
+        /**
+         * Start a pool's health checks and wait for the first one to finish
+         *
+         * @param {object} pool - The upstream pool
+         * @returns {Promise} - Resolves once the checks are done
+         */
+        function check(pool) {
+            Date.now = realNow;
+            pool.start();
+            return new Promise((resolve) => setTimeout(resolve, 100)).then(() => pool.stop());
+        }
+
+        it('marks targets failing the check as unhealthy, and passing it as healthy', function () {
+            let pool = new UpstreamPool('p', {
+                healthCheck: {path: '/health', interval: 60000},
+                targets: [{hostname: '127.0.0.1', port: server.address().port}]
+            }, quiet);
+
+            status = 503;
+            return check(pool).then(() => {
+                assert.strictEqual(pool.targets[0].healthy, false);
+                assert.strictEqual(pool.pick(fakeReq()), null);
+                status = 200;
+                return check(pool);
+            }).then(() => {
+                assert.strictEqual(pool.targets[0].healthy, true);
+                assert.strictEqual(pool.pick(fakeReq()), pool.targets[0]);
+            });
+        });
+    });
+});